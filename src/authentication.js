@@ -1,4 +1,6 @@
+import * as crypto from 'crypto';
 import { decodeToken, TokenVerifier } from 'jsontokens';
+import { OAuth2Client } from 'google-auth-library';
 import { publicKeyToBtcAddress } from '@stacks/encryption';
 
 import { ValidationError, AuthTokenTimestampValidationError } from './errors';
@@ -14,6 +16,8 @@ export class AuthScopeValues {
     this.deletePaths = [];
     this.writeArchivalPrefixes = [];
     this.writeArchivalPaths = [];
+    this.readPrefixes = [];
+    this.readPaths = [];
   }
 }
 AuthScopeValues.parseEntries = (scopes) => {
@@ -26,6 +30,8 @@ AuthScopeValues.parseEntries = (scopes) => {
       case AuthScopesTypes.putFileArchivalPrefix: return scopeTypes.writeArchivalPrefixes.push(entry.domain);
       case AuthScopesTypes.deleteFilePrefix: return scopeTypes.deletePrefixes.push(entry.domain);
       case AuthScopesTypes.deleteFile: return scopeTypes.deletePaths.push(entry.domain);
+      case AuthScopesTypes.getFilePrefix: return scopeTypes.readPrefixes.push(entry.domain);
+      case AuthScopesTypes.getFile: return scopeTypes.readPaths.push(entry.domain);
     }
   });
   return scopeTypes;
@@ -38,6 +44,8 @@ export const AuthScopesTypes = {
   deleteFilePrefix: 'deleteFilePrefix',
   putFileArchival: 'putFileArchival',
   putFileArchivalPrefix: 'putFileArchivalPrefix',
+  getFile: 'getFile',
+  getFilePrefix: 'getFilePrefix',
 };
 
 export const AuthScopeTypeArray = Object.values(AuthScopesTypes).filter(val => typeof val === 'string');
@@ -338,6 +346,71 @@ export const validateAuthorizationHeader = (
   return authObject;
 };
 
+/*
+ * Validate an admin request's `Authorization: bearer <adminSecret>` header.
+ * The admin API is disabled if no adminSecret is configured.
+ *
+ * this throws a ValidationError if the authentication is invalid
+ */
+export const validateAdminAuthorizationHeader = (authHeader, adminSecret) => {
+  if (!adminSecret) {
+    throw new ValidationError('Admin API is not configured on this hub');
+  }
+  if (!authHeader || !authHeader.toLowerCase().startsWith('bearer ')) {
+    throw new ValidationError('Failed to parse authentication header.');
+  }
+
+  // Compare hashes so that the comparison is constant time for any length.
+  const secret = authHeader.slice('bearer '.length);
+  const secretHash = crypto.createHash('sha256').update(secret).digest();
+  const adminSecretHash = crypto.createHash('sha256').update(adminSecret).digest();
+  if (!crypto.timingSafeEqual(secretHash, adminSecretHash)) {
+    throw new ValidationError('Invalid admin secret');
+  }
+};
+
+let oAuth2Client = null;
+
+/*
+ * Tasker requests are authorized with either a shared secret or
+ *   a Google-signed OIDC token like the ones Cloud Tasks attaches.
+ * Throw ValidationError on error
+ */
+export const validateTaskerAuthorizationHeader = async (authHeader, taskerSettings) => {
+  const { secret, oidcAudience, oidcServiceAccountEmail } = taskerSettings || {};
+  if (!secret && !(oidcAudience && oidcServiceAccountEmail)) {
+    throw new ValidationError('Tasker is not configured on this hub');
+  }
+  if (!authHeader || !authHeader.toLowerCase().startsWith('bearer ')) {
+    throw new ValidationError('Failed to parse authentication header.');
+  }
+
+  const token = authHeader.slice('bearer '.length);
+  if (secret) {
+    const tokenHash = crypto.createHash('sha256').update(token).digest();
+    const secretHash = crypto.createHash('sha256').update(secret).digest();
+    if (crypto.timingSafeEqual(tokenHash, secretHash)) return;
+  }
+  if (!oidcAudience || !oidcServiceAccountEmail) {
+    throw new ValidationError('Invalid tasker secret');
+  }
+
+  if (!oAuth2Client) oAuth2Client = new OAuth2Client();
+
+  let payload;
+  try {
+    const ticket = await oAuth2Client.verifyIdToken({
+      idToken: token, audience: oidcAudience,
+    });
+    payload = ticket.getPayload();
+  } catch (error) {
+    throw new ValidationError(`Failed to verify OIDC token: ${error.message}`);
+  }
+  if (!payload || payload.email !== oidcServiceAccountEmail || !payload.email_verified) {
+    throw new ValidationError('OIDC token is not from the tasker service account');
+  }
+};
+
 /*
  * Validate authentication scopes.  They must be well-formed,
  * and there can't be too many of them.
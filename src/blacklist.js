@@ -1,11 +1,81 @@
 import { LRUCache } from 'lru-cache';
 
-import { PUT_FILE } from './const';
-import { isNumber } from './utils';
+import {
+  PUT_FILE, DELETE_FILE, LIST_FILES, LIST_CHANGES, PERFORM_FILES, GET_FILE, STAT_FILES,
+  LIST_VERSIONS, RENAME_FILE, COPY_FILE, RESTORE_VERSION, MANAGE_WEBHOOKS,
+} from './const';
+import { BlacklistedError, DoesNotExist, InvalidInputError } from './errors';
+import { generateUniqueID, isObject, isNumber, isString } from './utils';
+
+const BLACKLIST_CHANNEL = 'blacklist';
+// The operations a policy can have a rule for, besides '*' for all of them.
+const OPERATIONS = [
+  PUT_FILE, DELETE_FILE, LIST_FILES, LIST_CHANGES, PERFORM_FILES, GET_FILE, STAT_FILES,
+  LIST_VERSIONS, RENAME_FILE, COPY_FILE, RESTORE_VERSION, MANAGE_WEBHOOKS,
+];
+// Renaming, copying and restoring write files too.
+const WRITE_OPERATIONS = [PUT_FILE, RENAME_FILE, COPY_FILE, RESTORE_VERSION];
+// Legacy types without a policy, 1 denies everything and 2 only writes.
+const BLACKLIST_TYPES = [1, 2];
+const MAX_REASON_LENGTH = 1000;
+const MAX_ACTOR_LENGTH = 256;
+
+const getLegacyPolicy = (type) => {
+  const policy = {};
+  if (type === 1) policy['*'] = { isAllowed: false };
+  if (type === 2) {
+    for (const operation of WRITE_OPERATIONS) policy[operation] = { isAllowed: false };
+  }
+  return policy;
+};
+
+const validateReason = (reason) => {
+  if (reason !== null && !(isString(reason) && reason.length <= MAX_REASON_LENGTH)) {
+    throw new InvalidInputError(`Invalid reason: ${reason}`);
+  }
+};
+
+const validateExpireDate = (expireDate) => {
+  if (expireDate !== null && !(Number.isInteger(expireDate) && expireDate > Date.now())) {
+    throw new InvalidInputError(`Invalid expireDate: ${expireDate}`);
+  }
+};
+
+const validateActor = (actor) => {
+  if (actor !== null && !(isString(actor) && actor.length <= MAX_ACTOR_LENGTH)) {
+    throw new InvalidInputError(`Invalid actor: ${actor}`);
+  }
+};
+
+/*
+ * A policy is { [operation or '*']: { isAllowed, reason, expireDate } },
+ *   returns it with null for a missing reason or expireDate.
+ */
+const parsePolicy = (policy) => {
+  if (!isObject(policy) || Array.isArray(policy) || Object.keys(policy).length === 0) {
+    throw new InvalidInputError('Invalid policy: must be an object with rules');
+  }
+
+  const parsedPolicy = {};
+  for (const [operation, rule] of Object.entries(policy)) {
+    if (operation !== '*' && !OPERATIONS.includes(operation)) {
+      throw new InvalidInputError(`Invalid policy: unknown operation ${operation}`);
+    }
+    if (!isObject(rule) || typeof rule.isAllowed !== 'boolean') {
+      throw new InvalidInputError(`Invalid policy: invalid rule of ${operation}`);
+    }
+
+    const { isAllowed, reason = null, expireDate = null } = rule;
+    validateReason(reason);
+    validateExpireDate(expireDate);
+    parsedPolicy[operation] = { isAllowed, reason, expireDate };
+  }
+  return parsedPolicy;
+};
 
 export class BlacklistCache {
 
-  constructor(driver, maxCacheSize) {
+  constructor(metadataStore, maxCacheSize, pubSub = null) {
     this.currentCacheEvictions = 0;
     this.cache = new LRUCache({
       max: maxCacheSize,
@@ -16,10 +86,20 @@ export class BlacklistCache {
       ttl: 15 * 60 * 1000,
       ttlResolution: 60 * 1000,
     });
-    this.driver = driver;
+    this.metadataStore = metadataStore;
+    this.pubSub = pubSub;
 
     const tenMinutes = 1000 * 60 * 10;
     this.setupCacheEvictionLogger(tenMinutes);
+
+    // Changes made through the other hub instances apply here right away too.
+    if (pubSub) {
+      pubSub.subscribe(BLACKLIST_CHANNEL, ({ address }) => {
+        this.cache.delete(address);
+      }).catch(error => {
+        console.error('Blacklist subscribe error', error);
+      });
+    }
   }
 
   setupCacheEvictionLogger(timerInterval) {
@@ -36,21 +116,152 @@ export class BlacklistCache {
     this.currentCacheEvictions = 0;
   }
 
-  async getBlacklistType(address) {
-    let type = this.cache.get(address);
-    if (isNumber(type)) return type;
+  async getBlacklistEntry(address) {
+    let entry = this.cache.get(address);
+    if (isObject(entry)) return entry;
+
+    entry = await this.metadataStore.performReadBlacklistEntry({ address });
+    if (entry === null) {
+      entry = { address, type: 0, policy: null, reason: null, expireDate: null };
+    }
+
+    this.cache.set(address, entry);
+    return entry;
+  }
+
+  /*
+   * The rules that apply now, with the entry's reason and expireDate
+   *   for the ones without their own.
+   */
+  getPolicy(entry) {
+    const now = Date.now();
+    // An expired entry is kept for the record but doesn't apply anymore.
+    if (isNumber(entry.expireDate) && entry.expireDate <= now) return {};
+
+    const policy = isObject(entry.policy) ? entry.policy : getLegacyPolicy(entry.type);
+
+    const activePolicy = {};
+    for (const [operation, rule] of Object.entries(policy)) {
+      const expireDate = isNumber(rule.expireDate) ? rule.expireDate : entry.expireDate;
+      if (isNumber(expireDate) && expireDate <= now) continue;
+
+      activePolicy[operation] = {
+        isAllowed: rule.isAllowed === true,
+        reason: isString(rule.reason) ? rule.reason : (entry.reason || null),
+        expireDate: isNumber(expireDate) ? expireDate : null,
+      };
+    }
+    return activePolicy;
+  }
 
-    type = await this.driver.performReadBlacklistType({ address });
+  async getBlacklistRule(address, performType) {
+    const entry = await this.getBlacklistEntry(address);
+    const policy = this.getPolicy(entry);
 
-    this.cache.set(address, type);
-    return type;
+    // The rule of the operation, or else of all operations.
+    const rule = policy[performType] || policy['*'] || null;
+    return { rule, policy };
   }
 
   async isBlacklisted(address, performType) {
-    const type = await this.getBlacklistType(address);
-    if (type === 0) return false;
-    if (type === 1) return true;
-    if (type === 2 && performType === PUT_FILE) return true;
-    return false;
+    const { rule } = await this.getBlacklistRule(address, performType);
+    return rule !== null && !rule.isAllowed;
+  }
+
+  async checkBlacklisted(address, performType) {
+    const { rule, policy } = await this.getBlacklistRule(address, performType);
+    if (rule !== null && !rule.isAllowed) {
+      throw new BlacklistedError(
+        `Address ${address} is on the not authorized list for ${performType}`,
+        performType,
+        policy
+      );
+    }
+  }
+
+  async invalidate(address) {
+    this.cache.delete(address);
+    if (!this.pubSub) return;
+
+    // The other instances get it through a shared pub/sub, see config pubSub.
+    //   The change is already made, so if publishing fails, only report.
+    try {
+      await this.pubSub.publish(BLACKLIST_CHANNEL, { address });
+    } catch (error) {
+      console.error('Blacklist publish error', error, JSON.stringify({ address }));
+    }
+  }
+
+  async addAudit(address, action, before, after, actor) {
+    const now = Date.now();
+    await this.metadataStore.performAddBlacklistAudit({
+      id: `${now}-${generateUniqueID()}`,
+      address,
+      action,
+      before,
+      after,
+      actor,
+      createDate: now,
+    });
+  }
+
+  /*
+   * Adds or updates the entry of an address with a legacy type or a policy,
+   *   actor is who made the change, e.g. an email, for the audit trail.
+   */
+  async putEntry(address, type, policy, reason, expireDate, actor) {
+    if (policy !== null) {
+      if (type !== null) {
+        throw new InvalidInputError('Invalid type: must be null with a policy');
+      }
+      policy = parsePolicy(policy);
+    } else if (!BLACKLIST_TYPES.includes(type)) {
+      throw new InvalidInputError(`Invalid type: ${type}`);
+    }
+    validateReason(reason);
+    validateExpireDate(expireDate);
+    validateActor(actor);
+
+    const before = await this.metadataStore.performReadBlacklistEntry({ address });
+
+    const now = Date.now();
+    const entry = {
+      address,
+      type: policy !== null ? 0 : type,
+      policy,
+      reason,
+      expireDate,
+      createDate: before !== null && isNumber(before.createDate) ? before.createDate : now,
+      updateDate: now,
+    };
+    await this.metadataStore.performPutBlacklistEntry(entry);
+    await this.invalidate(address);
+
+    await this.addAudit(address, before === null ? 'add' : 'update', before, entry, actor);
+    return entry;
+  }
+
+  async deleteEntry(address, actor) {
+    validateActor(actor);
+
+    const before = await this.metadataStore.performReadBlacklistEntry({ address });
+    if (before === null) throw new DoesNotExist('Blacklist entry does not exist');
+
+    await this.metadataStore.performDeleteBlacklistEntry({ address });
+    await this.invalidate(address);
+
+    await this.addAudit(address, 'remove', before, null, actor);
+  }
+
+  async listEntries(startAfter, limit) {
+    const entries = await this.metadataStore.performListBlacklistEntries({
+      startAfter, limit,
+    });
+    return entries;
+  }
+
+  async listAudits(address, limit) {
+    const audits = await this.metadataStore.performListBlacklistAudits({ address, limit });
+    return audits;
   }
 }
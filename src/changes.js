@@ -0,0 +1,105 @@
+import { CursorExpiredError, InvalidInputError, NotImplementedError } from './errors';
+import { isNumber, isString } from './utils';
+
+const encodeCursor = (addDate, id) => {
+  return Buffer.from(JSON.stringify([addDate, id]), 'utf8').toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new InvalidInputError(`Invalid cursor: ${cursor}`);
+  }
+  if (
+    !Array.isArray(parsed) || !isNumber(parsed[0]) ||
+    !(parsed[1] === null || isString(parsed[1]))
+  ) {
+    throw new InvalidInputError(`Invalid cursor: ${cursor}`);
+  }
+  return { addDate: parsed[0], id: parsed[1] };
+};
+
+/*
+ * Lists the changes of an address from the file logs that the tasker adds,
+ *   in the order they're added, after a cursor from the previous call.
+ * File logs are added after the files are written, so only the ones older than
+ *   settleTime are listed, for the ones being added at the same time to show up.
+ * A cursor older than maxCursorAge is expired, the client needs to list all files
+ *   again and continue from the latest cursor.
+ * Only the built-in tasker adds file logs with addDate, so the feed is disabled
+ *   if the tasks go elsewhere, e.g. cloud-tasks to an external tasker url.
+ */
+export class ChangeFeed {
+
+  constructor(metadataStore, config, isEnabled) {
+    this.metadataStore = metadataStore;
+    this.isEnabled = isEnabled;
+
+    const changeFeedSettings = config.changeFeedSettings || {};
+    this.maxCursorAge = changeFeedSettings.maxCursorAge || 30 * 24 * 60 * 60 * 1000;
+    this.settleTime = changeFeedSettings.settleTime || 5 * 1000;
+    this.maxPageSize = changeFeedSettings.maxPageSize || 1000;
+  }
+
+  validateEnabled() {
+    if (!this.isEnabled) {
+      throw new NotImplementedError(
+        'Changes are only listed with the built-in tasker, in-process or /tasker'
+      );
+    }
+  }
+
+  getLatestCursor() {
+    return encodeCursor(Date.now() - this.settleTime, null);
+  }
+
+  async listChanges(address, cursor, pageSize) {
+    const now = Date.now();
+    const endDate = now - this.settleTime;
+
+    // Without a cursor, from the oldest change that can be listed.
+    let start = { addDate: now - this.maxCursorAge, id: null };
+    if (cursor !== null) {
+      start = decodeCursor(cursor);
+      if (start.addDate < now - this.maxCursorAge) {
+        throw new CursorExpiredError('Cursor is expired, list all files again');
+      }
+    }
+
+    pageSize = parseInt(pageSize, 10);
+    if (!Number.isFinite(pageSize) || pageSize > this.maxPageSize || pageSize <= 0) {
+      pageSize = this.maxPageSize;
+    }
+
+    const fileLogs = await this.metadataStore.performListFileLogs({
+      address, startDate: start.addDate, startId: start.id, limit: pageSize + 1,
+    });
+    const settledLogs = fileLogs.filter(fileLog => fileLog.addDate <= endDate);
+    const hasMore = settledLogs.length > pageSize;
+    const selectedLogs = settledLogs.slice(0, pageSize);
+
+    const changes = selectedLogs.map(fileLog => {
+      return {
+        path: fileLog.path.slice(address.length + 1),
+        action: fileLog.action,
+        size: fileLog.size,
+        createDT: fileLog.createDT,
+      };
+    });
+
+    // Move an idle cursor forward so that it doesn't expire.
+    let nextCursor;
+    if (selectedLogs.length > 0) {
+      const lastLog = selectedLogs[selectedLogs.length - 1];
+      nextCursor = encodeCursor(lastLog.addDate, lastLog.id);
+    } else if (start.addDate < endDate) {
+      nextCursor = encodeCursor(endDate, null);
+    } else {
+      nextCursor = encodeCursor(start.addDate, start.id);
+    }
+
+    return { changes, cursor: nextCursor, hasMore };
+  }
+}
@@ -0,0 +1,171 @@
+import * as fs from 'fs';
+import * as http from 'http';
+import * as os from 'os';
+import * as pathLib from 'path';
+
+import MemoryDriver from './drivers/MemoryDriver';
+import DiskDriver from './drivers/DiskDriver';
+import GcDriver from './drivers/GcDriver';
+import { MockGcStorage } from './drivers/MockGcStorage';
+import S3Driver from './drivers/S3Driver';
+import { MockS3Client } from './drivers/MockS3Client';
+import { runDriverConformance } from './drivers/conformance';
+import MemoryMetadataStore from './metadata-stores/MemoryMetadataStore';
+import JsonFileMetadataStore from './metadata-stores/JsonFileMetadataStore';
+import { runMetadataStoreConformance } from './metadata-stores/conformance';
+import InProcessDispatcher from './task-dispatchers/InProcessDispatcher';
+import WebhookDispatcher from './task-dispatchers/WebhookDispatcher';
+import { runTaskDispatcherConformance } from './task-dispatchers/conformance';
+import InProcessPubSub from './pub-subs/InProcessPubSub';
+import CloudPubSub from './pub-subs/CloudPubSub';
+import { MockGcPubSub } from './pub-subs/MockGcPubSub';
+import { runPubSubConformance } from './pub-subs/conformance';
+
+class MockedGcDriver extends GcDriver {
+  createIfNeeded() {
+    this.storage = new MockGcStorage();
+    return super.createIfNeeded();
+  }
+}
+
+class MockedS3Driver extends S3Driver {
+  createIfNeeded() {
+    this.s3 = new MockS3Client();
+    return super.createIfNeeded();
+  }
+}
+
+class MockedCloudPubSub extends CloudPubSub {
+  constructor(config, client) {
+    super(config);
+    this.pubSub = client;
+  }
+}
+
+const receive = (receiver, payload) => {
+  if (receiver.nFailures > 0) {
+    receiver.nFailures -= 1;
+    throw new Error('Receiver failed on purpose');
+  }
+  receiver.received.push(payload);
+};
+
+const startWebhookReceiver = (receiver, secret) => {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      try {
+        if (req.headers['authorization'] !== `Bearer ${secret}`) {
+          throw new Error('Invalid secret');
+        }
+        receive(receiver, JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        res.writeHead(200);
+      } catch (error) {
+        res.writeHead(500);
+      }
+      res.end();
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+};
+
+const main = async () => {
+  const config = {
+    readURL: 'http://localhost:8088/read/',
+    bucket: 'test-bucket',
+    backupBucket: 'test-backup-bucket',
+  };
+
+  let nFailed = 0;
+
+  const memoryDriver = new MemoryDriver(config);
+  nFailed += await runDriverConformance('memory', memoryDriver);
+
+  const rootDir = await fs.promises.mkdtemp(pathLib.join(os.tmpdir(), 'sdrive-hub-'));
+  try {
+    const diskDriver = new DiskDriver({
+      ...config,
+      diskSettings: {
+        storageRootDirectory: pathLib.join(rootDir, 'storage'),
+        backupDirectory: pathLib.join(rootDir, 'backup'),
+      },
+    });
+    nFailed += await runDriverConformance('disk', diskDriver);
+  } finally {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  }
+
+  const gcDriver = new MockedGcDriver(config);
+  nFailed += await runDriverConformance('google-cloud', gcDriver);
+
+  const s3Driver = new MockedS3Driver({ ...config, s3Settings: { region: 'us-east-1' } });
+  nFailed += await runDriverConformance('s3', s3Driver);
+
+  const s3UnconditionalDriver = new MockedS3Driver({
+    ...config, s3Settings: { region: 'us-east-1', isConditionalDeleteSupported: false },
+  });
+  nFailed += await runDriverConformance('s3-unconditional-delete', s3UnconditionalDriver);
+
+  const memoryMetadataStore = new MemoryMetadataStore(config);
+  nFailed += await runMetadataStoreConformance('memory', memoryMetadataStore);
+
+  const metadataDir = await fs.promises.mkdtemp(pathLib.join(os.tmpdir(), 'sdrive-hub-'));
+  try {
+    const jsonFileMetadataStore = new JsonFileMetadataStore({
+      ...config,
+      jsonFileMetadataSettings: { filePath: pathLib.join(metadataDir, 'metadata.json') },
+    });
+    nFailed += await runMetadataStoreConformance('json-file', jsonFileMetadataStore);
+  } finally {
+    await fs.promises.rm(metadataDir, { recursive: true, force: true });
+  }
+
+  const taskConfig = { ...config, taskDispatchTries: 3, taskDispatchBaseDelay: 1 };
+
+  const inProcessReceiver = { received: [], nFailures: 0 };
+  const inProcessDispatcher = new InProcessDispatcher({
+    ...taskConfig,
+    taskHandler: async (payload) => receive(inProcessReceiver, payload),
+  });
+  nFailed += await runTaskDispatcherConformance(
+    'in-process', inProcessDispatcher, inProcessReceiver
+  );
+
+  const webhookReceiver = { received: [], nFailures: 0 };
+  const webhookServer = await startWebhookReceiver(webhookReceiver, 'secret');
+  try {
+    const { port } = /** @type any */(webhookServer.address());
+    const webhookDispatcher = new WebhookDispatcher({
+      ...taskConfig,
+      webhookDispatcherSettings: { url: `http://127.0.0.1:${port}/`, secret: 'secret' },
+    });
+    nFailed += await runTaskDispatcherConformance(
+      'webhook', webhookDispatcher, webhookReceiver
+    );
+  } finally {
+    webhookServer.close();
+  }
+
+  const inProcessPubSub = new InProcessPubSub(config);
+  nFailed += await runPubSubConformance('in-process', inProcessPubSub);
+
+  // Two hub instances on the same topic.
+  const gcPubSubClient = new MockGcPubSub();
+  const pubSubConfig = { ...config, cloudPubSubSettings: { topic: 'test-topic' } };
+  const cloudPubSub = new MockedCloudPubSub(pubSubConfig, gcPubSubClient);
+  const otherCloudPubSub = new MockedCloudPubSub(pubSubConfig, gcPubSubClient);
+  nFailed += await runPubSubConformance('google-cloud', cloudPubSub, otherCloudPubSub);
+  await Promise.all([cloudPubSub.dispose(), otherCloudPubSub.dispose()]);
+
+  if (nFailed > 0) {
+    console.log(`${nFailed} case(s) failed`);
+    process.exit(1);
+  }
+  console.log('All cases passed');
+  process.exit(0);
+};
+
+main();
@@ -1,3 +1,7 @@
+import {
+  SDRIVE_HUB_TASKER_URL, SDRIVE_HUB_TASKER_EMAIL,
+} from './sdrive-hub-tasker-keys';
+
 const config = {
   'serverName': 'hub.stacksdrive.com',
   //'port': 4000,
@@ -6,18 +10,119 @@ const config = {
   'driver': 'google-cloud',
   'bucket': 'sdrive-001.appspot.com',
   'backupBucket': 'sdrive-hub-backup',
+  'metadataStore': 'datastore',
+  /*'jsonFileMetadataSettings': {
+    'filePath': '/var/lib/sdrive-hub/metadata.json'
+  },*/
+  'taskDispatcher': 'cloud-tasks',
+  'cloudTasksSettings': {
+    'project': 'sdrive-001',
+    'location': 'us-central1',
+    'queue': 'sdrive-hub-tasker',
+    'url': SDRIVE_HUB_TASKER_URL,
+    'serviceAccountEmail': SDRIVE_HUB_TASKER_EMAIL,
+  },
+  /*'webhookDispatcherSettings': {
+    'url': 'http://localhost:8089/',
+    'secret': 'YOUR_SHARED_SECRET'
+  },*/
+  /*'taskerSettings': {
+    'secret': 'YOUR_SHARED_SECRET',
+    'oidcAudience': 'https://YOUR_HUB_URL/tasker',
+    'oidcServiceAccountEmail': 'YOUR_SERVICE_ACCOUNT_EMAIL'
+  },*/
+  // With more than one hub instance, set pubSub to a shared one e.g. cloud-pubsub
+  //   so that /subscribe gets the changes made through every instance and
+  //   blacklist changes apply on every instance right away.
+  //   cloud-pubsub creates its topic and a subscription per instance on start.
+  //'pubSub': 'in-process',
+  /*'cloudPubSubSettings': {
+    'project': 'YOUR_PROJECT_ID',
+    'topic': 'sdrive-hub'
+  },*/
+  /*'notificationSettings': {
+    'heartbeatInterval': 25000,
+    'maxDuration': 3600000,
+    'ticketTime': 60000
+  },*/
+  //'taskDispatchTries': 3,
+  //'taskDispatchBaseDelay': 200,
+  //'outboxFlushInterval': 60000,
+  //'adminSecret': 'YOUR_ADMIN_SECRET',
+  // With the disk driver, a name can't be both a file and a folder, e.g. a and a/b.
+  /*'diskSettings': {
+    'storageRootDirectory': '/var/lib/sdrive-hub'
+  },*/
+  /*'s3Settings': {
+    'region': 'us-east-1',
+    'endpoint': 'http://localhost:9000',
+    'forcePathStyle': true,
+    'isConditionalDeleteSupported': true,
+    'credentials': {
+      'accessKeyId': 'YOUR_ACCESS_KEY_ID',
+      'secretAccessKey': 'YOUR_SECRET_ACCESS_KEY'
+    }
+  },*/
   /*'gcCredentials': {
     'keyFilename': 'YOUR_KEY_FILE_PATH'
   },*/
   'readURL': 'https://storage.googleapis.com/sdrive-001.appspot.com/',
+  // Store files non-public, read them with an auth token via the hub instead,
+  //   and set readURL to the hub's read route e.g. https://hub.stacksdrive.com/read/
+  //'privateStorage': true,
   /*'proofsConfig': {
     'proofsRequired': 0
   },*/
   'pageSize': 2400,
   'cacheControl': 'public, max-age=1',
   'maxFileUploadSize': 20,
+  // Resumable uploads put chunks of up to maxFileUploadSize each,
+  //   maxUploadSize is in megabytes and expireTime in milliseconds.
+  /*'uploadSettings': {
+    'maxUploadSize': 1024,
+    'expireTime': 604800000,
+    'sweepInterval': 3600000
+  },*/
+  // Responses of /store and /perform-files with an Idempotency-Key header are
+  //   kept for expireTime in milliseconds and replayed for a retry.
+  /*'idempotencySettings': {
+    'expireTime': 86400000,
+    'sweepInterval': 3600000
+  },*/
+  // /changes lists the file logs added settleTime ago or before, a cursor older
+  //   than maxCursorAge, in milliseconds, is expired.
+  // The file logs are added by the built-in tasker, so /changes responds 501 unless
+  //   the task dispatcher is in-process or taskerSettings is set. Set isEnabled
+  //   if the tasks come to this hub's /tasker otherwise, e.g. cloudTasksSettings.url.
+  /*'changeFeedSettings': {
+    'isEnabled': true,
+    'maxCursorAge': 2592000000,
+    'settleTime': 5000
+  },*/
+  // Webhooks that address owners add get the changes POSTed, signed with
+  //   HMAC-SHA256, and retried up to maxAttempts before a dead letter.
+  /*'webhookSettings': {
+    'maxWebhooks': 10,
+    'maxAttempts': 8,
+    'timeout': 10000,
+    'flushInterval': 60000
+  },*/
   'authTimestampCacheSize': 800,
   'blacklistCacheSize': 800,
+  // Usage per address starts from listing its existing files on its first write.
+  /*'quotaSettings': {
+    'default': { 'maxBytes': 1073741824, 'maxObjects': 100000 },
+    'tiers': { 'pro': { 'maxBytes': 107374182400 } },
+    'addresses': { 'YOUR_ADDRESS': 'pro' }
+  },*/
+  // Prunes historical files, a version is kept if it's one of the newest
+  //   keepVersions or younger than keepDays, and never pruned within holdDays.
+  /*'retentionSettings': {
+    'default': { 'keepVersions': 20, 'keepDays': 90 },
+    'prefixes': { 'YOUR_PATH_PREFIX/': { 'keepVersions': 5 } },
+    'holdDays': 30,
+    'pruneInterval': 86400000
+  },*/
   //'whitelist': [],
   /*'argsTransport': {
     'level': 'debug',
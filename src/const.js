@@ -1,11 +1,28 @@
 export const FILE_LOG = 'FileLog';
 export const REVOCATION = 'Revocation';
 export const BLACKLIST = 'Blacklist';
+export const BLACKLIST_AUDIT = 'BlacklistAudit';
+export const OUTBOX = 'Outbox';
+export const USAGE = 'Usage';
+export const UPLOAD = 'Upload';
+export const IDEMPOTENCY = 'Idempotency';
+export const WEBHOOK = 'Webhook';
+export const WEBHOOK_DELIVERY = 'WebhookDelivery';
+export const WEBHOOK_DEAD_LETTER = 'WebhookDeadLetter';
+export const SUBSCRIBE_TICKET = 'SubscribeTicket';
 
 export const PUT_FILE = 'putFile';
 export const DELETE_FILE = 'deleteFile';
 export const LIST_FILES = 'listFiles';
+export const LIST_CHANGES = 'listChanges';
 export const PERFORM_FILES = 'performFiles';
+export const GET_FILE = 'getFile';
+export const STAT_FILES = 'statFiles';
+export const LIST_VERSIONS = 'listVersions';
+export const RENAME_FILE = 'renameFile';
+export const COPY_FILE = 'copyFile';
+export const RESTORE_VERSION = 'restoreVersion';
+export const MANAGE_WEBHOOKS = 'manageWebhooks';
 
 export const CREATE_FILE = 'createFile';
 export const UPDATE_FILE = 'updateFile';
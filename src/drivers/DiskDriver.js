@@ -0,0 +1,688 @@
+import * as fs from 'fs';
+import * as crypto from 'crypto';
+import * as pathLib from 'path';
+import * as stream from 'stream';
+
+import { CREATE_FILE, UPDATE_FILE, DELETE_FILE } from '../const';
+import {
+  PreconditionFailedError, BadPathError, InvalidInputError, DoesNotExist,
+  ConflictError, RangeNotSatisfiableError,
+} from '../errors';
+import {
+  dateToUnixTimeSeconds, isObject, isString, pipelineAsync, resolveRange, selectListItems,
+} from '../utils';
+
+const OBJECTS_DIR = 'objects';
+const METADATA_DIR = 'metadata';
+const TMP_DIR = 'tmp';
+
+const isPathValid = (path) => {
+  // for now, only disallow double dots.
+  return !path.includes('..');
+};
+
+const formatETagFromMD5 = (md5Hash) => {
+  const hex = Buffer.from(md5Hash, 'base64').toString('hex');
+  const formatted = `"${hex}"`;
+  return formatted;
+};
+
+const parseFileMetadataStat = (metadata) => {
+  const lastModified = dateToUnixTimeSeconds(new Date(metadata.updated));
+  const result = {
+    exists: true,
+    etag: formatETagFromMD5(metadata.md5Hash),
+    contentType: metadata.contentType,
+    contentLength: parseInt(metadata.size, 10),
+    lastModifiedDate: lastModified,
+    generation: metadata.generation,
+  };
+  return result;
+};
+
+const encodePageToken = (name) => {
+  return Buffer.from(name, 'utf8').toString('base64url');
+};
+
+const decodePageToken = (page) => {
+  return Buffer.from(page, 'base64url').toString('utf8');
+};
+
+const isConflictCode = (code) => {
+  return ['EEXIST', 'ENOTDIR', 'EISDIR'].includes(code);
+};
+
+/*
+ * Keeps the objects as files under storageRootDirectory. Like a file system,
+ *   a name can't be both a file and a folder, e.g. a and a/b, writing or
+ *   renaming to the other one fails with ConflictError.
+ */
+class DiskDriver {
+
+  constructor(config) {
+    const diskSettings = config.diskSettings || {};
+    if (!diskSettings.storageRootDirectory) {
+      throw new Error('Config is missing diskSettings.storageRootDirectory');
+    }
+    if (!config.readURL) {
+      throw new Error('Config is missing readURL');
+    }
+
+    this.storageRootDirectory = pathLib.resolve(diskSettings.storageRootDirectory);
+    this.objectsDirectory = pathLib.join(this.storageRootDirectory, OBJECTS_DIR);
+    this.metadataDirectory = pathLib.join(this.storageRootDirectory, METADATA_DIR);
+    this.tmpDirectory = pathLib.join(this.storageRootDirectory, TMP_DIR);
+    this.backupDirectory = diskSettings.backupDirectory ?
+      pathLib.resolve(diskSettings.backupDirectory) : null;
+    this.readURL = config.readURL.endsWith('/') ? config.readURL : `${config.readURL}/`;
+    this.pageSize = config.pageSize ? config.pageSize : 100;
+    this.cacheControl = config.cacheControl;
+    this.locks = new Map();
+    this.generationSeq = 0;
+    this.initPromise = this.createIfNeeded();
+  }
+
+  ensureInitialized() {
+    return this.initPromise;
+  }
+
+  dispose() {
+    return Promise.resolve();
+  }
+
+  getReadURLPrefix() {
+    return this.readURL;
+  }
+
+  async createIfNeeded() {
+    const dirs = [this.objectsDirectory, this.metadataDirectory, this.tmpDirectory];
+    for (const dir of dirs) {
+      await fs.promises.mkdir(dir, { recursive: true });
+    }
+  }
+
+  async deleteEmptyBucket() {
+    const files = await this.listFiles({ pathPrefix: '' });
+    if (files.entries.length > 0) {
+      throw new Error('Tried deleting non-empty bucket');
+    }
+    await fs.promises.rm(this.storageRootDirectory, { recursive: true, force: true });
+  }
+
+  getObjectPath(filename) {
+    return pathLib.join(this.objectsDirectory, ...filename.split('/'));
+  }
+
+  getMetadataPath(filename) {
+    // Flat by hash so metadata paths can never conflict with each other.
+    const name = crypto.createHash('sha256').update(filename).digest('hex');
+    return pathLib.join(this.metadataDirectory, `${name}.json`);
+  }
+
+  nextGeneration() {
+    // Like Cloud Storage, every new version of an object gets a new generation
+    //   and generations are never reused, even after deletion.
+    this.generationSeq = (this.generationSeq + 1) % 1000;
+    return String(Date.now() * 1000 + this.generationSeq);
+  }
+
+  async withLock(filenames, fn) {
+    // Serialize read-check-write sequences per file so that preconditions
+    //   are atomic within this process.
+    const keys = [...new Set(filenames)].sort();
+    const prevs = keys.map(key => this.locks.get(key) || Promise.resolve());
+
+    let release;
+    const current = new Promise(resolve => release = resolve);
+    for (const key of keys) this.locks.set(key, current);
+
+    try {
+      await Promise.all(prevs);
+      return await fn();
+    } finally {
+      release();
+      for (const key of keys) {
+        if (this.locks.get(key) === current) this.locks.delete(key);
+      }
+    }
+  }
+
+  /*
+   * Yields the names under dir in the order of a bucket listing, a directory
+   *   sorts as its name with a slash like the names in it. Directories outside
+   *   prefix or all at or before startName aren't read, and with delimiter '/',
+   *   a rolled up directory only yields its first name.
+   */
+  async *walkObjects(dir, relDir, prefix, startName, delimiter) {
+    let dirents;
+    try {
+      dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return;
+      throw error;
+    }
+
+    const children = [];
+    for (const dirent of dirents) {
+      const relName = relDir ? `${relDir}/${dirent.name}` : dirent.name;
+      const childDir = pathLib.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        children.push({ key: `${relName}/`, relName, childDir, isDirectory: true });
+      } else if (dirent.isFile()) {
+        children.push({ key: relName, relName, childDir, isDirectory: false });
+      }
+    }
+    children.sort((a, b) => (a.key < b.key ? -1 : 1));
+
+    for (const { key, relName, childDir, isDirectory } of children) {
+      if (!isDirectory) {
+        if (key.startsWith(prefix) && (startName === null || key > startName)) yield key;
+        continue;
+      }
+
+      if (!key.startsWith(prefix) && !prefix.startsWith(key)) continue;
+      if (startName !== null && key < startName && !startName.startsWith(key)) continue;
+
+      if (delimiter === '/' && key.startsWith(prefix)) {
+        if (startName !== null && key <= startName) continue;
+        for await (const name of this.walkObjects(childDir, relName, prefix, null, null)) {
+          yield name;
+          break;
+        }
+        continue;
+      }
+      yield* this.walkObjects(childDir, relName, prefix, startName, delimiter);
+    }
+  }
+
+  async listAllObjects(prefix, page, pageSize, delimiter = null, startAfter = null) {
+    pageSize = parseInt(pageSize, 10);
+    if (!Number.isFinite(pageSize) || pageSize > this.pageSize || pageSize <= 0) {
+      pageSize = this.pageSize;
+    }
+
+    // Only walk the deepest directory that fully contains the prefix.
+    const slashIndex = prefix.lastIndexOf('/');
+    const relDir = slashIndex >= 0 ? prefix.slice(0, slashIndex) : '';
+    const dir = relDir ? this.getObjectPath(relDir) : this.objectsDirectory;
+
+    // A page is where the previous one stopped, so it goes over startAfter.
+    let startName = isString(startAfter) ? `${prefix}${startAfter}` : null;
+    if (page) startName = decodePageToken(page);
+
+    // Read up to a full page, names under another delimiter can roll up
+    //   so check every pageSize + 1 names.
+    const names = [];
+    let selected = null;
+    for await (const name of this.walkObjects(dir, relDir, prefix, startName, delimiter)) {
+      names.push(name);
+      if (names.length % (pageSize + 1) !== 0) continue;
+
+      selected = selectListItems(names, prefix, delimiter, startName, pageSize);
+      if (selected.hasMore) break;
+    }
+    if (selected === null || !selected.hasMore) {
+      selected = selectListItems(names, prefix, delimiter, startName, pageSize);
+    }
+    const { items, hasMore } = selected;
+
+    const fileEntries = items.filter(item => !item.isPrefix).map(({ key }) => {
+      return { name: key.slice(prefix.length), filename: key };
+    });
+    const prefixes = items.filter(item => item.isPrefix).map(({ key }) => {
+      return key.slice(prefix.length);
+    });
+    const result = {
+      entries: fileEntries,
+      prefixes,
+      page: hasMore ? encodePageToken(items[items.length - 1].key) : null,
+    };
+    return result;
+  }
+
+  async listFiles(args) {
+    const listResult = await this.listAllObjects(
+      args.pathPrefix, args.page, args.pageSize, args.delimiter, args.startAfter
+    );
+    const result = {
+      page: listResult.page,
+      prefixes: listResult.prefixes,
+      entries: listResult.entries.map(file => file.name),
+    };
+    return result;
+  }
+
+  async listFilesStat(args) {
+    const listResult = await this.listAllObjects(
+      args.pathPrefix, args.page, args.pageSize, args.delimiter, args.startAfter
+    );
+
+    const entries = [];
+    for (const entry of listResult.entries) {
+      const statResult = await this._performStat(entry.filename);
+      // The file might be deleted while listing.
+      if (!statResult.exists) continue;
+
+      entries.push({ ...statResult, name: entry.name, exists: true });
+    }
+
+    const result = { page: listResult.page, prefixes: listResult.prefixes, entries };
+    return result;
+  }
+
+  async readMetadata(filename) {
+    try {
+      const text = await fs.promises.readFile(this.getMetadataPath(filename), 'utf8');
+      return JSON.parse(text);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeMetadata(filename, metadata) {
+    await fs.promises.writeFile(
+      this.getMetadataPath(filename), JSON.stringify(metadata)
+    );
+  }
+
+  async deleteMetadata(filename) {
+    await fs.promises.rm(this.getMetadataPath(filename), { force: true });
+  }
+
+  async removeEmptyDirs(rootDir, filename) {
+    const parts = filename.split('/').slice(0, -1);
+    while (parts.length > 0) {
+      try {
+        await fs.promises.rmdir(pathLib.join(rootDir, ...parts));
+      } catch (error) {
+        // Not empty or already gone, either way stop here.
+        return;
+      }
+      parts.pop();
+    }
+  }
+
+  async computeMetadata(filename) {
+    // For a file without metadata e.g. copied in by hand.
+    const objectPath = this.getObjectPath(filename);
+    const fileStat = await fs.promises.stat(objectPath);
+    if (!fileStat.isFile()) return null;
+
+    const hash = crypto.createHash('md5');
+    await pipelineAsync(fs.createReadStream(objectPath), hash);
+
+    const metadata = {
+      contentType: 'application/octet-stream',
+      md5Hash: hash.digest('base64'),
+      size: fileStat.size,
+      updated: fileStat.mtime.toISOString(),
+      generation: String(Math.floor(fileStat.mtimeMs * 1000)),
+    };
+    await this.writeMetadata(filename, metadata);
+    return metadata;
+  }
+
+  async _performStat(filename) {
+    try {
+      let metadata = await this.readMetadata(filename);
+      if (!isObject(metadata)) metadata = await this.computeMetadata(filename);
+      if (!isObject(metadata)) return { exists: false };
+
+      const result = parseFileMetadataStat(metadata);
+      return result;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        const result = { exists: false };
+        return result;
+      }
+
+      throw error;
+    }
+  }
+
+  async writeTmpFile(content) {
+    const tmpPath = pathLib.join(
+      this.tmpDirectory, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`
+    );
+
+    let size = 0;
+    const hash = crypto.createHash('md5');
+    const hashStream = new stream.Transform({
+      transform: (chunk, _encoding, callback) => {
+        size += chunk.length;
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+
+    let source = content;
+    if (typeof content === 'string' || Buffer.isBuffer(content)) {
+      source = stream.Readable.from([Buffer.from(content)]);
+    }
+
+    try {
+      await pipelineAsync(source, hashStream, fs.createWriteStream(tmpPath));
+    } catch (error) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw error;
+    }
+
+    return { tmpPath, md5Hash: hash.digest('base64'), size };
+  }
+
+  async moveIntoPlace(srcPath, filename) {
+    const objectPath = this.getObjectPath(filename);
+    try {
+      await fs.promises.mkdir(pathLib.dirname(objectPath), { recursive: true });
+      await fs.promises.rename(srcPath, objectPath);
+    } catch (error) {
+      if (isConflictCode(error.code)) {
+        throw new ConflictError('The path conflicts with an existing file or folder');
+      }
+      throw error;
+    }
+  }
+
+  async performWrite(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+    if (args.contentType && args.contentType.length > 1024) {
+      throw new InvalidInputError('Invalid content-type');
+    }
+
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    // Check the preconditions before receiving the content to fail early,
+    //   then check again when committing like ifGenerationMatch.
+    const stat = await this._performStat(filename);
+    this.validateWritePreconditions(args, stat);
+
+    const { tmpPath, md5Hash, size } = await this.writeTmpFile(args.content);
+
+    let action, contentLength;
+    try {
+      const metadata = await this.withLock([filename], async () => {
+        const cStat = await this._performStat(filename);
+        if (cStat.exists !== stat.exists || cStat.generation !== stat.generation) {
+          throw new PreconditionFailedError(`The provided generation: ${stat.generation || 0} does not match the resource on the server`);
+        }
+
+        const mtd = {
+          contentType: args.contentType,
+          md5Hash,
+          size,
+          updated: new Date().toISOString(),
+          generation: this.nextGeneration(),
+        };
+        if (this.cacheControl) mtd.cacheControl = this.cacheControl;
+
+        await this.moveIntoPlace(tmpPath, filename);
+        await this.writeMetadata(filename, mtd);
+
+        [action, contentLength] = cStat.exists ?
+          [UPDATE_FILE, cStat.contentLength] : [CREATE_FILE, 0];
+        return mtd;
+      });
+
+      const result = {
+        publicURL: `${this.getReadURLPrefix()}${filename}`,
+        etag: formatETagFromMD5(metadata.md5Hash),
+      };
+      const fileLog = this.createFileLog(
+        filename, args.assoIssAddress, action, size, size - contentLength, result.etag
+      );
+
+      return { result, backupPaths: [filename], fileLogs: [fileLog] };
+    } finally {
+      await fs.promises.rm(tmpPath, { force: true });
+    }
+  }
+
+  validateWritePreconditions(args, stat) {
+    this.validateMatchTag(args.ifMatchTag, stat.exists ? stat.etag : null);
+    if (args.ifNoneMatchTag && args.ifNoneMatchTag === '*') {
+      // only proceed with writing file if the file does not already exist
+      if (stat.exists) {
+        throw new PreconditionFailedError('The entity you are trying to create already exists', stat.etag);
+      }
+    }
+  }
+
+  async performDelete(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    const contentLength = await this.withLock([filename], async () => {
+      const stat = await this._performStat(filename);
+      if (!stat.exists) throw new DoesNotExist('File does not exist');
+
+      this.validateMatchTag(args.ifMatchTag, stat.etag);
+
+      try {
+        await fs.promises.rm(this.getObjectPath(filename));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new DoesNotExist('File does not exist');
+        }
+        throw error;
+      }
+      await this.deleteMetadata(filename);
+      await this.removeEmptyDirs(this.objectsDirectory, filename);
+
+      return stat.contentLength;
+    });
+
+    const fileLog = this.createFileLog(
+      filename, args.assoIssAddress, DELETE_FILE, 0, -1 * contentLength
+    );
+
+    return { backupPaths: [], fileLogs: [fileLog] };
+  }
+
+  async performStat(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    const result = await this._performStat(filename);
+    return result;
+  }
+
+  async performRead(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    // Open under the lock, a later write replaces the file by renaming
+    //   so the opened one still has the content matching the etag.
+    const [stat, fileHandle] = await this.withLock([filename], async () => {
+      const stat = await this._performStat(filename);
+      if (!stat.exists) throw new DoesNotExist('File does not exist');
+
+      try {
+        const fileHandle = await fs.promises.open(this.getObjectPath(filename), 'r');
+        return [stat, fileHandle];
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new DoesNotExist('File does not exist');
+        }
+
+        throw error;
+      }
+    });
+
+    const options = {};
+    let range = null;
+    if (args.range) {
+      range = resolveRange(args.range, stat.contentLength);
+      if (!range) {
+        await fileHandle.close();
+        throw new RangeNotSatisfiableError('Range Not Satisfiable', stat.contentLength);
+      }
+      [options.start, options.end] = [range.start, range.end];
+    }
+
+    const content = fileHandle.createReadStream(options);
+    return { ...stat, range, content };
+  }
+
+  async performRename(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid original path');
+    }
+    if (!isPathValid(args.newPath)) {
+      throw new BadPathError('Invalid new path');
+    }
+
+    const filename = `${args.storageTopLevel}/${args.path}`;
+    const newFilename = `${args.storageTopLevel}/${args.newPath}`;
+
+    const [contentLength, newStat, metadata] = await this.withLock(
+      [filename, newFilename],
+      async () => {
+        const stat = await this._performStat(filename);
+        if (!stat.exists) throw new DoesNotExist('File does not exist');
+
+        this.validateMatchTag(args.ifMatchTag, stat.etag);
+
+        const newStat = await this._performStat(newFilename);
+
+        const metadata = await this.readMetadata(filename);
+        const newMetadata = {
+          ...metadata,
+          updated: new Date().toISOString(),
+          generation: this.nextGeneration(),
+        };
+        await this.moveIntoPlace(this.getObjectPath(filename), newFilename);
+        await this.writeMetadata(newFilename, newMetadata);
+        await this.deleteMetadata(filename);
+        await this.removeEmptyDirs(this.objectsDirectory, filename);
+
+        return [stat.contentLength, newStat, newMetadata];
+      }
+    );
+
+    const result = {
+      publicURL: `${this.getReadURLPrefix()}${newFilename}`,
+      etag: formatETagFromMD5(metadata.md5Hash),
+    };
+    const fileLog = this.createFileLog(
+      filename, args.assoIssAddress, DELETE_FILE, 0, -1 * contentLength
+    );
+    const newFileLog = this.createDestinationFileLog(
+      newFilename, args.assoIssAddress, newStat, parseInt(metadata.size, 10), result.etag
+    );
+
+    return { result, backupPaths: [newFilename], fileLogs: [fileLog, newFileLog] };
+  }
+
+  async performCopy(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid original path');
+    }
+    if (!isPathValid(args.newPath)) {
+      throw new BadPathError('Invalid new path');
+    }
+
+    const filename = `${args.storageTopLevel}/${args.path}`;
+    const newFilename = `${args.storageTopLevel}/${args.newPath}`;
+
+    const tmpPath = pathLib.join(
+      this.tmpDirectory, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`
+    );
+    try {
+      const [newStat, metadata] = await this.withLock(
+        [filename, newFilename],
+        async () => {
+          const stat = await this._performStat(filename);
+          if (!stat.exists) throw new DoesNotExist('File does not exist');
+
+          this.validateMatchTag(args.ifMatchTag, stat.etag);
+
+          const newStat = await this._performStat(newFilename);
+
+          // Copy to tmp first so the new file appears atomically.
+          await fs.promises.copyFile(this.getObjectPath(filename), tmpPath);
+
+          const metadata = await this.readMetadata(filename);
+          const newMetadata = {
+            ...metadata,
+            updated: new Date().toISOString(),
+            generation: this.nextGeneration(),
+          };
+          await this.moveIntoPlace(tmpPath, newFilename);
+          await this.writeMetadata(newFilename, newMetadata);
+
+          return [newStat, newMetadata];
+        }
+      );
+
+      const result = {
+        publicURL: `${this.getReadURLPrefix()}${newFilename}`,
+        etag: formatETagFromMD5(metadata.md5Hash),
+      };
+      const newFileLog = this.createDestinationFileLog(
+        newFilename, args.assoIssAddress, newStat, parseInt(metadata.size, 10), result.etag
+      );
+
+      return { result, backupPaths: [newFilename], fileLogs: [newFileLog] };
+    } finally {
+      await fs.promises.rm(tmpPath, { force: true });
+    }
+  }
+
+  async performBackup(args) {
+    if (!this.backupDirectory) return false;
+
+    const backupPath = pathLib.join(this.backupDirectory, ...args.path.split('/'));
+    try {
+      await fs.promises.mkdir(pathLib.dirname(backupPath), { recursive: true });
+      await fs.promises.copyFile(this.getObjectPath(args.path), backupPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new DoesNotExist('File does not exist');
+      }
+      if (isConflictCode(error.code)) {
+        throw new ConflictError('The path conflicts with an existing file or folder');
+      }
+
+      throw error;
+    }
+
+    return true;
+  }
+
+  validateMatchTag(ifMatchTag, currentETag) {
+    if (ifMatchTag && ifMatchTag !== '*') {
+      if (ifMatchTag !== currentETag) {
+        throw new PreconditionFailedError('The provided ifMatchTag does not match the resource on the server', currentETag);
+      }
+    }
+  }
+
+  createDestinationFileLog(path, assoIssAddress, destStat, size, etag) {
+    // Renaming or copying onto an existing file replaces it.
+    if (destStat.exists) {
+      return this.createFileLog(
+        path, assoIssAddress, UPDATE_FILE, size, size - destStat.contentLength, etag
+      );
+    }
+    return this.createFileLog(path, assoIssAddress, CREATE_FILE, size, size, etag);
+  }
+
+  createFileLog(path, assoIssAddress, action, size, sizeChange, etag = null) {
+    const createDT = Date.now();
+    const fileLog = { path, assoIssAddress, action, size, sizeChange, etag, createDT };
+    return fileLog;
+  }
+}
+
+const driver = DiskDriver;
+export default driver;
@@ -1,17 +1,11 @@
-import { Datastore } from '@google-cloud/datastore';
 import { Storage } from '@google-cloud/storage';
-import { CloudTasksClient } from '@google-cloud/tasks';
 
-import { REVOCATION, BLACKLIST, CREATE_FILE, UPDATE_FILE, DELETE_FILE } from '../const';
+import { CREATE_FILE, UPDATE_FILE, DELETE_FILE } from '../const';
 import {
   PreconditionFailedError, BadPathError, InvalidInputError, DoesNotExist,
+  RangeNotSatisfiableError,
 } from '../errors';
-import {
-  dateToUnixTimeSeconds, sample, isObject, isString, isNumber, sleep,
-} from '../utils';
-import {
-  SDRIVE_HUB_TASKER_URL, SDRIVE_HUB_TASKER_EMAIL,
-} from '../sdrive-hub-tasker-keys';
+import { dateToUnixTimeSeconds, isObject, isString, resolveRange } from '../utils';
 
 const isPathValid = (path) => {
   // for now, only disallow double dots.
@@ -40,13 +34,12 @@ const parseFileMetadataStat = (metadata) => {
 class GcDriver {
 
   constructor(config) {
-    this.datastore = new Datastore();
     this.storage = new Storage();
-    this.tasks = new CloudTasksClient();
     this.bucket = config.bucket;
     this.backupBucket = config.backupBucket;
     this.pageSize = config.pageSize ? config.pageSize : 100;
     this.cacheControl = config.cacheControl;
+    this.privateStorage = !!config.privateStorage;
     this.initPromise = this.createIfNeeded();
     this.resumable = config.resumable || false;
   }
@@ -79,36 +72,47 @@ class GcDriver {
     await this.storage.bucket(this.bucket).delete();
   }
 
-  async listAllObjects(prefix, page, pageSize) {
+  async listAllObjects(prefix, page, pageSize, delimiter = null, startAfter = null) {
     pageSize = parseInt(pageSize, 10);
     if (!Number.isFinite(pageSize) || pageSize > this.pageSize || pageSize <= 0) {
       pageSize = this.pageSize;
     }
+    // startOffset includes the name itself, and a page is already past it.
+    const startName = isString(startAfter) && !page ? `${prefix}${startAfter}` : null;
     const opts = {
       prefix: prefix,
       maxResults: pageSize,
       pageToken: page || undefined,
+      delimiter: delimiter || undefined,
+      startOffset: startName || undefined,
     };
 
     const getFilesResult = await new Promise((resolve, reject) => {
       this.storage
         .bucket(this.bucket)
-        .getFiles(opts, (err, files, nextQuery) => {
+        .getFiles(opts, (err, files, nextQuery, apiResponse) => {
           if (err) {
             reject(err);
           } else {
-            resolve({ files, nextQuery });
+            resolve({ files, nextQuery, apiResponse });
           }
         });
     });
-    const fileEntries = getFilesResult.files.map(file => {
-      return {
-        name: file.name.slice(prefix.length),
-        file: file,
-      };
-    });
+    const fileEntries = getFilesResult.files
+      .filter(file => file.name !== startName)
+      .map(file => {
+        return {
+          name: file.name.slice(prefix.length),
+          file: file,
+        };
+      });
+    const apiResponse = getFilesResult.apiResponse || {};
     const result = {
       entries: fileEntries,
+      // A rolled up prefix of startName, e.g. a/ of a/ or a/b, is at startOffset too.
+      prefixes: (apiResponse.prefixes || [])
+        .filter(commonPrefix => startName === null || commonPrefix > startName)
+        .map(commonPrefix => commonPrefix.slice(prefix.length)),
       page: (getFilesResult.nextQuery && getFilesResult.nextQuery.pageToken) || null,
     };
     return result;
@@ -116,10 +120,11 @@ class GcDriver {
 
   async listFiles(args) {
     const listResult = await this.listAllObjects(
-      args.pathPrefix, args.page, args.pageSize
+      args.pathPrefix, args.page, args.pageSize, args.delimiter, args.startAfter
     );
     const result = {
       page: listResult.page,
+      prefixes: listResult.prefixes,
       entries: listResult.entries.map(file => file.name),
     };
     return result;
@@ -127,10 +132,11 @@ class GcDriver {
 
   async listFilesStat(args) {
     const listResult = await this.listAllObjects(
-      args.pathPrefix, args.page, args.pageSize
+      args.pathPrefix, args.page, args.pageSize, args.delimiter, args.startAfter
     );
     const result = {
       page: listResult.page,
+      prefixes: listResult.prefixes,
       entries: listResult.entries.map(entry => {
         const statResult = parseFileMetadataStat(entry.file.metadata);
         const entryResult = {
@@ -167,7 +173,7 @@ class GcDriver {
     if (args.ifNoneMatchTag && args.ifNoneMatchTag === '*') {
       // only proceed with writing file if the file does not already exist
       if (stat.exists) {
-        throw new PreconditionFailedError('The entity you are trying to create already exists');
+        throw new PreconditionFailedError('The entity you are trying to create already exists', etag);
       }
     }
 
@@ -177,7 +183,9 @@ class GcDriver {
        noticeable performance degradation while uploading a series of small
        files. When uploading files less than 10MB, it is recommended that
        the resumable feature is disabled.
-       For details see https://github.com/googleapis/nodejs-storage/issues/312 */
+       For details see https://github.com/googleapis/nodejs-storage/issues/312
+       The caller can turn it on for a large file e.g. a finished resumable upload. */
+    const resumable = typeof args.resumable === 'boolean' ? args.resumable : this.resumable;
     const metadata = {};
     metadata.contentType = args.contentType;
     if (this.cacheControl) {
@@ -185,9 +193,9 @@ class GcDriver {
     }
 
     try {
-      await bucketFile.save(
-        args.content, { public: true, resumable: this.resumable, metadata }
-      );
+      await bucketFile.save(args.content, {
+        public: !this.privateStorage, resumable, metadata,
+      });
     } catch (error) {
       if (error.code === 412) {
         throw new PreconditionFailedError(`The provided generation: ${generation} does not match the resource on the server`);
@@ -203,7 +211,7 @@ class GcDriver {
       publicURL: `${this.getReadURLPrefix()}${bucketFile.name}`, etag: udtdStat.etag,
     };
     const fileLog = this.createFileLog(
-      bucketFile.name, args.assoIssAddress, action, udtdCtl, ctlChange
+      bucketFile.name, args.assoIssAddress, action, udtdCtl, ctlChange, result.etag
     );
 
     return { result, backupPaths: [bucketFile.name], fileLogs: [fileLog] };
@@ -274,6 +282,35 @@ class GcDriver {
     return result;
   }
 
+  async performRead(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+    const filename = `${args.storageTopLevel}/${args.path}`;
+    let bucketFile = this.storage.bucket(this.bucket).file(filename);
+
+    const stat = await this._performStat(bucketFile);
+    if (!stat.exists) throw new DoesNotExist('File does not exist');
+
+    const options = {};
+    let range = null;
+    if (args.range) {
+      range = resolveRange(args.range, stat.contentLength);
+      if (!range) {
+        throw new RangeNotSatisfiableError('Range Not Satisfiable', stat.contentLength);
+      }
+      [options.start, options.end] = [range.start, range.end];
+    }
+
+    // Read the generation from the stat so the content matches the etag.
+    bucketFile = this.storage.bucket(this.bucket).file(filename, {
+      generation: stat.generation,
+    });
+    const content = bucketFile.createReadStream(options);
+
+    return { ...stat, range, content };
+  }
+
   async performRename(args) {
     if (!isPathValid(args.path)) {
       throw new BadPathError('Invalid original path');
@@ -295,9 +332,10 @@ class GcDriver {
 
     const newFilename = `${args.storageTopLevel}/${args.newPath}`;
     const newBucketFile = this.storage.bucket(this.bucket).file(newFilename);
+    const newStat = await this._performStat(newBucketFile);
 
     try {
-      await bucketFile.move(newBucketFile);
+      await bucketFile.move(newBucketFile, this.getCopyOptions());
     } catch (error) {
       if (error.code === 404) {
         throw new DoesNotExist('File does not exist');
@@ -309,84 +347,94 @@ class GcDriver {
       throw error;
     }
 
-    const udtdStat = await this._performStat(newBucketFile);
-    const udtdCtl = udtdStat.contentLength;
+    const udtdStat = await this._performStat(
+      this.storage.bucket(this.bucket).file(newFilename)
+    );
+    const result = {
+      publicURL: `${this.getReadURLPrefix()}${newFilename}`, etag: udtdStat.etag,
+    };
     const fileLog = this.createFileLog(
       bucketFile.name, args.assoIssAddress, DELETE_FILE, 0, -1 * contentLength
     );
-    const newFileLog = this.createFileLog(
-      newBucketFile.name, args.assoIssAddress, CREATE_FILE, udtdCtl, udtdCtl
+    const newFileLog = this.createDestinationFileLog(
+      newFilename, args.assoIssAddress, newStat, udtdStat.contentLength, result.etag
     );
 
-    return { backupPaths: [newBucketFile.name], fileLogs: [fileLog, newFileLog] };
+    return { result, backupPaths: [newFilename], fileLogs: [fileLog, newFileLog] };
   }
 
-  async performWriteAuthTimestamp(args) {
-    const { bucketAddress, timestamp } = args;
-
-    const date = new Date();
-
-    const key = this.datastore.key([REVOCATION, bucketAddress]);
-    const data = [
-      { name: 'timestamp', value: timestamp, excludeFromIndexes: true },
-      { name: 'createDate', value: date },
-      { name: 'updateDate', value: date },
-    ];
-    const entity = { key, data };
-
-    const nTries = 2;
-    for (let currentTry = 1; currentTry <= nTries; currentTry++) {
-      const transaction = this.datastore.transaction();
-      try {
-        await transaction.run();
-
-        const [oEy] = await transaction.get(key);
-        if (isObject(oEy) && isNumber(oEy.timestamp)) {
-          if (oEy.timestamp < timestamp) {
-            entity.data[1].value = oEy.createDate;
-            transaction.save({ key, data });
-          }
-        } else {
-          transaction.save(entity);
-        }
+  async performCopy(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid original path');
+    }
+    if (!isPathValid(args.newPath)) {
+      throw new BadPathError('Invalid new path');
+    }
 
-        await transaction.commit();
-        return;
-      } catch (error) {
-        await transaction.rollback();
+    const filename = `${args.storageTopLevel}/${args.path}`;
+    let bucketFile = this.storage.bucket(this.bucket).file(filename);
 
-        if (currentTry < nTries) await sleep(sample([100, 200, 280, 350]));
-        else throw error;
-      }
-    }
-  }
+    const stat = await this._performStat(bucketFile);
+    if (!stat.exists) throw new DoesNotExist('File does not exist');
 
-  async performReadAuthTimestamp(args) {
-    const { bucketAddress } = args;
+    const { etag, generation } = stat;
+    this.validateMatchTag(args.ifMatchTag, etag);
+
+    // Copy the generation from the stat so the content matches the etag.
+    bucketFile = this.storage.bucket(this.bucket).file(filename, { generation });
+
+    const newFilename = `${args.storageTopLevel}/${args.newPath}`;
+    const newBucketFile = this.storage.bucket(this.bucket).file(newFilename);
+    const newStat = await this._performStat(newBucketFile);
 
-    const key = this.datastore.key([REVOCATION, bucketAddress]);
-    const [entity] = await this.datastore.get(key);
+    try {
+      await bucketFile.copy(newBucketFile, this.getCopyOptions());
+    } catch (error) {
+      if (error.code === 404) {
+        throw new DoesNotExist('File does not exist');
+      }
+      if (error.code === 412) {
+        throw new PreconditionFailedError(`The provided generation: ${generation} does not match the resource on the server`);
+      }
 
-    let timestamp = 0;
-    if (isObject(entity) && isNumber(entity.timestamp)) {
-      timestamp = entity.timestamp;
+      throw error;
     }
 
-    return timestamp;
+    const udtdStat = await this._performStat(
+      this.storage.bucket(this.bucket).file(newFilename)
+    );
+    const result = {
+      publicURL: `${this.getReadURLPrefix()}${newFilename}`, etag: udtdStat.etag,
+    };
+    const newFileLog = this.createDestinationFileLog(
+      newFilename, args.assoIssAddress, newStat, udtdStat.contentLength, result.etag
+    );
+
+    return { result, backupPaths: [newFilename], fileLogs: [newFileLog] };
   }
 
-  async performReadBlacklistType(args) {
-    const { address } = args;
+  getCopyOptions() {
+    // Copies get the bucket's default ACL unless given, keep them like written files.
+    if (this.privateStorage) return {};
+    return { predefinedAcl: 'publicRead' };
+  }
+
+  async performBackup(args) {
+    if (!this.backupBucket) return false;
 
-    const key = this.datastore.key([BLACKLIST, address]);
-    const [entity] = await this.datastore.get(key);
+    const bucketFile = this.storage.bucket(this.bucket).file(args.path);
+    const backupFile = this.storage.bucket(this.backupBucket).file(args.path);
+    try {
+      await bucketFile.copy(backupFile);
+    } catch (error) {
+      if (error.code === 404) {
+        throw new DoesNotExist('File does not exist');
+      }
 
-    let type = 0;
-    if (isObject(entity) && isNumber(entity.type)) {
-      type = entity.type;
+      throw error;
     }
 
-    return type;
+    return true;
   }
 
   validateMatchTag(ifMatchTag, currentETag) {
@@ -397,34 +445,20 @@ class GcDriver {
     }
   }
 
-  createFileLog(path, assoIssAddress, action, size, sizeChange) {
-    const createDT = Date.now();
-    const fileLog = { path, assoIssAddress, action, size, sizeChange, createDT };
-    return fileLog;
+  createDestinationFileLog(path, assoIssAddress, destStat, size, etag) {
+    // Renaming or copying onto an existing file replaces it.
+    if (destStat.exists) {
+      return this.createFileLog(
+        path, assoIssAddress, UPDATE_FILE, size, size - destStat.contentLength, etag
+      );
+    }
+    return this.createFileLog(path, assoIssAddress, CREATE_FILE, size, size, etag);
   }
 
-  async addTaskToQueue(backupPaths, fileLogs) {
-    if (backupPaths.length === 0 && fileLogs.length === 0) return;
-
-    const [project, location] = ['sdrive-001', 'us-central1'];
-    const queue = 'sdrive-hub-tasker';
-
-    const parent = this.tasks.queuePath(project, location, queue);
-    const task = {
-      httpRequest: {
-        headers: { 'Content-Type': 'application/json' },
-        httpMethod: /** @type any */('POST'),
-        url: SDRIVE_HUB_TASKER_URL,
-        body: Buffer.from(JSON.stringify({ backupPaths, fileLogs })).toString('base64'),
-        oidcToken: { serviceAccountEmail: SDRIVE_HUB_TASKER_EMAIL },
-      },
-    };
-
-    try {
-      await this.tasks.createTask({ parent, task });
-    } catch (error) {
-      console.error('addTaskToQueue error', error);
-    }
+  createFileLog(path, assoIssAddress, action, size, sizeChange, etag = null) {
+    const createDT = Date.now();
+    const fileLog = { path, assoIssAddress, action, size, sizeChange, etag, createDT };
+    return fileLog;
   }
 }
 
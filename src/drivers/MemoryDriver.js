@@ -0,0 +1,357 @@
+import * as crypto from 'crypto';
+import * as stream from 'stream';
+
+import { CREATE_FILE, UPDATE_FILE, DELETE_FILE } from '../const';
+import {
+  PreconditionFailedError, BadPathError, InvalidInputError, DoesNotExist,
+  RangeNotSatisfiableError,
+} from '../errors';
+import {
+  dateToUnixTimeSeconds, isString, resolveRange, selectListItems,
+} from '../utils';
+
+const isPathValid = (path) => {
+  // for now, only disallow double dots.
+  return !path.includes('..');
+};
+
+const parseObjectStat = (object) => {
+  const lastModified = dateToUnixTimeSeconds(new Date(object.updated));
+  const result = {
+    exists: true,
+    etag: `"${object.md5Hex}"`,
+    contentType: object.contentType,
+    contentLength: object.content.length,
+    lastModifiedDate: lastModified,
+    generation: object.generation,
+  };
+  return result;
+};
+
+const contentToBuffer = async (content) => {
+  if (isString(content)) return Buffer.from(content, 'utf8');
+  if (Buffer.isBuffer(content)) return content;
+
+  const chunks = [];
+  for await (const chunk of content) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+/*
+ * Keeps everything in process memory, for tests and local development only.
+ *   All data is lost on restart.
+ */
+class MemoryDriver {
+
+  constructor(config) {
+    this.objects = new Map();
+    this.backups = new Map();
+    this.readURL = config.readURL || 'http://localhost/memory/';
+    this.pageSize = config.pageSize ? config.pageSize : 100;
+    this.generationSeq = 0;
+  }
+
+  ensureInitialized() {
+    return Promise.resolve();
+  }
+
+  dispose() {
+    return Promise.resolve();
+  }
+
+  getReadURLPrefix() {
+    return this.readURL;
+  }
+
+  async deleteEmptyBucket() {
+    if (this.objects.size > 0) {
+      throw new Error('Tried deleting non-empty bucket');
+    }
+  }
+
+  nextGeneration() {
+    this.generationSeq += 1;
+    return String(this.generationSeq);
+  }
+
+  async listAllObjects(prefix, page, pageSize, delimiter = null, startAfter = null) {
+    pageSize = parseInt(pageSize, 10);
+    if (!Number.isFinite(pageSize) || pageSize > this.pageSize || pageSize <= 0) {
+      pageSize = this.pageSize;
+    }
+
+    // A page is where the previous one stopped, so it goes over startAfter.
+    let startName = isString(startAfter) ? `${prefix}${startAfter}` : null;
+    if (page) startName = Buffer.from(page, 'base64url').toString('utf8');
+    const { items, hasMore } = selectListItems(
+      [...this.objects.keys()].sort(), prefix, delimiter, startName, pageSize
+    );
+
+    const fileEntries = items.filter(item => !item.isPrefix).map(({ key }) => {
+      return { name: key.slice(prefix.length), object: this.objects.get(key) };
+    });
+    const prefixes = items.filter(item => item.isPrefix).map(({ key }) => {
+      return key.slice(prefix.length);
+    });
+
+    let nextPage = null;
+    if (hasMore) {
+      const lastKey = items[items.length - 1].key;
+      nextPage = Buffer.from(lastKey, 'utf8').toString('base64url');
+    }
+
+    return { entries: fileEntries, prefixes, page: nextPage };
+  }
+
+  async listFiles(args) {
+    const listResult = await this.listAllObjects(
+      args.pathPrefix, args.page, args.pageSize, args.delimiter, args.startAfter
+    );
+    const result = {
+      page: listResult.page,
+      prefixes: listResult.prefixes,
+      entries: listResult.entries.map(file => file.name),
+    };
+    return result;
+  }
+
+  async listFilesStat(args) {
+    const listResult = await this.listAllObjects(
+      args.pathPrefix, args.page, args.pageSize, args.delimiter, args.startAfter
+    );
+    const result = {
+      page: listResult.page,
+      prefixes: listResult.prefixes,
+      entries: listResult.entries.map(entry => {
+        const statResult = parseObjectStat(entry.object);
+        return { ...statResult, name: entry.name, exists: true };
+      }),
+    };
+    return result;
+  }
+
+  _performStat(filename) {
+    const object = this.objects.get(filename);
+    if (!object) return { exists: false };
+    return parseObjectStat(object);
+  }
+
+  async performWrite(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+    if (args.contentType && args.contentType.length > 1024) {
+      throw new InvalidInputError('Invalid content-type');
+    }
+
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    // Check before and after receiving the content like ifGenerationMatch.
+    const stat = this._performStat(filename);
+    this.validateWritePreconditions(args, stat);
+
+    const content = await contentToBuffer(args.content);
+
+    const cStat = this._performStat(filename);
+    if (cStat.exists !== stat.exists || cStat.generation !== stat.generation) {
+      throw new PreconditionFailedError(`The provided generation: ${stat.generation || 0} does not match the resource on the server`);
+    }
+
+    const object = {
+      content,
+      contentType: args.contentType,
+      md5Hex: crypto.createHash('md5').update(content).digest('hex'),
+      updated: Date.now(),
+      generation: this.nextGeneration(),
+    };
+    this.objects.set(filename, object);
+
+    const [action, contentLength] = stat.exists ?
+      [UPDATE_FILE, stat.contentLength] : [CREATE_FILE, 0];
+    const result = {
+      publicURL: `${this.getReadURLPrefix()}${filename}`,
+      etag: parseObjectStat(object).etag,
+    };
+    const fileLog = this.createFileLog(
+      filename, args.assoIssAddress, action, content.length,
+      content.length - contentLength, result.etag
+    );
+
+    return { result, backupPaths: [filename], fileLogs: [fileLog] };
+  }
+
+  validateWritePreconditions(args, stat) {
+    this.validateMatchTag(args.ifMatchTag, stat.exists ? stat.etag : null);
+    if (args.ifNoneMatchTag && args.ifNoneMatchTag === '*') {
+      // only proceed with writing file if the file does not already exist
+      if (stat.exists) {
+        throw new PreconditionFailedError('The entity you are trying to create already exists', stat.etag);
+      }
+    }
+  }
+
+  async performDelete(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    const stat = this._performStat(filename);
+    if (!stat.exists) throw new DoesNotExist('File does not exist');
+
+    this.validateMatchTag(args.ifMatchTag, stat.etag);
+    this.objects.delete(filename);
+
+    const fileLog = this.createFileLog(
+      filename, args.assoIssAddress, DELETE_FILE, 0, -1 * stat.contentLength
+    );
+
+    return { backupPaths: [], fileLogs: [fileLog] };
+  }
+
+  async performStat(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    const result = this._performStat(filename);
+    return result;
+  }
+
+  async performRead(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    const object = this.objects.get(filename);
+    if (!object) throw new DoesNotExist('File does not exist');
+
+    const stat = parseObjectStat(object);
+
+    let range = null, content = object.content;
+    if (args.range) {
+      range = resolveRange(args.range, stat.contentLength);
+      if (!range) {
+        throw new RangeNotSatisfiableError('Range Not Satisfiable', stat.contentLength);
+      }
+      content = content.subarray(range.start, range.end + 1);
+    }
+
+    return { ...stat, range, content: stream.Readable.from([content]) };
+  }
+
+  async performRename(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid original path');
+    }
+    if (!isPathValid(args.newPath)) {
+      throw new BadPathError('Invalid new path');
+    }
+
+    const filename = `${args.storageTopLevel}/${args.path}`;
+    const newFilename = `${args.storageTopLevel}/${args.newPath}`;
+
+    const stat = this._performStat(filename);
+    if (!stat.exists) throw new DoesNotExist('File does not exist');
+
+    this.validateMatchTag(args.ifMatchTag, stat.etag);
+
+    const newStat = this._performStat(newFilename);
+
+    const object = this.objects.get(filename);
+    const newObject = {
+      ...object, updated: Date.now(), generation: this.nextGeneration(),
+    };
+    this.objects.delete(filename);
+    this.objects.set(newFilename, newObject);
+
+    const { contentLength } = stat;
+    const result = {
+      publicURL: `${this.getReadURLPrefix()}${newFilename}`,
+      etag: parseObjectStat(newObject).etag,
+    };
+    const fileLog = this.createFileLog(
+      filename, args.assoIssAddress, DELETE_FILE, 0, -1 * contentLength
+    );
+    const newFileLog = this.createDestinationFileLog(
+      newFilename, args.assoIssAddress, newStat, contentLength, result.etag
+    );
+
+    return { result, backupPaths: [newFilename], fileLogs: [fileLog, newFileLog] };
+  }
+
+  async performCopy(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid original path');
+    }
+    if (!isPathValid(args.newPath)) {
+      throw new BadPathError('Invalid new path');
+    }
+
+    const filename = `${args.storageTopLevel}/${args.path}`;
+    const newFilename = `${args.storageTopLevel}/${args.newPath}`;
+
+    const stat = this._performStat(filename);
+    if (!stat.exists) throw new DoesNotExist('File does not exist');
+
+    this.validateMatchTag(args.ifMatchTag, stat.etag);
+
+    const newStat = this._performStat(newFilename);
+
+    const object = this.objects.get(filename);
+    const newObject = {
+      ...object, updated: Date.now(), generation: this.nextGeneration(),
+    };
+    this.objects.set(newFilename, newObject);
+
+    const result = {
+      publicURL: `${this.getReadURLPrefix()}${newFilename}`,
+      etag: parseObjectStat(newObject).etag,
+    };
+    const newFileLog = this.createDestinationFileLog(
+      newFilename, args.assoIssAddress, newStat, stat.contentLength, result.etag
+    );
+
+    return { result, backupPaths: [newFilename], fileLogs: [newFileLog] };
+  }
+
+  async performBackup(args) {
+    const object = this.objects.get(args.path);
+    if (!object) throw new DoesNotExist('File does not exist');
+
+    this.backups.set(args.path, { ...object });
+    return true;
+  }
+
+  validateMatchTag(ifMatchTag, currentETag) {
+    if (ifMatchTag && ifMatchTag !== '*') {
+      if (ifMatchTag !== currentETag) {
+        throw new PreconditionFailedError('The provided ifMatchTag does not match the resource on the server', currentETag);
+      }
+    }
+  }
+
+  createDestinationFileLog(path, assoIssAddress, destStat, size, etag) {
+    // Renaming or copying onto an existing file replaces it.
+    if (destStat.exists) {
+      return this.createFileLog(
+        path, assoIssAddress, UPDATE_FILE, size, size - destStat.contentLength, etag
+      );
+    }
+    return this.createFileLog(path, assoIssAddress, CREATE_FILE, size, size, etag);
+  }
+
+  createFileLog(path, assoIssAddress, action, size, sizeChange, etag = null) {
+    const createDT = Date.now();
+    const fileLog = { path, assoIssAddress, action, size, sizeChange, etag, createDT };
+    return fileLog;
+  }
+}
+
+const driver = MemoryDriver;
+export default driver;
@@ -0,0 +1,204 @@
+import * as crypto from 'crypto';
+import * as stream from 'stream';
+
+import { isString, selectListItems } from '../utils';
+
+/*
+ * An in-memory stand-in for the subset of @google-cloud/storage that GcDriver
+ *   uses, so GcDriver can run the conformance suite without a Google Cloud project.
+ */
+
+const createError = (code, message) => {
+  const error = new Error(message);
+  // @ts-ignore
+  error.code = code;
+  return error;
+};
+
+const contentToBuffer = async (content) => {
+  if (isString(content)) return Buffer.from(content, 'utf8');
+  if (Buffer.isBuffer(content)) return content;
+
+  const chunks = [];
+  for await (const chunk of content) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+class MockGcFile {
+
+  constructor(bucket, name, options) {
+    this.bucket = bucket;
+    this.name = name;
+    this.generation = options && options.generation !== undefined ?
+      String(options.generation) : undefined;
+    this.metadata = {};
+  }
+
+  getObject() {
+    return this.bucket.objects.get(this.name);
+  }
+
+  async getMetadata() {
+    const object = this.getObject();
+    if (!object) throw createError(404, `No such object: ${this.name}`);
+
+    this.metadata = { ...object.metadata };
+    return [this.metadata];
+  }
+
+  async save(content, options) {
+    const buffer = await contentToBuffer(content);
+
+    // Like a simple upload, the file's generation is sent as ifGenerationMatch,
+    //   and generation 0 means the object must not exist yet.
+    const object = this.getObject();
+    if (this.generation !== undefined) {
+      const currentGeneration = object ? object.metadata.generation : '0';
+      if (this.generation !== currentGeneration) {
+        throw createError(412, 'Precondition Failed');
+      }
+    }
+
+    const metadata = {
+      ...(options && options.metadata),
+      md5Hash: crypto.createHash('md5').update(buffer).digest('base64'),
+      size: String(buffer.length),
+      updated: new Date().toISOString(),
+      generation: this.bucket.nextGeneration(),
+    };
+    this.bucket.objects.set(this.name, { content: buffer, metadata });
+    this.metadata = { ...metadata };
+  }
+
+  async delete(options) {
+    const object = this.getObject();
+    if (!object) throw createError(404, `No such object: ${this.name}`);
+
+    const ifGenerationMatch = options && options.ifGenerationMatch;
+    if (ifGenerationMatch !== undefined) {
+      if (String(ifGenerationMatch) !== object.metadata.generation) {
+        throw createError(412, 'Precondition Failed');
+      }
+    }
+
+    this.bucket.objects.delete(this.name);
+    return [{}];
+  }
+
+  createReadStream(options) {
+    const object = this.getObject();
+    if (!object || (
+      this.generation !== undefined && this.generation !== object.metadata.generation
+    )) {
+      const readable = new stream.Readable({ read() { } });
+      process.nextTick(() => {
+        readable.destroy(createError(404, `No such object: ${this.name}`));
+      });
+      return readable;
+    }
+
+    const start = options && options.start !== undefined ? options.start : 0;
+    const end = options && options.end !== undefined ? options.end + 1 : undefined;
+    return stream.Readable.from([object.content.subarray(start, end)]);
+  }
+
+  async copy(destination, _options) {
+    const object = this.getObject();
+    if (!object) throw createError(404, `No such object: ${this.name}`);
+    if (this.generation !== undefined && this.generation !== object.metadata.generation) {
+      throw createError(404, `No such object: ${this.name}`);
+    }
+
+    const metadata = {
+      ...object.metadata,
+      updated: new Date().toISOString(),
+      generation: destination.bucket.nextGeneration(),
+    };
+    destination.bucket.objects.set(destination.name, { content: object.content, metadata });
+    return [destination];
+  }
+
+  async move(destination, _options) {
+    const object = this.getObject();
+    if (!object) throw createError(404, `No such object: ${this.name}`);
+    if (this.generation !== undefined && this.generation !== object.metadata.generation) {
+      throw createError(412, 'Precondition Failed');
+    }
+
+    const metadata = {
+      ...object.metadata,
+      updated: new Date().toISOString(),
+      generation: this.bucket.nextGeneration(),
+    };
+    this.bucket.objects.set(destination.name, { content: object.content, metadata });
+    this.bucket.objects.delete(this.name);
+    return [destination];
+  }
+}
+
+class MockGcBucket {
+
+  constructor(name) {
+    this.name = name;
+    this.objects = new Map();
+    this.generationSeq = 0;
+  }
+
+  nextGeneration() {
+    this.generationSeq += 1;
+    return String(this.generationSeq);
+  }
+
+  async exists() {
+    return [true];
+  }
+
+  file(name, options) {
+    return new MockGcFile(this, name, options);
+  }
+
+  getFiles(opts, callback) {
+    // Like the API, startOffset includes the name itself.
+    const startOffset = opts.startOffset || null;
+    const names = [...this.objects.keys()]
+      .filter(name => startOffset === null || name >= startOffset)
+      .sort();
+
+    // The page token is the last name or prefix of the previous page.
+    const { items, hasMore } = selectListItems(
+      names, opts.prefix || '', opts.delimiter || null, opts.pageToken || null,
+      opts.maxResults
+    );
+    const files = items.filter(item => !item.isPrefix).map(({ key }) => {
+      const file = new MockGcFile(this, key);
+      file.metadata = { ...this.objects.get(key).metadata };
+      return file;
+    });
+    const prefixes = items.filter(item => item.isPrefix).map(({ key }) => key);
+
+    let nextQuery = null;
+    if (hasMore) {
+      nextQuery = { ...opts, pageToken: items[items.length - 1].key };
+    }
+
+    setImmediate(() => callback(null, files, nextQuery, { prefixes }));
+  }
+
+  async delete() {
+    return [{}];
+  }
+}
+
+export class MockGcStorage {
+
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  bucket(name) {
+    if (!this.buckets.has(name)) this.buckets.set(name, new MockGcBucket(name));
+    return this.buckets.get(name);
+  }
+}
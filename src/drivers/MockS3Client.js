@@ -0,0 +1,170 @@
+import {
+  HeadBucketCommand, HeadObjectCommand, GetObjectCommand, PutObjectCommand,
+  DeleteObjectCommand, CopyObjectCommand, ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import * as crypto from 'crypto';
+import * as stream from 'stream';
+
+import { isString, selectListItems } from '../utils';
+
+/*
+ * An in-memory stand-in for the commands of @aws-sdk/client-s3 that S3Driver
+ *   sends, with the conditional headers of S3, so S3Driver can run the
+ *   conformance suite without an S3-compatible store.
+ */
+
+const createError = (name, statusCode) => {
+  const error = new Error(name);
+  error.name = name;
+  // @ts-ignore
+  error.$metadata = { httpStatusCode: statusCode };
+  return error;
+};
+
+const notFoundError = () => createError('NoSuchKey', 404);
+const preconditionFailedError = () => createError('PreconditionFailed', 412);
+
+const contentToBuffer = async (content) => {
+  if (isString(content)) return Buffer.from(content, 'utf8');
+  if (Buffer.isBuffer(content)) return content;
+
+  const chunks = [];
+  for await (const chunk of content) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+// If-Match and If-None-Match: * of an object that can be undefined.
+const checkConditions = (object, ifMatch, ifNoneMatch) => {
+  if (ifMatch !== undefined && (!object || object.etag !== ifMatch)) {
+    throw object ? preconditionFailedError() : notFoundError();
+  }
+  if (ifNoneMatch === '*' && object) throw preconditionFailedError();
+};
+
+export class MockS3Client {
+
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  getObjects(bucket) {
+    if (!this.buckets.has(bucket)) this.buckets.set(bucket, new Map());
+    return this.buckets.get(bucket);
+  }
+
+  putObject(bucket, key, content, contentType) {
+    const object = {
+      content,
+      contentType,
+      etag: `"${crypto.createHash('md5').update(content).digest('hex')}"`,
+      lastModified: new Date(),
+    };
+    this.getObjects(bucket).set(key, object);
+    return object;
+  }
+
+  async send(command) {
+    const input = command.input;
+
+    if (command instanceof HeadBucketCommand) return {};
+
+    if (command instanceof HeadObjectCommand) {
+      const object = this.getObjects(input.Bucket).get(input.Key);
+      if (!object) throw createError('NotFound', 404);
+      return {
+        ETag: object.etag,
+        ContentType: object.contentType,
+        ContentLength: object.content.length,
+        LastModified: object.lastModified,
+      };
+    }
+
+    if (command instanceof GetObjectCommand) {
+      const object = this.getObjects(input.Bucket).get(input.Key);
+      checkConditions(object, input.IfMatch, undefined);
+      if (!object) throw notFoundError();
+
+      let content = object.content;
+      if (input.Range) {
+        const [start, end] = input.Range.slice('bytes='.length).split('-').map(Number);
+        content = content.subarray(start, end + 1);
+      }
+      return { Body: stream.Readable.from([content]) };
+    }
+
+    if (command instanceof PutObjectCommand) {
+      const objects = this.getObjects(input.Bucket);
+      checkConditions(objects.get(input.Key), input.IfMatch, input.IfNoneMatch);
+
+      const content = await contentToBuffer(input.Body);
+      const object = this.putObject(input.Bucket, input.Key, content, input.ContentType);
+      return { ETag: object.etag };
+    }
+
+    if (command instanceof DeleteObjectCommand) {
+      const objects = this.getObjects(input.Bucket);
+      checkConditions(objects.get(input.Key), input.IfMatch, undefined);
+
+      // Like S3, deleting a missing object succeeds.
+      objects.delete(input.Key);
+      return {};
+    }
+
+    if (command instanceof CopyObjectCommand) {
+      const [sourceBucket, ...keyParts] = input.CopySource.split('/');
+      const sourceKey = keyParts.map(decodeURIComponent).join('/');
+      const source = this.getObjects(sourceBucket).get(sourceKey);
+      if (!source) throw notFoundError();
+      if (input.CopySourceIfMatch !== undefined && source.etag !== input.CopySourceIfMatch) {
+        throw preconditionFailedError();
+      }
+
+      const objects = this.getObjects(input.Bucket);
+      checkConditions(objects.get(input.Key), input.IfMatch, input.IfNoneMatch);
+
+      const object = this.putObject(
+        input.Bucket, input.Key, source.content, source.contentType
+      );
+      return { CopyObjectResult: { ETag: object.etag } };
+    }
+
+    if (command instanceof ListObjectsV2Command) {
+      const prefix = input.Prefix || '';
+      let names = [...this.getObjects(input.Bucket).keys()].sort();
+
+      // Like S3, StartAfter is only a name, rolled up names after it
+      //   can still be the prefix of it. The token is the last key of a page.
+      const token = input.ContinuationToken || null;
+      if (token === null && input.StartAfter) {
+        names = names.filter(name => name > input.StartAfter);
+      }
+      const { items, hasMore } = selectListItems(
+        names, prefix, input.Delimiter || null, token, input.MaxKeys
+      );
+
+      const objects = this.getObjects(input.Bucket);
+      return {
+        Contents: items.filter(item => !item.isPrefix).map(({ key }) => {
+          const object = objects.get(key);
+          return {
+            Key: key,
+            ETag: object.etag,
+            Size: object.content.length,
+            LastModified: object.lastModified,
+          };
+        }),
+        CommonPrefixes: items.filter(item => item.isPrefix).map(({ key }) => {
+          return { Prefix: key };
+        }),
+        IsTruncated: hasMore,
+        NextContinuationToken: hasMore ? items[items.length - 1].key : undefined,
+      };
+    }
+
+    throw new Error(`MockS3Client doesn't support ${command.constructor.name}`);
+  }
+
+  destroy() {}
+}
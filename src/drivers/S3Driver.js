@@ -0,0 +1,558 @@
+import {
+  S3Client, HeadBucketCommand, HeadObjectCommand, GetObjectCommand, PutObjectCommand,
+  DeleteObjectCommand, CopyObjectCommand, ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+
+import { CREATE_FILE, UPDATE_FILE, DELETE_FILE } from '../const';
+import {
+  PreconditionFailedError, BadPathError, InvalidInputError, DoesNotExist,
+  RangeNotSatisfiableError,
+} from '../errors';
+import {
+  dateToUnixTimeSeconds, isObject, isString, isNumber, resolveRange,
+} from '../utils';
+
+const isPathValid = (path) => {
+  // for now, only disallow double dots.
+  return !path.includes('..');
+};
+
+const getStatusCode = (error) => {
+  if (isObject(error.$metadata) && isNumber(error.$metadata.httpStatusCode)) {
+    return error.$metadata.httpStatusCode;
+  }
+  return null;
+};
+
+const isNotFoundError = (error) => {
+  return (
+    error instanceof DoesNotExist ||
+    getStatusCode(error) === 404 ||
+    ['NotFound', 'NoSuchKey'].includes(error.name)
+  );
+};
+
+const isPreconditionFailedError = (error) => {
+  return (
+    error instanceof PreconditionFailedError ||
+    getStatusCode(error) === 412 ||
+    ['PreconditionFailed', 'ConditionalRequestConflict'].includes(error.name)
+  );
+};
+
+const parseHeadObjectStat = (headResult) => {
+  const lastModified = dateToUnixTimeSeconds(new Date(headResult.LastModified));
+  const result = {
+    exists: true,
+    etag: headResult.ETag,
+    contentType: headResult.ContentType,
+    contentLength: headResult.ContentLength,
+    lastModifiedDate: lastModified,
+    generation: headResult.VersionId || headResult.ETag,
+  };
+  return result;
+};
+
+const streamToBuffer = async (readable) => {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+class S3Driver {
+
+  constructor(config) {
+    const s3Settings = config.s3Settings || {};
+
+    const clientConfig = {};
+    if (s3Settings.region) clientConfig.region = s3Settings.region;
+    if (s3Settings.endpoint) clientConfig.endpoint = s3Settings.endpoint;
+    if (s3Settings.forcePathStyle) clientConfig.forcePathStyle = true;
+    if (isObject(s3Settings.credentials)) {
+      clientConfig.credentials = s3Settings.credentials;
+    }
+
+    this.s3 = new S3Client(clientConfig);
+    this.bucket = config.bucket;
+    this.backupBucket = config.backupBucket;
+    this.region = s3Settings.region;
+    this.endpoint = s3Settings.endpoint;
+    this.forcePathStyle = !!s3Settings.forcePathStyle;
+    // Private objects are only readable through the hub.
+    this.acl = config.privateStorage ? null : s3Settings.acl;
+    this.pageSize = config.pageSize ? config.pageSize : 100;
+    this.cacheControl = config.cacheControl;
+    // Some S3-compatible stores ignore If-Match on DeleteObject, then deletes
+    //   only compare the etag from a stat before deleting unconditionally.
+    this.isConditionalDeleteSupported = s3Settings.isConditionalDeleteSupported !== false;
+    this.initPromise = this.createIfNeeded();
+  }
+
+  ensureInitialized() {
+    return this.initPromise;
+  }
+
+  dispose() {
+    this.s3.destroy();
+    return Promise.resolve();
+  }
+
+  getReadURLPrefix() {
+    if (this.endpoint) {
+      const endpoint = this.endpoint.replace(/\/+$/, '');
+      if (this.forcePathStyle) return `${endpoint}/${this.bucket}/`;
+
+      const url = new URL(endpoint);
+      return `${url.protocol}//${this.bucket}.${url.host}/`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/`;
+  }
+
+  async createIfNeeded() {
+    try {
+      await this.s3.send(new HeadBucketCommand({ Bucket: this.bucket }));
+    } catch (error) {
+      console.error(error);
+      throw new Error('failed to initialize s3 bucket');
+    }
+  }
+
+  async deleteEmptyBucket() {
+    throw new Error('Not support deleting s3 bucket');
+  }
+
+  async listAllObjects(prefix, page, pageSize, delimiter = null, startAfter = null) {
+    pageSize = parseInt(pageSize, 10);
+    if (!Number.isFinite(pageSize) || pageSize > this.pageSize || pageSize <= 0) {
+      pageSize = this.pageSize;
+    }
+
+    // S3 returns at most 1000 keys per request.
+    // Ignored by S3 when continuing from a page.
+    const startName = isString(startAfter) && !page ? `${prefix}${startAfter}` : null;
+    const listResult = await this.s3.send(new ListObjectsV2Command({
+      Bucket: this.bucket,
+      Prefix: prefix,
+      MaxKeys: Math.min(pageSize, 1000),
+      ContinuationToken: page || undefined,
+      Delimiter: delimiter || undefined,
+      StartAfter: startName || undefined,
+    }));
+
+    const contents = listResult.Contents || [];
+    const fileEntries = contents.map(content => {
+      return {
+        name: content.Key.slice(prefix.length),
+        content: content,
+      };
+    });
+    const commonPrefixes = listResult.CommonPrefixes || [];
+    const result = {
+      entries: fileEntries,
+      // A rolled up prefix of startName, e.g. a/ of a/ or a/b, is after it too.
+      prefixes: commonPrefixes
+        .filter(commonPrefix => startName === null || commonPrefix.Prefix > startName)
+        .map(commonPrefix => commonPrefix.Prefix.slice(prefix.length)),
+      page: (listResult.IsTruncated && listResult.NextContinuationToken) || null,
+    };
+    return result;
+  }
+
+  async listFiles(args) {
+    const listResult = await this.listAllObjects(
+      args.pathPrefix, args.page, args.pageSize, args.delimiter, args.startAfter
+    );
+    const result = {
+      page: listResult.page,
+      prefixes: listResult.prefixes,
+      entries: listResult.entries.map(file => file.name),
+    };
+    return result;
+  }
+
+  async listFilesStat(args) {
+    const listResult = await this.listAllObjects(
+      args.pathPrefix, args.page, args.pageSize, args.delimiter, args.startAfter
+    );
+    const result = {
+      page: listResult.page,
+      prefixes: listResult.prefixes,
+      entries: listResult.entries.map(entry => {
+        // ListObjectsV2 doesn't return content types, and a head request
+        //   per entry would be too slow for big pages.
+        const { content } = entry;
+        const entryResult = {
+          exists: true,
+          etag: content.ETag,
+          contentLength: content.Size,
+          lastModifiedDate: dateToUnixTimeSeconds(new Date(content.LastModified)),
+          name: entry.name,
+        };
+        return entryResult;
+      }),
+    };
+    return result;
+  }
+
+  async performWrite(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+    if (args.contentType && args.contentType.length > 1024) {
+      throw new InvalidInputError('Invalid content-type');
+    }
+
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    let etag = null, contentLength = 0, action = CREATE_FILE;
+
+    const stat = await this._performStat(filename);
+    if (stat.exists) {
+      [etag, contentLength] = [stat.etag, stat.contentLength];
+      action = UPDATE_FILE;
+    }
+    this.validateMatchTag(args.ifMatchTag, etag);
+    if (args.ifNoneMatchTag && args.ifNoneMatchTag === '*') {
+      // only proceed with writing file if the file does not already exist
+      if (stat.exists) {
+        throw new PreconditionFailedError('The entity you are trying to create already exists', etag);
+      }
+    }
+
+    // PutObject needs a known length to stream the body, otherwise buffer it.
+    //   The server already limits the body to maxFileUploadSize.
+    let body = args.content, bodyLength = args.contentLength;
+    if (!isString(body) && !Buffer.isBuffer(body)) {
+      if (!Number.isFinite(bodyLength) || bodyLength <= 0) {
+        body = await streamToBuffer(body);
+        bodyLength = body.length;
+      }
+    } else {
+      bodyLength = Buffer.byteLength(body);
+    }
+
+    const putParams = {
+      Bucket: this.bucket,
+      Key: filename,
+      Body: body,
+      ContentLength: bodyLength,
+      ContentType: args.contentType,
+    };
+    if (this.cacheControl) putParams.CacheControl = this.cacheControl;
+    if (this.acl) putParams.ACL = this.acl;
+
+    // Conditional writes act like GcDriver's generation match.
+    if (stat.exists) putParams.IfMatch = etag;
+    else putParams.IfNoneMatch = '*';
+
+    let putResult;
+    try {
+      putResult = await this.s3.send(new PutObjectCommand(putParams));
+    } catch (error) {
+      if (isPreconditionFailedError(error)) {
+        throw new PreconditionFailedError(`The provided etag: ${etag} does not match the resource on the server`);
+      }
+
+      throw error;
+    }
+
+    const ctlChange = bodyLength - contentLength;
+    const result = {
+      publicURL: `${this.getReadURLPrefix()}${filename}`, etag: putResult.ETag,
+    };
+    const fileLog = this.createFileLog(
+      filename, args.assoIssAddress, action, bodyLength, ctlChange, result.etag
+    );
+
+    return { result, backupPaths: [filename], fileLogs: [fileLog] };
+  }
+
+  async performDelete(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    const stat = await this._performStat(filename);
+    if (!stat.exists) throw new DoesNotExist('File does not exist');
+
+    const { etag, contentLength } = stat;
+    this.validateMatchTag(args.ifMatchTag, etag);
+
+    try {
+      await this.deleteObject(filename, etag);
+    } catch (error) {
+      if (isNotFoundError(error)) {
+        throw new DoesNotExist('File does not exist');
+      }
+      if (isPreconditionFailedError(error)) {
+        throw new PreconditionFailedError(`The provided etag: ${etag} does not match the resource on the server`);
+      }
+
+      throw error;
+    }
+
+    const fileLog = this.createFileLog(
+      filename, args.assoIssAddress, DELETE_FILE, 0, -1 * contentLength
+    );
+
+    return { backupPaths: [], fileLogs: [fileLog] };
+  }
+
+  async deleteObject(filename, etag) {
+    // Conditional deletes act like GcDriver's generation match.
+    const deleteParams = { Bucket: this.bucket, Key: filename };
+    if (this.isConditionalDeleteSupported) {
+      deleteParams.IfMatch = etag;
+    } else {
+      const stat = await this._performStat(filename);
+      if (!stat.exists) throw new DoesNotExist('File does not exist');
+      if (stat.etag !== etag) {
+        throw new PreconditionFailedError(`The provided etag: ${etag} does not match the resource on the server`, stat.etag);
+      }
+    }
+    return this.s3.send(new DeleteObjectCommand(deleteParams));
+  }
+
+  async _performStat(filename) {
+    try {
+      const headResult = await this.s3.send(new HeadObjectCommand({
+        Bucket: this.bucket, Key: filename,
+      }));
+      const result = parseHeadObjectStat(headResult);
+      return result;
+    } catch (error) {
+      if (isNotFoundError(error)) {
+        const result = { exists: false };
+        return result;
+      }
+
+      throw error;
+    }
+  }
+
+  async performStat(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    const result = await this._performStat(filename);
+    return result;
+  }
+
+  async performRead(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid Path');
+    }
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    const stat = await this._performStat(filename);
+    if (!stat.exists) throw new DoesNotExist('File does not exist');
+
+    // IfMatch so the content matches the etag even if the file was just updated.
+    const getParams = { Bucket: this.bucket, Key: filename, IfMatch: stat.etag };
+    let range = null;
+    if (args.range) {
+      range = resolveRange(args.range, stat.contentLength);
+      if (!range) {
+        throw new RangeNotSatisfiableError('Range Not Satisfiable', stat.contentLength);
+      }
+      getParams.Range = `bytes=${range.start}-${range.end}`;
+    }
+
+    let getResult;
+    try {
+      getResult = await this.s3.send(new GetObjectCommand(getParams));
+    } catch (error) {
+      if (isNotFoundError(error)) {
+        throw new DoesNotExist('File does not exist');
+      }
+      if (isPreconditionFailedError(error)) {
+        throw new PreconditionFailedError(`The provided etag: ${stat.etag} does not match the resource on the server`);
+      }
+
+      throw error;
+    }
+
+    return { ...stat, range, content: getResult.Body };
+  }
+
+  async performRename(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid original path');
+    }
+    if (!isPathValid(args.newPath)) {
+      throw new BadPathError('Invalid new path');
+    }
+
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    const stat = await this._performStat(filename);
+    if (!stat.exists) throw new DoesNotExist('File does not exist');
+
+    const { etag, contentLength } = stat;
+    this.validateMatchTag(args.ifMatchTag, etag);
+
+    const newFilename = `${args.storageTopLevel}/${args.newPath}`;
+    const newStat = await this._performStat(newFilename);
+
+    // S3 has no move, copy only if both files are unchanged then delete
+    //   the source only if it's still unchanged.
+    let copyResult;
+    try {
+      copyResult = await this.s3.send(new CopyObjectCommand(
+        this.getCopyParams(filename, newFilename, etag, newStat)
+      ));
+    } catch (error) {
+      if (isNotFoundError(error)) {
+        throw new DoesNotExist('File does not exist');
+      }
+      if (isPreconditionFailedError(error)) {
+        throw new PreconditionFailedError(`The provided etag: ${etag} does not match the resource on the server`);
+      }
+
+      throw error;
+    }
+
+    const newEtag = copyResult.CopyObjectResult.ETag;
+    try {
+      await this.deleteObject(filename, etag);
+    } catch (error) {
+      if (!isNotFoundError(error) && !isPreconditionFailedError(error)) throw error;
+
+      // The source is changed meanwhile, undo the copy if it's a new file.
+      if (!newStat.exists) {
+        try {
+          await this.deleteObject(newFilename, newEtag);
+        } catch (dError) {
+          console.error(`Undo copy to ${newFilename} error`, dError);
+        }
+      }
+      throw new PreconditionFailedError(`The provided etag: ${etag} does not match the resource on the server`);
+    }
+
+    const result = {
+      publicURL: `${this.getReadURLPrefix()}${newFilename}`, etag: newEtag,
+    };
+    const fileLog = this.createFileLog(
+      filename, args.assoIssAddress, DELETE_FILE, 0, -1 * contentLength
+    );
+    const newFileLog = this.createDestinationFileLog(
+      newFilename, args.assoIssAddress, newStat, contentLength, result.etag
+    );
+
+    return { result, backupPaths: [newFilename], fileLogs: [fileLog, newFileLog] };
+  }
+
+  async performCopy(args) {
+    if (!isPathValid(args.path)) {
+      throw new BadPathError('Invalid original path');
+    }
+    if (!isPathValid(args.newPath)) {
+      throw new BadPathError('Invalid new path');
+    }
+
+    const filename = `${args.storageTopLevel}/${args.path}`;
+
+    const stat = await this._performStat(filename);
+    if (!stat.exists) throw new DoesNotExist('File does not exist');
+
+    const { etag, contentLength } = stat;
+    this.validateMatchTag(args.ifMatchTag, etag);
+
+    const newFilename = `${args.storageTopLevel}/${args.newPath}`;
+    const newStat = await this._performStat(newFilename);
+
+    let copyResult;
+    try {
+      copyResult = await this.s3.send(new CopyObjectCommand(
+        this.getCopyParams(filename, newFilename, etag, newStat)
+      ));
+    } catch (error) {
+      if (isNotFoundError(error)) {
+        throw new DoesNotExist('File does not exist');
+      }
+      if (isPreconditionFailedError(error)) {
+        throw new PreconditionFailedError(`The provided etag: ${etag} does not match the resource on the server`);
+      }
+
+      throw error;
+    }
+
+    const result = {
+      publicURL: `${this.getReadURLPrefix()}${newFilename}`,
+      etag: copyResult.CopyObjectResult.ETag,
+    };
+    const newFileLog = this.createDestinationFileLog(
+      newFilename, args.assoIssAddress, newStat, contentLength, result.etag
+    );
+
+    return { result, backupPaths: [newFilename], fileLogs: [newFileLog] };
+  }
+
+  getCopyParams(filename, newFilename, etag, newStat) {
+    // Only copy if the source is unchanged and the destination, like performWrite,
+    //   is still as in newStat so the file log is right.
+    const copyParams = {
+      Bucket: this.bucket,
+      Key: newFilename,
+      CopySource: `${this.bucket}/${filename.split('/').map(encodeURIComponent).join('/')}`,
+      CopySourceIfMatch: etag,
+    };
+    if (newStat.exists) copyParams.IfMatch = newStat.etag;
+    else copyParams.IfNoneMatch = '*';
+    if (this.acl) copyParams.ACL = this.acl;
+    return copyParams;
+  }
+
+  async performBackup(args) {
+    if (!this.backupBucket) return false;
+
+    try {
+      await this.s3.send(new CopyObjectCommand({
+        Bucket: this.backupBucket,
+        Key: args.path,
+        CopySource: `${this.bucket}/${args.path.split('/').map(encodeURIComponent).join('/')}`,
+      }));
+    } catch (error) {
+      if (isNotFoundError(error)) {
+        throw new DoesNotExist('File does not exist');
+      }
+
+      throw error;
+    }
+
+    return true;
+  }
+
+  validateMatchTag(ifMatchTag, currentETag) {
+    if (ifMatchTag && ifMatchTag !== '*') {
+      if (ifMatchTag !== currentETag) {
+        throw new PreconditionFailedError('The provided ifMatchTag does not match the resource on the server', currentETag);
+      }
+    }
+  }
+
+  createDestinationFileLog(path, assoIssAddress, destStat, size, etag) {
+    // Renaming or copying onto an existing file replaces it.
+    if (destStat.exists) {
+      return this.createFileLog(
+        path, assoIssAddress, UPDATE_FILE, size, size - destStat.contentLength, etag
+      );
+    }
+    return this.createFileLog(path, assoIssAddress, CREATE_FILE, size, size, etag);
+  }
+
+  createFileLog(path, assoIssAddress, action, size, sizeChange, etag = null) {
+    const createDT = Date.now();
+    const fileLog = { path, assoIssAddress, action, size, sizeChange, etag, createDT };
+    return fileLog;
+  }
+}
+
+const driver = S3Driver;
+export default driver;
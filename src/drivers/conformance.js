@@ -0,0 +1,477 @@
+import * as assert from 'assert/strict';
+import * as stream from 'stream';
+
+import { CREATE_FILE, UPDATE_FILE, DELETE_FILE } from '../const';
+import {
+  PreconditionFailedError, BadPathError, DoesNotExist, RangeNotSatisfiableError,
+} from '../errors';
+import { randomString, isNumber } from '../utils';
+
+/*
+ * A driver conformance suite, the contract HubServer relies on.
+ *   Every case works under its own storageTopLevel so a driver can be shared.
+ */
+
+const assertFileLog = (
+  fileLog, path, assoIssAddress, action, size, sizeChange, etag = null
+) => {
+  assert.deepEqual(Object.keys(fileLog).sort(), [
+    'action', 'assoIssAddress', 'createDT', 'etag', 'path', 'size', 'sizeChange',
+  ]);
+  assert.equal(fileLog.path, path);
+  assert.equal(fileLog.assoIssAddress, assoIssAddress);
+  assert.equal(fileLog.action, action);
+  assert.equal(fileLog.size, size);
+  assert.equal(fileLog.sizeChange, sizeChange);
+  assert.equal(fileLog.etag, etag);
+  assert.ok(isNumber(fileLog.createDT));
+};
+
+const writeText = (driver, storageTopLevel, path, content, extraArgs = {}) => {
+  return driver.performWrite({
+    storageTopLevel,
+    path,
+    content,
+    contentType: 'text/plain',
+    contentLength: Buffer.byteLength(content),
+    ifMatchTag: null,
+    ifNoneMatchTag: null,
+    assoIssAddress: null,
+    ...extraArgs,
+  });
+};
+
+const readText = async (readable) => {
+  const chunks = [];
+  for await (const chunk of readable) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const cases = [];
+const addCase = (name, fn) => {
+  cases.push({ name, fn });
+};
+
+addCase('performWrite creates a file', async (driver, address) => {
+  const wResult = await writeText(driver, address, 'a/b.txt', 'hello', {
+    assoIssAddress: 'assoIss',
+  });
+
+  assert.equal(wResult.result.publicURL, `${driver.getReadURLPrefix()}${address}/a/b.txt`);
+  assert.ok(wResult.result.etag);
+  assert.deepEqual(wResult.backupPaths, [`${address}/a/b.txt`]);
+  assert.equal(wResult.fileLogs.length, 1);
+  assertFileLog(
+    wResult.fileLogs[0], `${address}/a/b.txt`, 'assoIss', CREATE_FILE, 5, 5,
+    wResult.result.etag
+  );
+});
+
+addCase('performWrite updates a file', async (driver, address) => {
+  await writeText(driver, address, 'a.txt', 'hello');
+  const wResult = await writeText(driver, address, 'a.txt', 'hi');
+
+  assert.deepEqual(wResult.backupPaths, [`${address}/a.txt`]);
+  assertFileLog(
+    wResult.fileLogs[0], `${address}/a.txt`, null, UPDATE_FILE, 2, -3,
+    wResult.result.etag
+  );
+});
+
+addCase('performWrite accepts a stream', async (driver, address) => {
+  const content = stream.Readable.from([Buffer.from('hel'), Buffer.from('lo')]);
+  const wResult = await writeText(driver, address, 'a.txt', '', {
+    content, contentLength: 5,
+  });
+
+  const stat = await driver.performStat({ storageTopLevel: address, path: 'a.txt' });
+  assert.equal(stat.contentLength, 5);
+  assert.equal(stat.etag, wResult.result.etag);
+});
+
+addCase('performWrite checks ifMatchTag', async (driver, address) => {
+  const { result } = await writeText(driver, address, 'a.txt', 'hello');
+
+  await assert.rejects(
+    writeText(driver, address, 'a.txt', 'hi', { ifMatchTag: '"wrong"' }),
+    (error) => {
+      assert.ok(error instanceof PreconditionFailedError);
+      assert.equal(error.expectedEtag, result.etag);
+      return true;
+    }
+  );
+  await assert.rejects(
+    writeText(driver, address, 'b.txt', 'hi', { ifMatchTag: result.etag }),
+    PreconditionFailedError
+  );
+
+  const wResult = await writeText(driver, address, 'a.txt', 'hi', {
+    ifMatchTag: result.etag,
+  });
+  assert.notEqual(wResult.result.etag, result.etag);
+  await writeText(driver, address, 'a.txt', 'hey', { ifMatchTag: '*' });
+});
+
+addCase('performWrite checks ifNoneMatchTag', async (driver, address) => {
+  const { result } = await writeText(driver, address, 'a.txt', 'hello', { ifNoneMatchTag: '*' });
+  await assert.rejects(
+    writeText(driver, address, 'a.txt', 'hi', { ifNoneMatchTag: '*' }),
+    (error) => {
+      assert.ok(error instanceof PreconditionFailedError);
+      assert.equal(error.expectedEtag, result.etag);
+      return true;
+    }
+  );
+});
+
+addCase('performStat returns stat', async (driver, address) => {
+  const { result } = await writeText(driver, address, 'a.txt', 'hello');
+
+  const stat = await driver.performStat({ storageTopLevel: address, path: 'a.txt' });
+  assert.equal(stat.exists, true);
+  assert.equal(stat.etag, result.etag);
+  assert.equal(stat.contentType, 'text/plain');
+  assert.equal(stat.contentLength, 5);
+  assert.ok(isNumber(stat.lastModifiedDate));
+  assert.ok(stat.generation);
+
+  const nStat = await driver.performStat({ storageTopLevel: address, path: 'b.txt' });
+  assert.deepEqual(nStat, { exists: false });
+});
+
+addCase('performRead reads a file', async (driver, address) => {
+  const { result } = await writeText(driver, address, 'a.txt', 'hello world');
+
+  const rResult = await driver.performRead({ storageTopLevel: address, path: 'a.txt' });
+  assert.equal(rResult.exists, true);
+  assert.equal(rResult.etag, result.etag);
+  assert.equal(rResult.contentType, 'text/plain');
+  assert.equal(rResult.contentLength, 11);
+  assert.equal(rResult.range, null);
+  assert.equal(await readText(rResult.content), 'hello world');
+
+  await assert.rejects(
+    driver.performRead({ storageTopLevel: address, path: 'b.txt' }), DoesNotExist
+  );
+});
+
+addCase('performRead reads a range', async (driver, address) => {
+  await writeText(driver, address, 'a.txt', 'hello world');
+
+  const read = async (range) => {
+    const rResult = await driver.performRead({
+      storageTopLevel: address, path: 'a.txt', range,
+    });
+    assert.equal(rResult.contentLength, 11);
+    return [rResult.range, await readText(rResult.content)];
+  };
+  assert.deepEqual(await read({ start: 0, end: 4 }), [{ start: 0, end: 4 }, 'hello']);
+  assert.deepEqual(await read({ start: 6, end: null }), [{ start: 6, end: 10 }, 'world']);
+  assert.deepEqual(await read({ start: null, end: 3 }), [{ start: 8, end: 10 }, 'rld']);
+  assert.deepEqual(await read({ start: 6, end: 99 }), [{ start: 6, end: 10 }, 'world']);
+
+  await assert.rejects(
+    driver.performRead({
+      storageTopLevel: address, path: 'a.txt', range: { start: 11, end: null },
+    }),
+    (error) => {
+      assert.ok(error instanceof RangeNotSatisfiableError);
+      assert.equal(error.contentLength, 11);
+      return true;
+    }
+  );
+});
+
+addCase('performDelete deletes a file', async (driver, address) => {
+  await writeText(driver, address, 'a.txt', 'hello');
+  const dResult = await driver.performDelete({
+    storageTopLevel: address, path: 'a.txt', ifMatchTag: null, assoIssAddress: null,
+  });
+
+  assert.deepEqual(dResult.backupPaths, []);
+  assert.equal(dResult.fileLogs.length, 1);
+  assertFileLog(dResult.fileLogs[0], `${address}/a.txt`, null, DELETE_FILE, 0, -5);
+
+  const stat = await driver.performStat({ storageTopLevel: address, path: 'a.txt' });
+  assert.equal(stat.exists, false);
+});
+
+addCase('performDelete checks ifMatchTag', async (driver, address) => {
+  const { result } = await writeText(driver, address, 'a.txt', 'hello');
+  await assert.rejects(
+    driver.performDelete({
+      storageTopLevel: address, path: 'a.txt', ifMatchTag: '"wrong"',
+    }),
+    (error) => {
+      assert.ok(error instanceof PreconditionFailedError);
+      assert.equal(error.expectedEtag, result.etag);
+      return true;
+    }
+  );
+  await driver.performDelete({
+    storageTopLevel: address, path: 'a.txt', ifMatchTag: result.etag,
+  });
+});
+
+addCase('performDelete throws DoesNotExist', async (driver, address) => {
+  await assert.rejects(
+    driver.performDelete({ storageTopLevel: address, path: 'a.txt' }),
+    DoesNotExist
+  );
+});
+
+addCase('performRename renames a file', async (driver, address) => {
+  const { result } = await writeText(driver, address, 'a.txt', 'hello');
+  const rnResult = await driver.performRename({
+    storageTopLevel: address,
+    path: 'a.txt',
+    newPath: '.history.1.abc.a.txt',
+    ifMatchTag: result.etag,
+    assoIssAddress: null,
+  });
+
+  const newFilename = `${address}/.history.1.abc.a.txt`;
+  assert.equal(rnResult.result.publicURL, `${driver.getReadURLPrefix()}${newFilename}`);
+  assert.equal(rnResult.result.etag, result.etag);
+  assert.deepEqual(rnResult.backupPaths, [newFilename]);
+  assert.equal(rnResult.fileLogs.length, 2);
+  assertFileLog(rnResult.fileLogs[0], `${address}/a.txt`, null, DELETE_FILE, 0, -5);
+  assertFileLog(
+    rnResult.fileLogs[1], newFilename, null, CREATE_FILE, 5, 5,
+    rnResult.result.etag
+  );
+
+  const stat = await driver.performStat({ storageTopLevel: address, path: 'a.txt' });
+  assert.equal(stat.exists, false);
+  const newStat = await driver.performStat({
+    storageTopLevel: address, path: '.history.1.abc.a.txt',
+  });
+  assert.equal(newStat.exists, true);
+  assert.equal(newStat.etag, result.etag);
+});
+
+addCase('performRename replaces an existing file', async (driver, address) => {
+  await writeText(driver, address, 'a.txt', 'hello');
+  await writeText(driver, address, 'b.txt', 'hi');
+  const rnResult = await driver.performRename({
+    storageTopLevel: address, path: 'a.txt', newPath: 'b.txt', assoIssAddress: null,
+  });
+
+  assertFileLog(rnResult.fileLogs[0], `${address}/a.txt`, null, DELETE_FILE, 0, -5);
+  assertFileLog(
+    rnResult.fileLogs[1], `${address}/b.txt`, null, UPDATE_FILE, 5, 3,
+    rnResult.result.etag
+  );
+});
+
+addCase('performRename checks ifMatchTag', async (driver, address) => {
+  await writeText(driver, address, 'a.txt', 'hello');
+  await assert.rejects(
+    driver.performRename({
+      storageTopLevel: address, path: 'a.txt', newPath: 'b.txt', ifMatchTag: '"wrong"',
+    }),
+    PreconditionFailedError
+  );
+});
+
+addCase('performRename throws DoesNotExist', async (driver, address) => {
+  await assert.rejects(
+    driver.performRename({ storageTopLevel: address, path: 'a.txt', newPath: 'b.txt' }),
+    DoesNotExist
+  );
+});
+
+addCase('performCopy copies a file', async (driver, address) => {
+  const { result } = await writeText(driver, address, 'a.txt', 'hello');
+  await writeText(driver, address, 'c.txt', 'hi');
+
+  const cpResult = await driver.performCopy({
+    storageTopLevel: address,
+    path: 'a.txt',
+    newPath: 'b/a.txt',
+    ifMatchTag: result.etag,
+    assoIssAddress: null,
+  });
+  const newFilename = `${address}/b/a.txt`;
+  assert.equal(cpResult.result.publicURL, `${driver.getReadURLPrefix()}${newFilename}`);
+  assert.equal(cpResult.result.etag, result.etag);
+  assert.deepEqual(cpResult.backupPaths, [newFilename]);
+  assert.equal(cpResult.fileLogs.length, 1);
+  assertFileLog(
+    cpResult.fileLogs[0], newFilename, null, CREATE_FILE, 5, 5,
+    cpResult.result.etag
+  );
+
+  const stat = await driver.performStat({ storageTopLevel: address, path: 'a.txt' });
+  assert.equal(stat.etag, result.etag);
+  const newStat = await driver.performStat({ storageTopLevel: address, path: 'b/a.txt' });
+  assert.equal(newStat.etag, result.etag);
+  assert.equal(newStat.contentLength, 5);
+
+  const oResult = await driver.performCopy({
+    storageTopLevel: address, path: 'a.txt', newPath: 'c.txt', assoIssAddress: null,
+  });
+  assertFileLog(
+    oResult.fileLogs[0], `${address}/c.txt`, null, UPDATE_FILE, 5, 3,
+    oResult.result.etag
+  );
+});
+
+addCase('performCopy checks ifMatchTag and existence', async (driver, address) => {
+  await writeText(driver, address, 'a.txt', 'hello');
+  await assert.rejects(
+    driver.performCopy({
+      storageTopLevel: address, path: 'a.txt', newPath: 'b.txt', ifMatchTag: '"wrong"',
+    }),
+    PreconditionFailedError
+  );
+  await assert.rejects(
+    driver.performCopy({ storageTopLevel: address, path: 'c.txt', newPath: 'b.txt' }),
+    DoesNotExist
+  );
+  await assert.rejects(
+    driver.performCopy({ storageTopLevel: address, path: 'a.txt', newPath: '../b.txt' }),
+    BadPathError
+  );
+});
+
+addCase('throws BadPathError on ..', async (driver, address) => {
+  await assert.rejects(writeText(driver, address, '../a.txt', 'hello'), BadPathError);
+  await assert.rejects(
+    driver.performDelete({ storageTopLevel: address, path: 'a/../../b.txt' }),
+    BadPathError
+  );
+  await assert.rejects(
+    driver.performStat({ storageTopLevel: address, path: '..' }), BadPathError
+  );
+  await assert.rejects(
+    driver.performRead({ storageTopLevel: address, path: '../a.txt' }), BadPathError
+  );
+  await assert.rejects(
+    driver.performRename({ storageTopLevel: address, path: '../a.txt', newPath: 'b.txt' }),
+    BadPathError
+  );
+
+  await writeText(driver, address, 'a.txt', 'hello');
+  await assert.rejects(
+    driver.performRename({ storageTopLevel: address, path: 'a.txt', newPath: '../b.txt' }),
+    BadPathError
+  );
+});
+
+addCase('listFiles pages through files', async (driver, address) => {
+  const names = ['a.txt', 'b/c.txt', 'b/d.txt', 'e.txt', 'f.txt'];
+  for (const name of names) await writeText(driver, address, name, name);
+  await writeText(driver, `${address}x`, 'a.txt', 'other');
+
+  const listedNames = [];
+  let page = null, nPages = 0;
+  do {
+    const listResult = await driver.listFiles({
+      pathPrefix: `${address}/`, page, pageSize: 2,
+    });
+    assert.ok(listResult.entries.length <= 2);
+    listedNames.push(...listResult.entries);
+    page = listResult.page;
+    nPages += 1;
+  } while (page && nPages < 10);
+
+  assert.deepEqual(listedNames.sort(), names);
+  assert.equal(nPages, 3);
+});
+
+addCase('listFiles rolls up names by delimiter after startAfter', async (driver, address) => {
+  const names = ['a.txt', 'b/c.txt', 'b/d/e.txt', 'b/f.txt', 'c/g.txt', 'h.txt'];
+  for (const name of names) await writeText(driver, address, name, name);
+
+  const entries = [], prefixes = [];
+  let page = null, nPages = 0;
+  do {
+    const listResult = await driver.listFiles({
+      pathPrefix: `${address}/`, page, pageSize: 2, delimiter: '/',
+    });
+    entries.push(...listResult.entries);
+    prefixes.push(...listResult.prefixes);
+    page = listResult.page;
+    nPages += 1;
+  } while (page && nPages < 10);
+  assert.deepEqual(entries, ['a.txt', 'h.txt']);
+  assert.deepEqual(prefixes, ['b/', 'c/']);
+
+  let listResult = await driver.listFiles({
+    pathPrefix: `${address}/b/`, page: null, pageSize: null, delimiter: '/',
+  });
+  assert.deepEqual(listResult.entries, ['c.txt', 'f.txt']);
+  assert.deepEqual(listResult.prefixes, ['d/']);
+
+  listResult = await driver.listFiles({
+    pathPrefix: `${address}/`, page: null, pageSize: null, startAfter: 'b/d/e.txt',
+  });
+  assert.deepEqual(listResult.entries, ['b/f.txt', 'c/g.txt', 'h.txt']);
+  assert.deepEqual(listResult.prefixes, []);
+
+  // A folder prefix is on the page that startAfter comes from.
+  for (const startAfter of ['b/', 'b/d/e.txt']) {
+    listResult = await driver.listFiles({
+      pathPrefix: `${address}/`, page: null, pageSize: null, delimiter: '/', startAfter,
+    });
+    assert.deepEqual(listResult.entries, ['h.txt']);
+    assert.deepEqual(listResult.prefixes, ['c/']);
+  }
+});
+
+addCase('listFilesStat returns stats', async (driver, address) => {
+  const { result } = await writeText(driver, address, 'a.txt', 'hello');
+  await writeText(driver, address, 'b.txt', 'hi');
+
+  const listResult = await driver.listFilesStat({
+    pathPrefix: `${address}/`, page: null, pageSize: 1,
+  });
+  assert.equal(listResult.entries.length, 1);
+  assert.ok(listResult.page);
+
+  const [entry] = listResult.entries;
+  assert.equal(entry.name, 'a.txt');
+  assert.equal(entry.exists, true);
+  assert.equal(entry.etag, result.etag);
+  assert.equal(entry.contentLength, 5);
+  assert.ok(isNumber(entry.lastModifiedDate));
+
+  const nListResult = await driver.listFilesStat({
+    pathPrefix: `${address}/`, page: listResult.page, pageSize: 1,
+  });
+  assert.deepEqual(nListResult.entries.map(e => e.name), ['b.txt']);
+  assert.equal(nListResult.page, null);
+});
+
+addCase('performBackup copies a file', async (driver, address) => {
+  await writeText(driver, address, 'a.txt', 'hello');
+
+  const isBackedUp = await driver.performBackup({ path: `${address}/a.txt` });
+  assert.equal(isBackedUp, true);
+  await assert.rejects(
+    driver.performBackup({ path: `${address}/b.txt` }), DoesNotExist
+  );
+});
+
+/*
+ * Runs every case against the driver and logs the results.
+ *   Returns the number of failed cases.
+ */
+export const runDriverConformance = async (name, driver) => {
+  await driver.ensureInitialized();
+
+  let nFailed = 0;
+  for (const c of cases) {
+    const address = `test${randomString(12)}`;
+    try {
+      await c.fn(driver, address);
+      console.log(`[${name}] ok - ${c.name}`);
+    } catch (error) {
+      nFailed += 1;
+      console.log(`[${name}] FAILED - ${c.name}`);
+      console.log(error);
+    }
+  }
+  return nFailed;
+};
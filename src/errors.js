@@ -5,6 +5,16 @@ export class ValidationError extends Error {
   }
 }
 
+// A ValidationError for the same status as before, with the address's policy.
+export class BlacklistedError extends ValidationError {
+  constructor(message, operation, policy) {
+    super(message);
+    this.name = this.constructor.name;
+    this.operation = operation;
+    this.policy = policy;
+  }
+}
+
 export class PreconditionFailedError extends Error {
   constructor(message, expectedEtag = null) {
     super(message);
@@ -62,3 +72,47 @@ export class PayloadTooLargeError extends Error {
     this.name = this.constructor.name;
   }
 }
+
+export class CursorExpiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+export class IdempotencyKeyMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+export class QuotaExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+export class RangeNotSatisfiableError extends Error {
+  constructor(message, contentLength = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.contentLength = contentLength;
+  }
+}
+
+export class UploadOffsetError extends Error {
+  constructor(message, offset = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.offset = offset;
+  }
+}
+
+export class NotImplementedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
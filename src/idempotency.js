@@ -0,0 +1,149 @@
+import * as crypto from 'crypto';
+
+import { ConflictError, IdempotencyKeyMismatchError, InvalidInputError } from './errors';
+import { isString } from './utils';
+
+const KEY_REGEX = /^[\x21-\x7E]{1,255}$/;
+// Datastore allows up to 1 MiB per entity, bigger responses aren't kept.
+const MAX_RESPONSE_LENGTH = 900 * 1024;
+
+/*
+ * Keeps the response of a write request per address and Idempotency-Key,
+ *   so a retried request gets the same response without writing again.
+ * A key is claimed before the request is performed, a duplicate meanwhile
+ *   gets ConflictError. If the request fails, the claim is released for a retry.
+ * The fingerprint of the request is kept with the response, a duplicate with
+ *   a different one gets IdempotencyKeyMismatchError.
+ */
+export class IdempotencyManager {
+
+  constructor(metadataStore, config) {
+    this.metadataStore = metadataStore;
+
+    const idempotencySettings = config.idempotencySettings || {};
+    this.expireTime = idempotencySettings.expireTime || 24 * 60 * 60 * 1000;
+    // Longer than any request, in case the hub stops before releasing a claim.
+    this.claimTime = idempotencySettings.claimTime || 10 * 60 * 1000;
+    this.sweepSize = idempotencySettings.sweepSize || 100;
+    this.isSweeping = false;
+
+    const sweepInterval = idempotencySettings.sweepInterval;
+    if (sweepInterval !== 0) this.setupSweeper(sweepInterval || 60 * 60 * 1000);
+  }
+
+  setupSweeper(timerInterval) {
+    const sweepTimeout = setInterval(() => this.sweep(), timerInterval);
+    sweepTimeout.unref();
+  }
+
+  getKey(requestHeaders) {
+    const key = requestHeaders['idempotency-key'];
+    if (key === undefined) return null;
+    if (!isString(key) || !KEY_REGEX.test(key)) {
+      throw new InvalidInputError('Invalid Idempotency-Key header');
+    }
+    return key;
+  }
+
+  createHash(type, params) {
+    return crypto.createHash('sha256').update(JSON.stringify([type, params]));
+  }
+
+  /*
+   * Performs the request once per address and key. perform returns the response,
+   *   getFingerprint is called after perform or, for a duplicate, instead of it.
+   */
+  async run(address, key, getFingerprint, perform) {
+    const now = Date.now();
+    const id = `${address}/${key}`;
+    const record = await this.metadataStore.performClaimIdempotencyRecord({
+      id,
+      address,
+      fingerprint: null,
+      response: null,
+      createDate: now,
+      expireDate: now + this.claimTime,
+    });
+    if (record !== null) {
+      if (record.response === null) {
+        throw new ConflictError('A request with this Idempotency-Key is in progress');
+      }
+
+      const fingerprint = await getFingerprint();
+      if (fingerprint !== record.fingerprint) {
+        throw new IdempotencyKeyMismatchError(
+          'Idempotency-Key is already used by a different request'
+        );
+      }
+
+      console.log(`Idempotent replay, address: ${address}, key: ${key}`);
+      return JSON.parse(record.response);
+    }
+
+    let response;
+    try {
+      response = await perform();
+    } catch (error) {
+      await this.release(id);
+      throw error;
+    }
+
+    // The request is done, so don't fail it, only report.
+    try {
+      const fingerprint = await getFingerprint();
+      const responseText = JSON.stringify(response);
+      if (responseText.length > MAX_RESPONSE_LENGTH) {
+        console.warn(`Idempotent response too large, address: ${address}, key: ${key}`);
+        await this.release(id);
+        return response;
+      }
+
+      const completeDate = Date.now();
+      await this.metadataStore.performPutIdempotencyRecord({
+        id,
+        address,
+        fingerprint,
+        response: responseText,
+        createDate: now,
+        expireDate: completeDate + this.expireTime,
+      });
+    } catch (error) {
+      // e.g. the rest of a multipart body is broken, so a retry isn't stuck.
+      console.error('Idempotency complete error', error, JSON.stringify({ address, key }));
+      await this.release(id);
+    }
+
+    return response;
+  }
+
+  async release(id) {
+    try {
+      await this.metadataStore.performDeleteIdempotencyRecord({ id });
+    } catch (error) {
+      console.error('Idempotency release error', error, JSON.stringify({ id }));
+    }
+  }
+
+  async sweep() {
+    if (this.isSweeping) return;
+    this.isSweeping = true;
+
+    let nDeleted = 0;
+    try {
+      const records = await this.metadataStore.performListIdempotencyRecords({
+        expireDate: Date.now(), limit: this.sweepSize,
+      });
+      for (const record of records) {
+        await this.metadataStore.performDeleteIdempotencyRecord({ id: record.id });
+        nDeleted += 1;
+      }
+    } catch (error) {
+      console.error('Idempotency sweep error', error);
+    } finally {
+      this.isSweeping = false;
+    }
+
+    if (nDeleted > 0) console.log(`Idempotency records swept, deleted: ${nDeleted}`);
+    return { nDeleted };
+  }
+}
@@ -4,24 +4,85 @@ import cors from 'cors';
 import { getChallengeText, LATEST_AUTH_VERSION } from './authentication';
 import { HubServer } from './server';
 import GcDriver from './drivers/GcDriver'
+import DiskDriver from './drivers/DiskDriver';
+import S3Driver from './drivers/S3Driver';
+import MemoryDriver from './drivers/MemoryDriver';
+import DatastoreMetadataStore from './metadata-stores/DatastoreMetadataStore';
+import JsonFileMetadataStore from './metadata-stores/JsonFileMetadataStore';
+import MemoryMetadataStore from './metadata-stores/MemoryMetadataStore';
+import CloudTasksDispatcher from './task-dispatchers/CloudTasksDispatcher';
+import InProcessDispatcher from './task-dispatchers/InProcessDispatcher';
+import WebhookDispatcher from './task-dispatchers/WebhookDispatcher';
+import InProcessPubSub from './pub-subs/InProcessPubSub';
+import CloudPubSub from './pub-subs/CloudPubSub';
 import * as errors from './errors';
 import config from './config';
-import { runAsyncWrapper, randomString, getTrace } from './utils';
+import { RENAME_FILE, COPY_FILE } from './const';
+import {
+  runAsyncWrapper, randomString, getTrace, pipelineAsync, isFldStr, isString,
+} from './utils';
 
 const getDriverClass = (driver) => {
   if (driver === 'google-cloud') {
     return GcDriver;
+  } else if (driver === 'disk') {
+    return DiskDriver;
+  } else if (driver === 's3') {
+    return S3Driver;
+  } else if (driver === 'memory') {
+    return MemoryDriver;
   } else {
     throw new Error(`Failed to load driver: driver was set to ${driver}`);
   }
 };
 
+const getMetadataStoreClass = (metadataStore) => {
+  if (metadataStore === 'datastore') {
+    return DatastoreMetadataStore;
+  } else if (metadataStore === 'json-file') {
+    return JsonFileMetadataStore;
+  } else if (metadataStore === 'memory') {
+    return MemoryMetadataStore;
+  } else {
+    throw new Error(`Failed to load metadata store: metadataStore was set to ${metadataStore}`);
+  }
+};
+
+const getTaskDispatcherClass = (taskDispatcher) => {
+  if (taskDispatcher === 'cloud-tasks') {
+    return CloudTasksDispatcher;
+  } else if (taskDispatcher === 'in-process') {
+    return InProcessDispatcher;
+  } else if (taskDispatcher === 'webhook') {
+    return WebhookDispatcher;
+  } else {
+    throw new Error(`Failed to load task dispatcher: taskDispatcher was set to ${taskDispatcher}`);
+  }
+};
+
+const getPubSubClass = (pubSub) => {
+  if (pubSub === 'in-process') {
+    return InProcessPubSub;
+  } else if (pubSub === 'cloud-pubsub') {
+    return CloudPubSub;
+  } else {
+    throw new Error(`Failed to load pub/sub: pubSub was set to ${pubSub}`);
+  }
+};
+
 const writeResponse = (res, data, statusCode) => {
   res.writeHead(statusCode, { 'Content-Type': 'application/json' });
   res.write(JSON.stringify(data));
   res.end();
 };
 
+const NDJSON = 'application/x-ndjson';
+
+const writeLine = (res, data, statusCode) => {
+  if (!res.headersSent) res.writeHead(statusCode, { 'Content-Type': NDJSON });
+  res.write(JSON.stringify(data) + '\n');
+};
+
 let driver;
 if (config.driverInstance) {
   driver = config.driverInstance;
@@ -38,16 +99,69 @@ driver.ensureInitialized().catch(error => {
   process.exit();
 })
 
-const server = new HubServer(driver, config);
+let metadataStore;
+if (config.metadataStoreInstance) {
+  metadataStore = config.metadataStoreInstance;
+} else if (config.metadataStoreClass) {
+  metadataStore = new config.metadataStoreClass(config);
+} else if (config.metadataStore) {
+  const metadataStoreClass = getMetadataStoreClass(config.metadataStore);
+  metadataStore = new metadataStoreClass(config);
+} else {
+  throw new Error('Metadata store option not configured');
+}
+metadataStore.ensureInitialized().catch(error => {
+  console.error(error);
+  process.exit();
+})
+
+let taskDispatcher;
+if (config.taskDispatcherInstance) {
+  taskDispatcher = config.taskDispatcherInstance;
+} else if (config.taskDispatcherClass) {
+  taskDispatcher = new config.taskDispatcherClass(config);
+} else if (config.taskDispatcher) {
+  const taskDispatcherClass = getTaskDispatcherClass(config.taskDispatcher);
+  taskDispatcher = new taskDispatcherClass(config);
+} else {
+  throw new Error('Task dispatcher option not configured');
+}
+taskDispatcher.ensureInitialized().catch(error => {
+  console.error(error);
+  process.exit();
+})
+
+// Without a shared pub/sub, only clients of this instance are notified.
+let pubSub;
+if (config.pubSubInstance) {
+  pubSub = config.pubSubInstance;
+} else if (config.pubSubClass) {
+  pubSub = new config.pubSubClass(config);
+} else {
+  const pubSubClass = getPubSubClass(config.pubSub || 'in-process');
+  pubSub = new pubSubClass(config);
+}
+pubSub.ensureInitialized().catch(error => {
+  console.error(error);
+  process.exit();
+})
+
+const server = new HubServer(driver, metadataStore, taskDispatcher, config, pubSub);
+
+// Without an external tasker, apply the tasks right here in this process.
+if (taskDispatcher instanceof InProcessDispatcher && !taskDispatcher.handler) {
+  taskDispatcher.setHandler(payload => server.tasker.handleTask(payload));
+}
 
 const corsConfig = cors({
   origin: '*',
   // Set the Access-Control-Max-Age header to 365 days.
   maxAge: 60 * 60 * 24 * 365,
-  methods: 'DELETE,POST,GET,OPTIONS,HEAD',
+  methods: 'DELETE,POST,PUT,GET,OPTIONS,HEAD',
   // Allow the client to include match headers in http requests
   // https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Access-Control-Allow-Headers
-  allowedHeaders: 'Authorization,Content-Type,If-Match,If-None-Match',
+  allowedHeaders: 'Authorization,Content-Type,Idempotency-Key,If-Match,If-None-Match,Range,Upload-Offset',
+  exposedHeaders: 'ETag,Content-Range,Accept-Ranges,Content-Length,Upload-Offset',
 });
 
 const app = express();
@@ -82,7 +196,11 @@ app.post(/^\/store\/([a-zA-Z0-9]+)\/(.+)/, runAsyncWrapper(async (req, res) => {
     writeResponse(res, responseData, 202);
   } catch (err) {
     console.log(`(${logKey}) ${err.toString()}, return error`);
-    if (err instanceof errors.ValidationError) {
+    if (err instanceof errors.BlacklistedError) {
+      writeResponse(
+        res, { message: err.message, error: err.name, policy: err.policy }, 401
+      );
+    } else if (err instanceof errors.ValidationError) {
       writeResponse(res, { message: err.message, error: err.name }, 401);
     } else if (err instanceof errors.AuthTokenTimestampValidationError) {
       writeResponse(res, { message: err.message, error: err.name }, 401);
@@ -92,8 +210,14 @@ app.post(/^\/store\/([a-zA-Z0-9]+)\/(.+)/, runAsyncWrapper(async (req, res) => {
       writeResponse(res, { message: err.message, error: err.name }, 402);
     } else if (err instanceof errors.ConflictError) {
       writeResponse(res, { message: err.message, error: err.name }, 409);
+    } else if (err instanceof errors.InvalidInputError) {
+      writeResponse(res, { message: err.message, error: err.name }, 400);
+    } else if (err instanceof errors.IdempotencyKeyMismatchError) {
+      writeResponse(res, { message: err.message, error: err.name }, 422);
     } else if (err instanceof errors.PayloadTooLargeError) {
       writeResponse(res, { message: err.message, error: err.name }, 413);
+    } else if (err instanceof errors.QuotaExceededError) {
+      writeResponse(res, { message: err.message, error: err.name }, 507);
     } else if (err instanceof errors.PreconditionFailedError) {
       writeResponse(
         res, { message: err.message, error: err.name, etag: err.expectedEtag }, 412
@@ -105,6 +229,234 @@ app.post(/^\/store\/([a-zA-Z0-9]+)\/(.+)/, runAsyncWrapper(async (req, res) => {
   }
 }));
 
+// Resumable uploads: start a session, put chunks at the offset, then finish.
+app.post(
+  /^\/start-upload\/([a-zA-Z0-9]+)\/?/,
+  express.json({ limit: 8192 }),
+  runAsyncWrapper(async (req, res) => {
+    const logKey = randomString(12);
+    console.log(`(${logKey}) /start-upload receives a post request`);
+    console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+    const address = req.params[0];
+    const { path, contentType = null, contentLength = null } = req.body || {};
+    console.log(`(${logKey}) address: ${address}`);
+    console.log(`(${logKey}) path: ${path}, contentLength: ${contentLength}`);
+
+    if (!isFldStr(path) || path.endsWith('/')) {
+      console.log(`(${logKey}) Invalid path, return error`);
+      writeResponse(res, { message: 'Invalid JSON: invalid path' }, 400);
+      return;
+    }
+    if (contentType !== null && !isFldStr(contentType)) {
+      console.log(`(${logKey}) Invalid contentType, return error`);
+      writeResponse(res, { message: 'Invalid JSON: invalid contentType' }, 400);
+      return;
+    }
+    if (contentLength !== null && !(Number.isInteger(contentLength) && contentLength >= 0)) {
+      console.log(`(${logKey}) Invalid contentLength, return error`);
+      writeResponse(res, { message: 'Invalid JSON: invalid contentLength' }, 400);
+      return;
+    }
+
+    try {
+      const responseData = await server.handleStartUpload(
+        address, path, contentType, contentLength, req.headers
+      );
+      console.log(`(${logKey}) uploadId: ${responseData.uploadId}`);
+      console.log(`(${logKey}) /start-upload finished`);
+      writeResponse(res, responseData, 202);
+    } catch (err) {
+      console.log(`(${logKey}) ${err.toString()}, return error`);
+      if (err instanceof errors.BlacklistedError) {
+        writeResponse(
+          res, { message: err.message, error: err.name, policy: err.policy }, 401
+        );
+      } else if (err instanceof errors.ValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.InvalidInputError) {
+        writeResponse(res, { message: err.message, error: err.name }, 400);
+      } else if (err instanceof errors.BadPathError) {
+        writeResponse(res, { message: err.message, error: err.name }, 403);
+      } else if (err instanceof errors.ConflictError) {
+        writeResponse(res, { message: err.message, error: err.name }, 409);
+      } else if (err instanceof errors.PayloadTooLargeError) {
+        writeResponse(res, { message: err.message, error: err.name }, 413);
+      } else if (err instanceof errors.QuotaExceededError) {
+        writeResponse(res, { message: err.message, error: err.name }, 507);
+      } else {
+        console.error(`(${logKey}) Server error`, err);
+        writeResponse(res, { message: 'Server Error' }, 500);
+      }
+    }
+  })
+);
+
+app.get(/^\/upload\/([a-zA-Z0-9]+)\/([a-zA-Z0-9]+)\/?$/, runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /upload receives a get request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  const [address, uploadId] = [req.params[0], req.params[1]];
+  console.log(`(${logKey}) address: ${address}, uploadId: ${uploadId}`);
+
+  try {
+    const responseData = await server.handleReadUpload(address, uploadId, req.headers);
+    console.log(`(${logKey}) offset: ${responseData.offset}`);
+    console.log(`(${logKey}) /upload finished`);
+    res.set('Upload-Offset', String(responseData.offset));
+    writeResponse(res, responseData, 200);
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.BlacklistedError) {
+      writeResponse(
+        res, { message: err.message, error: err.name, policy: err.policy }, 401
+      );
+    } else if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.DoesNotExist) {
+      writeResponse(res, { message: err.message, error: err.name }, 404);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+  }
+}));
+
+app.put(/^\/upload\/([a-zA-Z0-9]+)\/([a-zA-Z0-9]+)\/?$/, runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /upload receives a put request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  const [address, uploadId] = [req.params[0], req.params[1]];
+  const offsetHeader = req.headers['upload-offset'];
+  console.log(`(${logKey}) address: ${address}, uploadId: ${uploadId}`);
+  console.log(`(${logKey}) offset: ${offsetHeader}`);
+
+  if (!isString(offsetHeader) || !/^\d+$/.test(offsetHeader)) {
+    console.log(`(${logKey}) Invalid Upload-Offset, return error`);
+    writeResponse(res, { message: 'Missing or invalid Upload-Offset header' }, 400);
+    return;
+  }
+
+  try {
+    const responseData = await server.handleWriteUploadChunk(
+      address, uploadId, parseInt(offsetHeader, 10), req.headers, req
+    );
+    console.log(`(${logKey}) new offset: ${responseData.offset}`);
+    console.log(`(${logKey}) /upload finished`);
+    res.set('Upload-Offset', String(responseData.offset));
+    writeResponse(res, responseData, 202);
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.BlacklistedError) {
+      writeResponse(
+        res, { message: err.message, error: err.name, policy: err.policy }, 401
+      );
+    } else if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.InvalidInputError) {
+      writeResponse(res, { message: err.message, error: err.name }, 400);
+    } else if (err instanceof errors.DoesNotExist) {
+      writeResponse(res, { message: err.message, error: err.name }, 404);
+    } else if (err instanceof errors.UploadOffsetError) {
+      res.set('Upload-Offset', String(err.offset));
+      writeResponse(res, { message: err.message, error: err.name, offset: err.offset }, 409);
+    } else if (err instanceof errors.PayloadTooLargeError) {
+      writeResponse(res, { message: err.message, error: err.name }, 413);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+  }
+}));
+
+app.post(
+  /^\/finish-upload\/([a-zA-Z0-9]+)\/([a-zA-Z0-9]+)\/?$/,
+  runAsyncWrapper(async (req, res) => {
+    const logKey = randomString(12);
+    console.log(`(${logKey}) /finish-upload receives a post request`);
+    console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+    const [address, uploadId] = [req.params[0], req.params[1]];
+    console.log(`(${logKey}) address: ${address}, uploadId: ${uploadId}`);
+
+    try {
+      const responseData = await server.handleFinishUpload(address, uploadId, req.headers);
+      console.log(`(${logKey}) /finish-upload finished`);
+      writeResponse(res, responseData, 202);
+    } catch (err) {
+      console.log(`(${logKey}) ${err.toString()}, return error`);
+      if (err instanceof errors.BlacklistedError) {
+        writeResponse(
+          res, { message: err.message, error: err.name, policy: err.policy }, 401
+        );
+      } else if (err instanceof errors.ValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.InvalidInputError) {
+        writeResponse(res, { message: err.message, error: err.name }, 400);
+      } else if (err instanceof errors.BadPathError) {
+        writeResponse(res, { message: err.message, error: err.name }, 403);
+      } else if (err instanceof errors.DoesNotExist) {
+        writeResponse(res, { message: err.message, error: err.name }, 404);
+      } else if (err instanceof errors.ConflictError) {
+        writeResponse(res, { message: err.message, error: err.name }, 409);
+      } else if (err instanceof errors.UploadOffsetError) {
+        res.set('Upload-Offset', String(err.offset));
+        writeResponse(res, { message: err.message, error: err.name, offset: err.offset }, 409);
+      } else if (err instanceof errors.QuotaExceededError) {
+        writeResponse(res, { message: err.message, error: err.name }, 507);
+      } else if (err instanceof errors.PreconditionFailedError) {
+        writeResponse(
+          res, { message: err.message, error: err.name, etag: err.expectedEtag }, 412
+        );
+      } else {
+        console.error(`(${logKey}) Server error`, err);
+        writeResponse(res, { message: 'Server Error' }, 500);
+      }
+    }
+  })
+);
+
+app.delete(/^\/upload\/([a-zA-Z0-9]+)\/([a-zA-Z0-9]+)\/?$/, runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /upload receives a delete request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  const [address, uploadId] = [req.params[0], req.params[1]];
+  console.log(`(${logKey}) address: ${address}, uploadId: ${uploadId}`);
+
+  try {
+    await server.handleAbortUpload(address, uploadId, req.headers);
+    console.log(`(${logKey}) /upload finished`);
+    writeResponse(res, { status: 'success' }, 202);
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.BlacklistedError) {
+      writeResponse(
+        res, { message: err.message, error: err.name, policy: err.policy }, 401
+      );
+    } else if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.DoesNotExist) {
+      writeResponse(res, { message: err.message, error: err.name }, 404);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+  }
+}));
+
 app.delete(/^\/delete\/([a-zA-Z0-9]+)\/(.+)/, runAsyncWrapper(async (req, res) => {
   const logKey = randomString(12);
   console.log(`(${logKey}) /delete receives a delete request`);
@@ -125,7 +477,11 @@ app.delete(/^\/delete\/([a-zA-Z0-9]+)\/(.+)/, runAsyncWrapper(async (req, res) =
     res.end();
   } catch (err) {
     console.log(`(${logKey}) ${err.toString()}, return error`);
-    if (err instanceof errors.ValidationError) {
+    if (err instanceof errors.BlacklistedError) {
+      writeResponse(
+        res, { message: err.message, error: err.name, policy: err.policy }, 401
+      );
+    } else if (err instanceof errors.ValidationError) {
       writeResponse(res, { message: err.message, error: err.name }, 401);
     } else if (err instanceof errors.AuthTokenTimestampValidationError) {
       writeResponse(res, { message: err.message, error: err.name }, 401);
@@ -135,6 +491,8 @@ app.delete(/^\/delete\/([a-zA-Z0-9]+)\/(.+)/, runAsyncWrapper(async (req, res) =
       writeResponse(res, { message: err.message, error: err.name }, 404);
     } else if (err instanceof errors.NotEnoughProofError) {
       writeResponse(res, { message: err.message, error: err.name }, 402);
+    } else if (err instanceof errors.InvalidInputError) {
+      writeResponse(res, { message: err.message, error: err.name }, 400);
     } else if (err instanceof errors.PreconditionFailedError) {
       writeResponse(
         res, { message: err.message, error: err.name, etag: err.expectedEtag }, 412
@@ -146,6 +504,87 @@ app.delete(/^\/delete\/([a-zA-Z0-9]+)\/(.+)/, runAsyncWrapper(async (req, res) =
   }
 }));
 
+app.get(/^\/read\/([a-zA-Z0-9]+)\/(.+)/, runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /read receives a get request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  const filename = req.params[1];
+  const address = req.params[0];
+  console.log(`(${logKey}) address: ${address}`);
+  console.log(`(${logKey}) filename: ${filename}`);
+
+  let rResult;
+  try {
+    const versionId = req.query.version ? String(req.query.version) : null;
+    rResult = await server.handleRead(address, filename, req.headers, versionId);
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.BlacklistedError) {
+      writeResponse(
+        res, { message: err.message, error: err.name, policy: err.policy }, 401
+      );
+    } else if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.InvalidInputError) {
+      writeResponse(res, { message: err.message, error: err.name }, 400);
+    } else if (err instanceof errors.BadPathError) {
+      writeResponse(res, { message: err.message, error: err.name }, 403);
+    } else if (err instanceof errors.DoesNotExist) {
+      writeResponse(res, { message: err.message, error: err.name }, 404);
+    } else if (err instanceof errors.RangeNotSatisfiableError) {
+      res.setHeader('Content-Range', `bytes */${err.contentLength}`);
+      writeResponse(res, { message: err.message, error: err.name }, 416);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+    return;
+  }
+
+  const headers = {
+    'ETag': rResult.etag,
+    'Last-Modified': new Date(rResult.lastModifiedDate * 1000).toUTCString(),
+    'Accept-Ranges': 'bytes',
+  };
+  if (rResult.cacheControl) headers['Cache-Control'] = rResult.cacheControl;
+
+  const ifNoneMatchTag = req.headers['if-none-match'];
+  if (ifNoneMatchTag) {
+    const tags = ifNoneMatchTag.split(',').map(tag => tag.trim());
+    if (tags.includes('*') || tags.includes(rResult.etag)) {
+      rResult.content.destroy();
+      console.log(`(${logKey}) /read finished, not modified`);
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+  }
+
+  headers['Content-Type'] = rResult.contentType || 'application/octet-stream';
+  let statusCode = 200;
+  if (rResult.range) {
+    const { start, end } = rResult.range;
+    headers['Content-Range'] = `bytes ${start}-${end}/${rResult.contentLength}`;
+    headers['Content-Length'] = end - start + 1;
+    statusCode = 206;
+  } else {
+    headers['Content-Length'] = rResult.contentLength;
+  }
+  res.writeHead(statusCode, headers);
+
+  try {
+    await pipelineAsync(rResult.content, res);
+    console.log(`(${logKey}) /read finished`);
+  } catch (err) {
+    // Headers are already sent, can only cut the response short.
+    console.error(`(${logKey}) /read streaming error`, err);
+    res.destroy();
+  }
+}));
+
 app.post(
   /^\/perform-files\/([a-zA-Z0-9]+)\/?/,
   express.json({ limit: server.maxFileUploadSizeBytes }),
@@ -155,23 +594,68 @@ app.post(
     console.log(`(${logKey}) trace: ${getTrace(req)}`);
 
     const address = req.params[0];
-    const requestBody = req.body;
     console.log(`(${logKey}) address: ${address}`);
     //console.log(`(${logKey}) requestBody: ${requestBody}`); // Too big to always log
 
+    // Opt-in, one line per operation as it's done, then a summary line.
+    const isStreaming = req.accepts(['application/json', NDJSON]) === NDJSON;
+
     try {
+      let requestBody = req.body, parts = null;
+      if (req.is('multipart/form-data')) {
+        ({ requestBody, parts } = await server.readPerformFilesForm(req.headers, req));
+      }
+
+      if (isStreaming) {
+        // Headers are sent with the first line, so errors before it get a status code.
+        const responseData = await server.handlePerformFiles(
+          address, requestBody, req.headers, parts, (result) => {
+            writeLine(res, result, 202);
+          }
+        );
+        const nSucceeded = responseData.filter(result => result.success).length;
+        console.log(`(${logKey}) Performed ${responseData.length} files`);
+        console.log(`(${logKey}) /perform-files finished`);
+        writeLine(res, {
+          isSummary: true,
+          nFiles: responseData.length,
+          nSucceeded,
+          nFailed: responseData.length - nSucceeded,
+        }, 202);
+        res.end();
+        return;
+      }
+
       const responseData = await server.handlePerformFiles(
-        address, requestBody, req.headers
+        address, requestBody, req.headers, parts
       );
-      console.log(`(${logKey}) Performed ${responseData.length} files`);
+      // An atomic request has an outcome and results instead of just results.
+      const nFiles = Array.isArray(responseData) ?
+        responseData.length : responseData.results.length;
+      console.log(`(${logKey}) Performed ${nFiles} files`);
       console.log(`(${logKey}) /perform-files finished`);
       writeResponse(res, responseData, 202);
     } catch (err) {
       console.log(`(${logKey}) ${err.toString()}, return error`);
-      if (err instanceof errors.ValidationError) {
+      if (res.headersSent) {
+        console.error(`(${logKey}) Server error while streaming`, err);
+        res.end(JSON.stringify({ message: 'Server Error' }) + '\n');
+      } else if (err instanceof errors.BlacklistedError) {
+        writeResponse(
+          res, { message: err.message, error: err.name, policy: err.policy }, 401
+        );
+      } else if (err instanceof errors.ValidationError) {
         writeResponse(res, { message: err.message, error: err.name }, 401);
       } else if (err instanceof errors.AuthTokenTimestampValidationError) {
         writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.InvalidInputError) {
+        writeResponse(res, { message: err.message, error: err.name }, 400);
+      } else if (err instanceof errors.ConflictError) {
+        writeResponse(res, { message: err.message, error: err.name }, 409);
+      } else if (err instanceof errors.IdempotencyKeyMismatchError) {
+        writeResponse(res, { message: err.message, error: err.name }, 422);
+      } else if (err instanceof errors.PayloadTooLargeError) {
+        writeResponse(res, { message: err.message, error: err.name }, 413);
       } else {
         console.error(`(${logKey}) Server error`, err);
         writeResponse(res, { message: 'Server Error' }, 500);
@@ -180,36 +664,101 @@ app.post(
   })
 );
 
+for (const [route, type] of [['rename', RENAME_FILE], ['copy', COPY_FILE]]) {
+  app.post(
+    new RegExp(`^\\/${route}\\/([a-zA-Z0-9]+)\\/?`),
+    express.json({ limit: 8192 }),
+    runAsyncWrapper(async (req, res) => {
+      const logKey = randomString(12);
+      console.log(`(${logKey}) /${route} receives a post request`);
+      console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+      const address = req.params[0];
+      const { path, newPath } = req.body || {};
+      console.log(`(${logKey}) address: ${address}`);
+      console.log(`(${logKey}) path: ${path}, newPath: ${newPath}`);
+
+      if (!isFldStr(path) || !isFldStr(newPath)) {
+        console.log(`(${logKey}) Invalid path or newPath, return error`);
+        writeResponse(res, { message: 'Invalid JSON: missing path or newPath' }, 400);
+        return;
+      }
+
+      try {
+        const responseData = await server.handleRenameOrCopy(
+          type, address, path, newPath, req.headers
+        );
+        console.log(`(${logKey}) /${route} finished`);
+        writeResponse(res, responseData, 202);
+      } catch (err) {
+        console.log(`(${logKey}) ${err.toString()}, return error`);
+        if (err instanceof errors.BlacklistedError) {
+          writeResponse(
+            res, { message: err.message, error: err.name, policy: err.policy }, 401
+          );
+        } else if (err instanceof errors.ValidationError) {
+          writeResponse(res, { message: err.message, error: err.name }, 401);
+        } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+          writeResponse(res, { message: err.message, error: err.name }, 401);
+        } else if (err instanceof errors.InvalidInputError) {
+          writeResponse(res, { message: err.message, error: err.name }, 400);
+        } else if (err instanceof errors.BadPathError) {
+          writeResponse(res, { message: err.message, error: err.name }, 403);
+        } else if (err instanceof errors.DoesNotExist) {
+          writeResponse(res, { message: err.message, error: err.name }, 404);
+        } else if (err instanceof errors.ConflictError) {
+          writeResponse(res, { message: err.message, error: err.name }, 409);
+        } else if (err instanceof errors.QuotaExceededError) {
+          writeResponse(res, { message: err.message, error: err.name }, 507);
+        } else if (err instanceof errors.PreconditionFailedError) {
+          writeResponse(
+            res, { message: err.message, error: err.name, etag: err.expectedEtag }, 412
+          );
+        } else {
+          console.error(`(${logKey}) Server error`, err);
+          writeResponse(res, { message: 'Server Error' }, 500);
+        }
+      }
+    })
+  );
+}
+
 app.post(
-  /^\/list-files\/([a-zA-Z0-9]+)\/?/,
-  express.json({ limit: 4096 }),
+  /^\/list-versions\/([a-zA-Z0-9]+)\/?/,
+  express.json({ limit: 8192 }),
   runAsyncWrapper(async (req, res) => {
     const logKey = randomString(12);
-    console.log(`(${logKey}) /list-files receives a post request`);
+    console.log(`(${logKey}) /list-versions receives a post request`);
     console.log(`(${logKey}) trace: ${getTrace(req)}`);
 
     const address = req.params[0];
-    const requestBody = req.body;
-    const page = requestBody.page ? requestBody.page : null;
-    const pageSize = requestBody.pageSize ? requestBody.pageSize : null;
-    const stat = !!requestBody.stat;
+    const { path } = req.body || {};
     console.log(`(${logKey}) address: ${address}`);
-    console.log(`(${logKey}) page: ${page}, pageSize: ${pageSize}, stat: ${stat}`);
+    console.log(`(${logKey}) path: ${path}`);
+
+    if (!isFldStr(path)) {
+      console.log(`(${logKey}) Invalid path, return error`);
+      writeResponse(res, { message: 'Invalid JSON: missing path' }, 400);
+      return;
+    }
 
     try {
-      const files = await server.handleListFiles(
-        address, page, pageSize, stat, req.headers
-      );
-      console.log(`(${logKey}) Got ${files.entries.length} files`);
-      console.log(`(${logKey}) New page: ${files.page}`);
-      console.log(`(${logKey}) /list-files finished`);
-      writeResponse(res, { entries: files.entries, page: files.page }, 202);
+      const versions = await server.handleListVersions(address, path, req.headers);
+      console.log(`(${logKey}) Got ${versions.length} versions`);
+      console.log(`(${logKey}) /list-versions finished`);
+      writeResponse(res, { versions }, 202);
     } catch (err) {
       console.log(`(${logKey}) ${err.toString()}, return error`);
-      if (err instanceof errors.ValidationError) {
+      if (err instanceof errors.BlacklistedError) {
+        writeResponse(
+          res, { message: err.message, error: err.name, policy: err.policy }, 401
+        );
+      } else if (err instanceof errors.ValidationError) {
         writeResponse(res, { message: err.message, error: err.name }, 401);
       } else if (err instanceof errors.AuthTokenTimestampValidationError) {
         writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.BadPathError) {
+        writeResponse(res, { message: err.message, error: err.name }, 403);
       } else {
         console.error(`(${logKey}) Server error`, err);
         writeResponse(res, { message: 'Server Error' }, 500);
@@ -219,34 +768,531 @@ app.post(
 );
 
 app.post(
-  /^\/revoke-all\/([a-zA-Z0-9]+)\/?/,
-  express.json({ limit: 4096 }),
+  /^\/restore-version\/([a-zA-Z0-9]+)\/?/,
+  express.json({ limit: 8192 }),
   runAsyncWrapper(async (req, res) => {
     const logKey = randomString(12);
-    console.log(`(${logKey}) /revoke-all receives a post request`);
+    console.log(`(${logKey}) /restore-version receives a post request`);
     console.log(`(${logKey}) trace: ${getTrace(req)}`);
 
-    if (!req.body || !req.body.oldestValidTimestamp) {
-      console.log(`(${logKey}) No req.body or oldestValidTimestamp, return error`);
-      writeResponse(res, { message: 'Invalid JSON: missing oldestValidTimestamp' }, 400);
-      return;
-    }
-
     const address = req.params[0];
-    const oldestValidTimestamp = parseInt(req.body.oldestValidTimestamp, 10);
+    const { path, versionId } = req.body || {};
     console.log(`(${logKey}) address: ${address}`);
-    console.log(`(${logKey}) oldestValidTimestamp: ${oldestValidTimestamp}`);
+    console.log(`(${logKey}) path: ${path}, versionId: ${versionId}`);
 
-    if (!Number.isFinite(oldestValidTimestamp) || oldestValidTimestamp < 0) {
-      console.log(`(${logKey}) Invalid oldestValidTimestamp, return error`);
-      writeResponse(res, {
-        message: 'Invalid JSON: oldestValidTimestamp is not a valid integer',
-      }, 400);
+    if (!isFldStr(path) || !isFldStr(versionId)) {
+      console.log(`(${logKey}) Invalid path or versionId, return error`);
+      writeResponse(res, { message: 'Invalid JSON: missing path or versionId' }, 400);
       return;
     }
 
     try {
-      await server.handleAuthBump(address, oldestValidTimestamp, req.headers);
+      const responseData = await server.handleRestoreVersion(
+        address, path, versionId, req.headers
+      );
+      console.log(`(${logKey}) /restore-version finished`);
+      writeResponse(res, responseData, 202);
+    } catch (err) {
+      console.log(`(${logKey}) ${err.toString()}, return error`);
+      if (err instanceof errors.BlacklistedError) {
+        writeResponse(
+          res, { message: err.message, error: err.name, policy: err.policy }, 401
+        );
+      } else if (err instanceof errors.ValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.InvalidInputError) {
+        writeResponse(res, { message: err.message, error: err.name }, 400);
+      } else if (err instanceof errors.BadPathError) {
+        writeResponse(res, { message: err.message, error: err.name }, 403);
+      } else if (err instanceof errors.DoesNotExist) {
+        writeResponse(res, { message: err.message, error: err.name }, 404);
+      } else if (err instanceof errors.ConflictError) {
+        writeResponse(res, { message: err.message, error: err.name }, 409);
+      } else if (err instanceof errors.QuotaExceededError) {
+        writeResponse(res, { message: err.message, error: err.name }, 507);
+      } else if (err instanceof errors.PreconditionFailedError) {
+        writeResponse(
+          res, { message: err.message, error: err.name, etag: err.expectedEtag }, 412
+        );
+      } else {
+        console.error(`(${logKey}) Server error`, err);
+        writeResponse(res, { message: 'Server Error' }, 500);
+      }
+    }
+  })
+);
+
+app.post(
+  /^\/list-files\/([a-zA-Z0-9]+)\/?/,
+  express.json({ limit: 4096 }),
+  runAsyncWrapper(async (req, res) => {
+    const logKey = randomString(12);
+    console.log(`(${logKey}) /list-files receives a post request`);
+    console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+    const address = req.params[0];
+    const requestBody = req.body;
+    const page = requestBody.page ? requestBody.page : null;
+    const pageSize = requestBody.pageSize ? requestBody.pageSize : null;
+    const stat = !!requestBody.stat;
+    const listOptions = {
+      prefix: requestBody.prefix ? requestBody.prefix : '',
+      delimiter: requestBody.delimiter ? requestBody.delimiter : null,
+      startAfter: requestBody.startAfter ? requestBody.startAfter : null,
+      includeHistory: [true, false].includes(requestBody.includeHistory) ?
+        requestBody.includeHistory : null,
+    };
+    console.log(`(${logKey}) address: ${address}`);
+    console.log(`(${logKey}) page: ${page}, pageSize: ${pageSize}, stat: ${stat}`);
+    console.log(`(${logKey}) listOptions: ${JSON.stringify(listOptions)}`);
+
+    try {
+      const files = await server.handleListFiles(
+        address, page, pageSize, stat, req.headers, listOptions
+      );
+      console.log(`(${logKey}) Got ${files.entries.length} files`);
+      console.log(`(${logKey}) New page: ${files.page}`);
+      console.log(`(${logKey}) /list-files finished`);
+      const responseData = { entries: files.entries, page: files.page };
+      // Virtual folders, only when listing by a delimiter.
+      if (listOptions.delimiter !== null) responseData.prefixes = files.prefixes;
+      writeResponse(res, responseData, 202);
+    } catch (err) {
+      console.log(`(${logKey}) ${err.toString()}, return error`);
+      if (err instanceof errors.BlacklistedError) {
+        writeResponse(
+          res, { message: err.message, error: err.name, policy: err.policy }, 401
+        );
+      } else if (err instanceof errors.ValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.InvalidInputError) {
+        writeResponse(res, { message: err.message, error: err.name }, 400);
+      } else {
+        console.error(`(${logKey}) Server error`, err);
+        writeResponse(res, { message: 'Server Error' }, 500);
+      }
+    }
+  })
+);
+
+app.post(
+  /^\/changes\/([a-zA-Z0-9]+)\/?/,
+  express.json({ limit: 4096 }),
+  runAsyncWrapper(async (req, res) => {
+    const logKey = randomString(12);
+    console.log(`(${logKey}) /changes receives a post request`);
+    console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+    // { cursor, pageSize } for the changes after cursor, or { latest: true }.
+    const address = req.params[0];
+    const requestBody = req.body || {};
+    const cursor = requestBody.cursor ? requestBody.cursor : null;
+    const pageSize = requestBody.pageSize ? requestBody.pageSize : null;
+    const isLatest = requestBody.latest === true;
+    console.log(`(${logKey}) address: ${address}`);
+    console.log(`(${logKey}) cursor: ${cursor}, pageSize: ${pageSize}, latest: ${isLatest}`);
+
+    if (cursor !== null && !isFldStr(cursor)) {
+      console.log(`(${logKey}) Invalid cursor, return error`);
+      writeResponse(res, { message: 'Invalid JSON: cursor must be a string' }, 400);
+      return;
+    }
+
+    try {
+      const result = await server.handleListChanges(
+        address, cursor, pageSize, isLatest, req.headers
+      );
+      console.log(`(${logKey}) Got ${result.changes.length} changes`);
+      console.log(`(${logKey}) /changes finished`);
+      writeResponse(res, result, 202);
+    } catch (err) {
+      console.log(`(${logKey}) ${err.toString()}, return error`);
+      if (err instanceof errors.BlacklistedError) {
+        writeResponse(
+          res, { message: err.message, error: err.name, policy: err.policy }, 401
+        );
+      } else if (err instanceof errors.ValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.InvalidInputError) {
+        writeResponse(res, { message: err.message, error: err.name }, 400);
+      } else if (err instanceof errors.CursorExpiredError) {
+        writeResponse(res, { message: err.message, error: err.name }, 410);
+      } else if (err instanceof errors.NotImplementedError) {
+        writeResponse(res, { message: err.message, error: err.name }, 501);
+      } else {
+        console.error(`(${logKey}) Server error`, err);
+        writeResponse(res, { message: 'Server Error' }, 500);
+      }
+    }
+  })
+);
+
+app.post(/^\/subscribe-ticket\/([a-zA-Z0-9]+)\/?$/, runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /subscribe-ticket receives a post request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  // A ticket for one /subscribe, e.g. from EventSource that can't set headers.
+  const address = req.params[0];
+  console.log(`(${logKey}) address: ${address}`);
+
+  try {
+    const result = await server.handleCreateSubscribeTicket(address, req.headers);
+    console.log(`(${logKey}) /subscribe-ticket finished`);
+    writeResponse(res, result, 200);
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.BlacklistedError) {
+      writeResponse(
+        res, { message: err.message, error: err.name, policy: err.policy }, 401
+      );
+    } else if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+  }
+}));
+
+app.get(/^\/subscribe\/([a-zA-Z0-9]+)\/?/, runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /subscribe receives a get request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  // Server-sent events. EventSource can't set headers, so it can use
+  //   a ticket from /subscribe-ticket in the query instead.
+  const address = req.params[0];
+  const prefix = req.query.prefix ? String(req.query.prefix) : '';
+  const ticket = req.query.ticket ? String(req.query.ticket) : null;
+  console.log(`(${logKey}) address: ${address}`);
+  console.log(`(${logKey}) prefix: ${prefix}`);
+
+  const writeEvents = (events) => {
+    // Before the headers, only if an event comes in right as subscribing.
+    if (!res.headersSent) return;
+    for (const event of events) {
+      res.write(`event: change\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+
+  let unsubscribe;
+  try {
+    unsubscribe = await server.handleSubscribe(
+      address, prefix, req.headers, ticket, writeEvents
+    );
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.BlacklistedError) {
+      writeResponse(
+        res, { message: err.message, error: err.name, policy: err.policy }, 401
+      );
+    } else if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.InvalidInputError) {
+      writeResponse(res, { message: err.message, error: err.name }, 400);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(': subscribed\n\n');
+
+  // Comments keep proxies from closing an idle connection, and a connection is
+  //   closed after maxDuration for the client to reconnect and be validated again.
+  const { heartbeatInterval, maxDuration } = server.notifications;
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatInterval);
+  const timeout = setTimeout(() => res.end(), maxDuration);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(timeout);
+    unsubscribe().catch(error => {
+      console.error(`(${logKey}) Unsubscribe error`, error);
+    });
+    console.log(`(${logKey}) /subscribe finished`);
+  });
+}));
+
+app.post(
+  /^\/webhooks\/([a-zA-Z0-9]+)\/?$/,
+  express.json({ limit: 8192 }),
+  runAsyncWrapper(async (req, res) => {
+    const logKey = randomString(12);
+    console.log(`(${logKey}) /webhooks receives a post request`);
+    console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+    // Posts the changes of the files under prefix in the address to url.
+    const address = req.params[0];
+    const { url, prefix = '' } = req.body || {};
+    console.log(`(${logKey}) address: ${address}`);
+    console.log(`(${logKey}) url: ${url}, prefix: ${prefix}`);
+
+    if (!isFldStr(url)) {
+      console.log(`(${logKey}) Invalid url, return error`);
+      writeResponse(res, { message: 'Invalid JSON: url must be a string' }, 400);
+      return;
+    }
+    if (!isString(prefix)) {
+      console.log(`(${logKey}) Invalid prefix, return error`);
+      writeResponse(res, { message: 'Invalid JSON: prefix must be a string' }, 400);
+      return;
+    }
+
+    try {
+      const webhook = await server.handleAddWebhook(address, url, prefix, req.headers);
+      console.log(`(${logKey}) webhookId: ${webhook.id}`);
+      console.log(`(${logKey}) /webhooks finished`);
+      writeResponse(res, webhook, 202);
+    } catch (err) {
+      console.log(`(${logKey}) ${err.toString()}, return error`);
+      if (err instanceof errors.BlacklistedError) {
+        writeResponse(
+          res, { message: err.message, error: err.name, policy: err.policy }, 401
+        );
+      } else if (err instanceof errors.ValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.InvalidInputError) {
+        writeResponse(res, { message: err.message, error: err.name }, 400);
+      } else {
+        console.error(`(${logKey}) Server error`, err);
+        writeResponse(res, { message: 'Server Error' }, 500);
+      }
+    }
+  })
+);
+
+app.get(/^\/webhooks\/([a-zA-Z0-9]+)\/?$/, runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /webhooks receives a get request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  const address = req.params[0];
+  console.log(`(${logKey}) address: ${address}`);
+
+  try {
+    const webhooks = await server.handleListWebhooks(address, req.headers);
+    console.log(`(${logKey}) Got ${webhooks.length} webhooks`);
+    console.log(`(${logKey}) /webhooks finished`);
+    writeResponse(res, { webhooks }, 200);
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.BlacklistedError) {
+      writeResponse(
+        res, { message: err.message, error: err.name, policy: err.policy }, 401
+      );
+    } else if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+  }
+}));
+
+app.delete(/^\/webhooks\/([a-zA-Z0-9]+)\/([a-zA-Z0-9]+)\/?$/, runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /webhooks receives a delete request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  const [address, webhookId] = [req.params[0], req.params[1]];
+  console.log(`(${logKey}) address: ${address}, webhookId: ${webhookId}`);
+
+  try {
+    await server.handleDeleteWebhook(address, webhookId, req.headers);
+    console.log(`(${logKey}) /webhooks finished`);
+    writeResponse(res, { status: 'success' }, 202);
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.BlacklistedError) {
+      writeResponse(
+        res, { message: err.message, error: err.name, policy: err.policy }, 401
+      );
+    } else if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.DoesNotExist) {
+      writeResponse(res, { message: err.message, error: err.name }, 404);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+  }
+}));
+
+app.get(/^\/webhook-dead-letters\/([a-zA-Z0-9]+)\/?$/, runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /webhook-dead-letters receives a get request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  const address = req.params[0];
+  let limit = parseInt(String(req.query.limit), 10);
+  if (!Number.isFinite(limit) || limit <= 0 || limit > 1000) limit = 100;
+  console.log(`(${logKey}) address: ${address}, limit: ${limit}`);
+
+  try {
+    const deadLetters = await server.handleListWebhookDeadLetters(
+      address, limit, req.headers
+    );
+    console.log(`(${logKey}) Got ${deadLetters.length} dead letters`);
+    console.log(`(${logKey}) /webhook-dead-letters finished`);
+    writeResponse(res, { deadLetters }, 200);
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.BlacklistedError) {
+      writeResponse(
+        res, { message: err.message, error: err.name, policy: err.policy }, 401
+      );
+    } else if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+  }
+}));
+
+app.post(
+  /^\/redeliver-webhook\/([a-zA-Z0-9]+)\/([a-zA-Z0-9]+)\/?$/,
+  runAsyncWrapper(async (req, res) => {
+    const logKey = randomString(12);
+    console.log(`(${logKey}) /redeliver-webhook receives a post request`);
+    console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+    const [address, deadLetterId] = [req.params[0], req.params[1]];
+    console.log(`(${logKey}) address: ${address}, deadLetterId: ${deadLetterId}`);
+
+    try {
+      const result = await server.handleRedeliverWebhook(
+        address, deadLetterId, req.headers
+      );
+      console.log(`(${logKey}) isDelivered: ${result.isDelivered}`);
+      console.log(`(${logKey}) /redeliver-webhook finished`);
+      writeResponse(res, result, 202);
+    } catch (err) {
+      console.log(`(${logKey}) ${err.toString()}, return error`);
+      if (err instanceof errors.BlacklistedError) {
+        writeResponse(
+          res, { message: err.message, error: err.name, policy: err.policy }, 401
+        );
+      } else if (err instanceof errors.ValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.DoesNotExist) {
+        writeResponse(res, { message: err.message, error: err.name }, 404);
+      } else {
+        console.error(`(${logKey}) Server error`, err);
+        writeResponse(res, { message: 'Server Error' }, 500);
+      }
+    }
+  })
+);
+
+app.post(
+  /^\/stat-file\/([a-zA-Z0-9]+)\/?/,
+  express.json({ limit: 65536 }),
+  runAsyncWrapper(async (req, res) => {
+    const logKey = randomString(12);
+    console.log(`(${logKey}) /stat-file receives a post request`);
+    console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+    // Either { path } for one file or { paths } for a batch of up to 100 files.
+    const address = req.params[0];
+    const requestBody = req.body || {};
+    const isBatch = Array.isArray(requestBody.paths);
+    const paths = isBatch ? requestBody.paths : [requestBody.path];
+    console.log(`(${logKey}) address: ${address}`);
+    console.log(`(${logKey}) isBatch: ${isBatch}, nPaths: ${paths.length}`);
+
+    if (
+      paths.length === 0 || paths.length > 100 ||
+      !paths.every(path => typeof path === 'string' && path.length > 0)
+    ) {
+      console.log(`(${logKey}) Invalid path or paths, return error`);
+      writeResponse(res, {
+        message: 'Invalid JSON: path must be a string or paths an array of 1 to 100 strings',
+      }, 400);
+      return;
+    }
+
+    try {
+      const entries = await server.handleStatFiles(address, paths, req.headers);
+      console.log(`(${logKey}) /stat-file finished`);
+      writeResponse(res, isBatch ? { entries } : entries[0], 202);
+    } catch (err) {
+      console.log(`(${logKey}) ${err.toString()}, return error`);
+      if (err instanceof errors.BlacklistedError) {
+        writeResponse(
+          res, { message: err.message, error: err.name, policy: err.policy }, 401
+        );
+      } else if (err instanceof errors.ValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.AuthTokenTimestampValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.BadPathError) {
+        writeResponse(res, { message: err.message, error: err.name }, 403);
+      } else {
+        console.error(`(${logKey}) Server error`, err);
+        writeResponse(res, { message: 'Server Error' }, 500);
+      }
+    }
+  })
+);
+
+app.post(
+  /^\/revoke-all\/([a-zA-Z0-9]+)\/?/,
+  express.json({ limit: 4096 }),
+  runAsyncWrapper(async (req, res) => {
+    const logKey = randomString(12);
+    console.log(`(${logKey}) /revoke-all receives a post request`);
+    console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+    if (!req.body || !req.body.oldestValidTimestamp) {
+      console.log(`(${logKey}) No req.body or oldestValidTimestamp, return error`);
+      writeResponse(res, { message: 'Invalid JSON: missing oldestValidTimestamp' }, 400);
+      return;
+    }
+
+    const address = req.params[0];
+    const oldestValidTimestamp = parseInt(req.body.oldestValidTimestamp, 10);
+    console.log(`(${logKey}) address: ${address}`);
+    console.log(`(${logKey}) oldestValidTimestamp: ${oldestValidTimestamp}`);
+
+    if (!Number.isFinite(oldestValidTimestamp) || oldestValidTimestamp < 0) {
+      console.log(`(${logKey}) Invalid oldestValidTimestamp, return error`);
+      writeResponse(res, {
+        message: 'Invalid JSON: oldestValidTimestamp is not a valid integer',
+      }, 400);
+      return;
+    }
+
+    try {
+      await server.handleAuthBump(address, oldestValidTimestamp, req.headers);
       console.log(`(${logKey}) /revoke-all finished`);
       writeResponse(res, { status: 'success' }, 202);
     } catch (err) {
@@ -263,6 +1309,224 @@ app.post(
   })
 );
 
+app.post(
+  '/tasker',
+  express.json({ limit: '32mb' }),
+  runAsyncWrapper(async (req, res) => {
+    const logKey = randomString(12);
+    console.log(`(${logKey}) /tasker receives a post request`);
+    console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+    try {
+      const result = await server.handleTask(req.body, req.headers);
+      console.log(`(${logKey}) Backed up ${result.nBackupPaths} files and added ${result.nFileLogs} file logs`);
+      console.log(`(${logKey}) /tasker finished`);
+      writeResponse(res, { status: 'success' }, 200);
+    } catch (err) {
+      console.log(`(${logKey}) ${err.toString()}, return error`);
+      if (err instanceof errors.ValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.InvalidInputError) {
+        writeResponse(res, { message: err.message, error: err.name }, 400);
+      } else {
+        console.error(`(${logKey}) Server error`, err);
+        writeResponse(res, { message: 'Server Error' }, 500);
+      }
+    }
+  })
+);
+
+app.get('/admin/outbox', runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /admin/outbox receives a get request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  let limit = parseInt(String(req.query.limit), 10);
+  if (!Number.isFinite(limit) || limit <= 0 || limit > 1000) limit = 100;
+
+  try {
+    const entries = await server.handleListOutbox(limit, req.headers);
+    console.log(`(${logKey}) Got ${entries.length} outbox entries`);
+    console.log(`(${logKey}) /admin/outbox finished`);
+    writeResponse(res, { entries }, 200);
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+  }
+}));
+
+app.get('/admin/blacklist', runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /admin/blacklist receives a get request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  // Sorted by address, startAfter is the last address of the previous page.
+  const startAfter = req.query.startAfter ? String(req.query.startAfter) : null;
+  let limit = parseInt(String(req.query.limit), 10);
+  if (!Number.isFinite(limit) || limit <= 0 || limit > 1000) limit = 100;
+  console.log(`(${logKey}) startAfter: ${startAfter}, limit: ${limit}`);
+
+  try {
+    const entries = await server.handleListBlacklist(startAfter, limit, req.headers);
+    console.log(`(${logKey}) Got ${entries.length} blacklist entries`);
+    console.log(`(${logKey}) /admin/blacklist finished`);
+    writeResponse(res, { entries }, 200);
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+  }
+}));
+
+app.post(
+  '/admin/blacklist',
+  express.json({ limit: 8192 }),
+  runAsyncWrapper(async (req, res) => {
+    const logKey = randomString(12);
+    console.log(`(${logKey}) /admin/blacklist receives a post request`);
+    console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+    // Adds or updates, expireDate is in milliseconds and actor is for the audit.
+    // A legacy type or a policy of rules per operation.
+    const {
+      address, type = null, policy = null, reason = null, expireDate = null, actor = null,
+    } = req.body || {};
+    console.log(`(${logKey}) address: ${address}, type: ${type}, policy: ${JSON.stringify(policy)}, expireDate: ${expireDate}`);
+    console.log(`(${logKey}) actor: ${actor}`);
+
+    if (!(isFldStr(address) && /^[a-zA-Z0-9]+$/.test(address))) {
+      console.log(`(${logKey}) Invalid address, return error`);
+      writeResponse(res, { message: 'Invalid JSON: invalid address' }, 400);
+      return;
+    }
+
+    try {
+      const entry = await server.handlePutBlacklistEntry(
+        address, type, policy, reason, expireDate, actor, req.headers
+      );
+      console.log(`(${logKey}) /admin/blacklist finished`);
+      writeResponse(res, entry, 200);
+    } catch (err) {
+      console.log(`(${logKey}) ${err.toString()}, return error`);
+      if (err instanceof errors.ValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.InvalidInputError) {
+        writeResponse(res, { message: err.message, error: err.name }, 400);
+      } else {
+        console.error(`(${logKey}) Server error`, err);
+        writeResponse(res, { message: 'Server Error' }, 500);
+      }
+    }
+  })
+);
+
+app.delete(/^\/admin\/blacklist\/([a-zA-Z0-9]+)\/?$/, runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /admin/blacklist receives a delete request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  const address = req.params[0];
+  const actor = req.query.actor ? String(req.query.actor) : null;
+  console.log(`(${logKey}) address: ${address}, actor: ${actor}`);
+
+  try {
+    await server.handleDeleteBlacklistEntry(address, actor, req.headers);
+    console.log(`(${logKey}) /admin/blacklist finished`);
+    writeResponse(res, { status: 'success' }, 200);
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.BlacklistedError) {
+      writeResponse(
+        res, { message: err.message, error: err.name, policy: err.policy }, 401
+      );
+    } else if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else if (err instanceof errors.InvalidInputError) {
+      writeResponse(res, { message: err.message, error: err.name }, 400);
+    } else if (err instanceof errors.DoesNotExist) {
+      writeResponse(res, { message: err.message, error: err.name }, 404);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+  }
+}));
+
+app.get('/admin/blacklist-audits', runAsyncWrapper(async (req, res) => {
+  const logKey = randomString(12);
+  console.log(`(${logKey}) /admin/blacklist-audits receives a get request`);
+  console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+  // The latest changes first, of all addresses without an address.
+  const address = req.query.address ? String(req.query.address) : null;
+  let limit = parseInt(String(req.query.limit), 10);
+  if (!Number.isFinite(limit) || limit <= 0 || limit > 1000) limit = 100;
+  console.log(`(${logKey}) address: ${address}, limit: ${limit}`);
+
+  try {
+    const audits = await server.handleListBlacklistAudits(address, limit, req.headers);
+    console.log(`(${logKey}) Got ${audits.length} blacklist audits`);
+    console.log(`(${logKey}) /admin/blacklist-audits finished`);
+    writeResponse(res, { audits }, 200);
+  } catch (err) {
+    console.log(`(${logKey}) ${err.toString()}, return error`);
+    if (err instanceof errors.ValidationError) {
+      writeResponse(res, { message: err.message, error: err.name }, 401);
+    } else {
+      console.error(`(${logKey}) Server error`, err);
+      writeResponse(res, { message: 'Server Error' }, 500);
+    }
+  }
+}));
+
+app.post(
+  '/admin/prune-history',
+  express.json({ limit: 8192 }),
+  runAsyncWrapper(async (req, res) => {
+    const logKey = randomString(12);
+    console.log(`(${logKey}) /admin/prune-history receives a post request`);
+    console.log(`(${logKey}) trace: ${getTrace(req)}`);
+
+    // Without an address, prunes all addresses.
+    const { address = null, dryRun = false } = req.body || {};
+    console.log(`(${logKey}) address: ${address}, dryRun: ${dryRun}`);
+
+    if (address !== null && !(isFldStr(address) && /^[a-zA-Z0-9]+$/.test(address))) {
+      console.log(`(${logKey}) Invalid address, return error`);
+      writeResponse(res, { message: 'Invalid JSON: invalid address' }, 400);
+      return;
+    }
+
+    try {
+      const result = await server.handlePruneHistory(address, dryRun === true, req.headers);
+      console.log(`(${logKey}) Pruned ${result.nPruned} of ${result.nVersions} versions`);
+      console.log(`(${logKey}) /admin/prune-history finished`);
+      writeResponse(res, result, 200);
+    } catch (err) {
+      console.log(`(${logKey}) ${err.toString()}, return error`);
+      if (err instanceof errors.ValidationError) {
+        writeResponse(res, { message: err.message, error: err.name }, 401);
+      } else if (err instanceof errors.InvalidInputError) {
+        writeResponse(res, { message: err.message, error: err.name }, 400);
+      } else if (err instanceof errors.ConflictError) {
+        writeResponse(res, { message: err.message, error: err.name }, 409);
+      } else {
+        console.error(`(${logKey}) Server error`, err);
+        writeResponse(res, { message: 'Server Error' }, 500);
+      }
+    }
+  })
+);
+
 app.get('/', (_req, res) => {
   res.send('Welcome to <a href="https://www.stacksdrive.com">Stacks Drive</a>\'s hub!');
 });
@@ -0,0 +1,799 @@
+import { Datastore } from '@google-cloud/datastore';
+
+import {
+  FILE_LOG, REVOCATION, BLACKLIST, BLACKLIST_AUDIT, OUTBOX, USAGE, UPLOAD, IDEMPOTENCY,
+  WEBHOOK, WEBHOOK_DELIVERY, WEBHOOK_DEAD_LETTER, SUBSCRIBE_TICKET,
+} from '../const';
+import {
+  sample, isObject, isNumber, isString, sleep, getFileLogId, getAddressFromPath,
+} from '../utils';
+
+class DatastoreMetadataStore {
+
+  constructor(_config) {
+    this.datastore = new Datastore();
+  }
+
+  ensureInitialized() {
+    return Promise.resolve();
+  }
+
+  dispose() {
+    return Promise.resolve();
+  }
+
+  async performWriteAuthTimestamp(args) {
+    const { bucketAddress, timestamp } = args;
+
+    const date = new Date();
+
+    const key = this.datastore.key([REVOCATION, bucketAddress]);
+    const data = [
+      { name: 'timestamp', value: timestamp, excludeFromIndexes: true },
+      { name: 'createDate', value: date },
+      { name: 'updateDate', value: date },
+    ];
+    const entity = { key, data };
+
+    const nTries = 2;
+    for (let currentTry = 1; currentTry <= nTries; currentTry++) {
+      const transaction = this.datastore.transaction();
+      try {
+        await transaction.run();
+
+        const [oEy] = await transaction.get(key);
+        if (isObject(oEy) && isNumber(oEy.timestamp)) {
+          if (oEy.timestamp < timestamp) {
+            entity.data[1].value = oEy.createDate;
+            transaction.save({ key, data });
+          }
+        } else {
+          transaction.save(entity);
+        }
+
+        await transaction.commit();
+        return;
+      } catch (error) {
+        await transaction.rollback();
+
+        if (currentTry < nTries) await sleep(sample([100, 200, 280, 350]));
+        else throw error;
+      }
+    }
+  }
+
+  async performReadAuthTimestamp(args) {
+    const { bucketAddress } = args;
+
+    const key = this.datastore.key([REVOCATION, bucketAddress]);
+    const [entity] = await this.datastore.get(key);
+
+    let timestamp = 0;
+    if (isObject(entity) && isNumber(entity.timestamp)) {
+      timestamp = entity.timestamp;
+    }
+
+    return timestamp;
+  }
+
+  dataToBlacklistEntry(entity) {
+    // Entries added by hand may only have type and createDate.
+    const entry = {
+      address: entity[this.datastore.KEY].name,
+      type: isNumber(entity.type) ? entity.type : 0,
+      policy: isString(entity.policy) ? JSON.parse(entity.policy) : null,
+      reason: isString(entity.reason) ? entity.reason : null,
+      expireDate: entity.expireDate ? entity.expireDate.getTime() : null,
+      createDate: entity.createDate ? entity.createDate.getTime() : null,
+      updateDate: entity.updateDate ? entity.updateDate.getTime() : null,
+    };
+    return entry;
+  }
+
+  async performReadBlacklistEntry(args) {
+    const { address } = args;
+
+    const key = this.datastore.key([BLACKLIST, address]);
+    const [entity] = await this.datastore.get(key);
+    return isObject(entity) ? this.dataToBlacklistEntry(entity) : null;
+  }
+
+  async performPutBlacklistEntry(entry) {
+    const key = this.datastore.key([BLACKLIST, entry.address]);
+    const toDate = (time) => (isNumber(time) ? new Date(time) : null);
+    const data = [
+      { name: 'type', value: entry.type },
+      {
+        name: 'policy',
+        value: isObject(entry.policy) ? JSON.stringify(entry.policy) : null,
+        excludeFromIndexes: true,
+      },
+      { name: 'reason', value: entry.reason, excludeFromIndexes: true },
+      { name: 'expireDate', value: toDate(entry.expireDate) },
+      { name: 'createDate', value: toDate(entry.createDate) },
+      { name: 'updateDate', value: toDate(entry.updateDate) },
+    ];
+    await this.datastore.save({ key, data });
+  }
+
+  async performDeleteBlacklistEntry(args) {
+    const { address } = args;
+
+    const key = this.datastore.key([BLACKLIST, address]);
+    await this.datastore.delete(key);
+  }
+
+  async performListBlacklistEntries(args) {
+    const { startAfter, limit } = args;
+
+    let query = this.datastore.createQuery(BLACKLIST);
+    if (startAfter !== null) {
+      query = query.filter('__key__', '>', this.datastore.key([BLACKLIST, startAfter]));
+    }
+    query = query.order('__key__').limit(limit);
+
+    const [entities] = await this.datastore.runQuery(query);
+    return entities.map(entity => this.dataToBlacklistEntry(entity));
+  }
+
+  async performAddBlacklistAudit(audit) {
+    const key = this.datastore.key([BLACKLIST_AUDIT, audit.id]);
+    const data = [
+      { name: 'address', value: audit.address },
+      { name: 'action', value: audit.action },
+      { name: 'before', value: JSON.stringify(audit.before), excludeFromIndexes: true },
+      { name: 'after', value: JSON.stringify(audit.after), excludeFromIndexes: true },
+      { name: 'actor', value: audit.actor },
+      { name: 'createDate', value: new Date(audit.createDate) },
+    ];
+    await this.datastore.save({ key, data });
+  }
+
+  async performListBlacklistAudits(args) {
+    const { address, limit } = args;
+
+    let query = this.datastore.createQuery(BLACKLIST_AUDIT);
+    if (address !== null) query = query.filter('address', '=', address);
+    query = query.order('createDate', { descending: true }).limit(limit);
+
+    const [entities] = await this.datastore.runQuery(query);
+    return entities.map(entity => {
+      const audit = {
+        id: entity[this.datastore.KEY].name,
+        address: entity.address,
+        action: entity.action,
+        before: JSON.parse(entity.before),
+        after: JSON.parse(entity.after),
+        actor: entity.actor,
+        createDate: entity.createDate.getTime(),
+      };
+      return audit;
+    });
+  }
+
+  outboxEntryToData(entry) {
+    const data = [
+      { name: 'backupPaths', value: JSON.stringify(entry.backupPaths), excludeFromIndexes: true },
+      { name: 'fileLogs', value: JSON.stringify(entry.fileLogs), excludeFromIndexes: true },
+      { name: 'nAttempts', value: entry.nAttempts },
+      { name: 'lastError', value: entry.lastError, excludeFromIndexes: true },
+      { name: 'createDate', value: new Date(entry.createDate) },
+      { name: 'updateDate', value: new Date(entry.updateDate) },
+      { name: 'nextAttemptDate', value: new Date(entry.nextAttemptDate) },
+    ];
+    return data;
+  }
+
+  dataToOutboxEntry(entity) {
+    const entry = {
+      id: entity[this.datastore.KEY].name,
+      backupPaths: JSON.parse(entity.backupPaths),
+      fileLogs: JSON.parse(entity.fileLogs),
+      nAttempts: entity.nAttempts,
+      lastError: entity.lastError,
+      createDate: entity.createDate.getTime(),
+      updateDate: entity.updateDate.getTime(),
+      nextAttemptDate: entity.nextAttemptDate.getTime(),
+    };
+    return entry;
+  }
+
+  async performPutOutboxEntry(entry) {
+    const key = this.datastore.key([OUTBOX, entry.id]);
+    await this.datastore.save({ key, data: this.outboxEntryToData(entry) });
+  }
+
+  async performDeleteOutboxEntry(args) {
+    const { id } = args;
+
+    const key = this.datastore.key([OUTBOX, id]);
+    await this.datastore.delete(key);
+  }
+
+  async performListOutboxEntries(args) {
+    const { dueDate, limit } = args;
+
+    let query = this.datastore.createQuery(OUTBOX);
+    if (isNumber(dueDate)) {
+      query = query.filter('nextAttemptDate', '<=', new Date(dueDate));
+    }
+    query = query.order('nextAttemptDate').limit(limit);
+
+    const [entities] = await this.datastore.runQuery(query);
+    return entities.map(entity => this.dataToOutboxEntry(entity));
+  }
+
+  async performClaimOutboxEntry(args) {
+    const { id, dueDate, nextAttemptDate } = args;
+
+    // Move nextAttemptDate forward only if still due so that other instances
+    //   flushing at the same time skip this entry.
+    const key = this.datastore.key([OUTBOX, id]);
+    const transaction = this.datastore.transaction();
+    try {
+      await transaction.run();
+
+      const [entity] = await transaction.get(key);
+      if (!isObject(entity) || entity.nextAttemptDate.getTime() > dueDate) {
+        await transaction.rollback();
+        return false;
+      }
+
+      const entry = this.dataToOutboxEntry(entity);
+      transaction.save({
+        key,
+        data: this.outboxEntryToData({ ...entry, updateDate: Date.now(), nextAttemptDate }),
+      });
+      await transaction.commit();
+      return true;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  async performAddFileLogs(args) {
+    const { fileLogs } = args;
+
+    // A redelivered task keeps the addDate of its file logs, for the change feed
+    //   not to list them again after a cursor, so only the new ones are saved.
+    //   Datastore allows up to 1000 keys per get and 500 entities per commit.
+    const nItems = 500;
+    const addDate = new Date();
+    const existingIds = new Set();
+    for (let i = 0; i < fileLogs.length; i += nItems) {
+      const keys = fileLogs.slice(i, i + nItems).map(fileLog => {
+        return this.datastore.key([FILE_LOG, getFileLogId(fileLog)]);
+      });
+      const [existingEntities] = await this.datastore.get(keys);
+      for (const entity of existingEntities) {
+        existingIds.add(entity[this.datastore.KEY].name);
+      }
+    }
+
+    const newFileLogs = fileLogs.filter(fileLog => {
+      return !existingIds.has(getFileLogId(fileLog));
+    });
+    const entities = newFileLogs.map(fileLog => {
+      const key = this.datastore.key([FILE_LOG, getFileLogId(fileLog)]);
+      const data = [
+        { name: 'address', value: getAddressFromPath(fileLog.path) },
+        { name: 'path', value: fileLog.path },
+        { name: 'assoIssAddress', value: fileLog.assoIssAddress },
+        { name: 'action', value: fileLog.action },
+        { name: 'size', value: fileLog.size, excludeFromIndexes: true },
+        { name: 'sizeChange', value: fileLog.sizeChange, excludeFromIndexes: true },
+        { name: 'createDate', value: new Date(fileLog.createDT) },
+        { name: 'addDate', value: addDate },
+      ];
+      return { key, data };
+    });
+
+    for (let i = 0; i < entities.length; i += nItems) {
+      await this.datastore.upsert(entities.slice(i, i + nItems));
+    }
+  }
+
+  dataToFileLog(entity) {
+    const fileLog = {
+      id: entity[this.datastore.KEY].name,
+      path: entity.path,
+      assoIssAddress: entity.assoIssAddress,
+      action: entity.action,
+      size: entity.size,
+      sizeChange: entity.sizeChange,
+      createDT: entity.createDate.getTime(),
+      addDate: entity.addDate.getTime(),
+    };
+    return fileLog;
+  }
+
+  async performListFileLogs(args) {
+    const { address, startDate, startId, limit } = args;
+
+    // The rest of the file logs added at startDate, then the ones after.
+    const fileLogs = [];
+    if (startId !== null) {
+      const query = this.datastore.createQuery(FILE_LOG)
+        .filter('address', '=', address)
+        .filter('addDate', '=', new Date(startDate))
+        .filter('__key__', '>', this.datastore.key([FILE_LOG, startId]))
+        .order('__key__')
+        .limit(limit);
+      const [entities] = await this.datastore.runQuery(query);
+      fileLogs.push(...entities.map(entity => this.dataToFileLog(entity)));
+    }
+    if (fileLogs.length < limit) {
+      const query = this.datastore.createQuery(FILE_LOG)
+        .filter('address', '=', address)
+        .filter('addDate', startId !== null ? '>' : '>=', new Date(startDate))
+        .order('addDate')
+        .order('__key__')
+        .limit(limit - fileLogs.length);
+      const [entities] = await this.datastore.runQuery(query);
+      fileLogs.push(...entities.map(entity => this.dataToFileLog(entity)));
+    }
+
+    return fileLogs;
+  }
+
+  async performReadUsage(args) {
+    const { address } = args;
+
+    const key = this.datastore.key([USAGE, address]);
+    const [entity] = await this.datastore.get(key);
+
+    // tier is set outside of the hub, e.g. by billing.
+    const usage = { nBytes: 0, nObjects: 0, tier: null, isComputed: false };
+    if (isObject(entity)) {
+      if (isNumber(entity.nBytes)) usage.nBytes = entity.nBytes;
+      if (isNumber(entity.nObjects)) usage.nObjects = entity.nObjects;
+      if (isString(entity.tier)) usage.tier = entity.tier;
+      usage.isComputed = !!entity.computeDate;
+    }
+
+    return usage;
+  }
+
+  async performUpdateUsage(args) {
+    const { address, bytesChange, objectsChange } = args;
+
+    const date = new Date();
+    const key = this.datastore.key([USAGE, address]);
+
+    const nTries = 3;
+    for (let currentTry = 1; currentTry <= nTries; currentTry++) {
+      const transaction = this.datastore.transaction();
+      try {
+        await transaction.run();
+
+        const [oEy] = await transaction.get(key);
+        const usage = this.dataToUsage(oEy, date);
+
+        transaction.save({
+          key,
+          data: [
+            { name: 'nBytes', value: Math.max(usage.nBytes + bytesChange, 0) },
+            { name: 'nObjects', value: Math.max(usage.nObjects + objectsChange, 0) },
+            { name: 'tier', value: usage.tier },
+            { name: 'computeDate', value: usage.computeDate },
+            { name: 'createDate', value: usage.createDate },
+            { name: 'updateDate', value: date },
+          ],
+        });
+
+        await transaction.commit();
+        return;
+      } catch (error) {
+        await transaction.rollback();
+
+        if (currentTry < nTries) await sleep(sample([100, 200, 280, 350]));
+        else throw error;
+      }
+    }
+  }
+
+  async performInitUsage(args) {
+    const { address, nBytes, nObjects } = args;
+
+    const date = new Date();
+    const key = this.datastore.key([USAGE, address]);
+
+    const nTries = 3;
+    for (let currentTry = 1; currentTry <= nTries; currentTry++) {
+      const transaction = this.datastore.transaction();
+      try {
+        await transaction.run();
+
+        const [oEy] = await transaction.get(key);
+        const usage = this.dataToUsage(oEy, date);
+        if (usage.computeDate) {
+          await transaction.rollback();
+          return;
+        }
+
+        transaction.save({
+          key,
+          data: [
+            { name: 'nBytes', value: nBytes },
+            { name: 'nObjects', value: nObjects },
+            { name: 'tier', value: usage.tier },
+            { name: 'computeDate', value: date },
+            { name: 'createDate', value: usage.createDate },
+            { name: 'updateDate', value: date },
+          ],
+        });
+
+        await transaction.commit();
+        return;
+      } catch (error) {
+        await transaction.rollback();
+
+        if (currentTry < nTries) await sleep(sample([100, 200, 280, 350]));
+        else throw error;
+      }
+    }
+  }
+
+  dataToUsage(entity, date) {
+    const usage = {
+      nBytes: 0, nObjects: 0, tier: null, computeDate: null, createDate: date,
+    };
+    if (isObject(entity)) {
+      if (isNumber(entity.nBytes)) usage.nBytes = entity.nBytes;
+      if (isNumber(entity.nObjects)) usage.nObjects = entity.nObjects;
+      if (isString(entity.tier)) usage.tier = entity.tier;
+      if (entity.computeDate) usage.computeDate = entity.computeDate;
+      if (entity.createDate) usage.createDate = entity.createDate;
+    }
+    return usage;
+  }
+
+  dataToUpload(entity) {
+    const upload = {
+      id: entity[this.datastore.KEY].name,
+      address: entity.address,
+      path: entity.path,
+      contentType: entity.contentType,
+      contentLength: entity.contentLength,
+      createDate: entity.createDate.getTime(),
+      expireDate: entity.expireDate.getTime(),
+    };
+    return upload;
+  }
+
+  async performPutUpload(upload) {
+    const key = this.datastore.key([UPLOAD, upload.id]);
+    const data = [
+      { name: 'address', value: upload.address },
+      { name: 'path', value: upload.path, excludeFromIndexes: true },
+      { name: 'contentType', value: upload.contentType, excludeFromIndexes: true },
+      { name: 'contentLength', value: upload.contentLength, excludeFromIndexes: true },
+      { name: 'createDate', value: new Date(upload.createDate) },
+      { name: 'expireDate', value: new Date(upload.expireDate) },
+    ];
+    await this.datastore.save({ key, data });
+  }
+
+  async performReadUpload(args) {
+    const { id } = args;
+
+    const key = this.datastore.key([UPLOAD, id]);
+    const [entity] = await this.datastore.get(key);
+    return isObject(entity) ? this.dataToUpload(entity) : null;
+  }
+
+  async performDeleteUpload(args) {
+    const { id } = args;
+
+    const key = this.datastore.key([UPLOAD, id]);
+    await this.datastore.delete(key);
+  }
+
+  async performListUploads(args) {
+    const { expireDate, limit } = args;
+
+    const query = this.datastore.createQuery(UPLOAD)
+      .filter('expireDate', '<=', new Date(expireDate))
+      .order('expireDate')
+      .limit(limit);
+
+    const [entities] = await this.datastore.runQuery(query);
+    return entities.map(entity => this.dataToUpload(entity));
+  }
+
+  idempotencyRecordToData(record) {
+    const data = [
+      { name: 'address', value: record.address },
+      { name: 'fingerprint', value: record.fingerprint, excludeFromIndexes: true },
+      { name: 'response', value: record.response, excludeFromIndexes: true },
+      { name: 'createDate', value: new Date(record.createDate) },
+      { name: 'expireDate', value: new Date(record.expireDate) },
+    ];
+    return data;
+  }
+
+  dataToIdempotencyRecord(entity) {
+    const record = {
+      id: entity[this.datastore.KEY].name,
+      address: entity.address,
+      fingerprint: entity.fingerprint,
+      response: entity.response,
+      createDate: entity.createDate.getTime(),
+      expireDate: entity.expireDate.getTime(),
+    };
+    return record;
+  }
+
+  async performClaimIdempotencyRecord(record) {
+    const key = this.datastore.key([IDEMPOTENCY, record.id]);
+
+    const transaction = this.datastore.transaction();
+    try {
+      await transaction.run();
+
+      const [entity] = await transaction.get(key);
+      if (isObject(entity) && entity.expireDate.getTime() > record.createDate) {
+        await transaction.rollback();
+        return this.dataToIdempotencyRecord(entity);
+      }
+
+      transaction.save({ key, data: this.idempotencyRecordToData(record) });
+      await transaction.commit();
+      return null;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  async performPutIdempotencyRecord(record) {
+    const key = this.datastore.key([IDEMPOTENCY, record.id]);
+    await this.datastore.save({ key, data: this.idempotencyRecordToData(record) });
+  }
+
+  async performDeleteIdempotencyRecord(args) {
+    const { id } = args;
+
+    const key = this.datastore.key([IDEMPOTENCY, id]);
+    await this.datastore.delete(key);
+  }
+
+  async performListIdempotencyRecords(args) {
+    const { expireDate, limit } = args;
+
+    const query = this.datastore.createQuery(IDEMPOTENCY)
+      .filter('expireDate', '<=', new Date(expireDate))
+      .order('expireDate')
+      .limit(limit);
+
+    const [entities] = await this.datastore.runQuery(query);
+    return entities.map(entity => this.dataToIdempotencyRecord(entity));
+  }
+
+  dataToSubscribeTicket(entity) {
+    const ticket = {
+      id: entity[this.datastore.KEY].name,
+      address: entity.address,
+      createDate: entity.createDate.getTime(),
+      expireDate: entity.expireDate.getTime(),
+    };
+    return ticket;
+  }
+
+  async performPutSubscribeTicket(ticket) {
+    const key = this.datastore.key([SUBSCRIBE_TICKET, ticket.id]);
+    const data = [
+      { name: 'address', value: ticket.address, excludeFromIndexes: true },
+      { name: 'createDate', value: new Date(ticket.createDate) },
+      { name: 'expireDate', value: new Date(ticket.expireDate) },
+    ];
+    await this.datastore.save({ key, data });
+  }
+
+  async performTakeSubscribeTicket(args) {
+    const { id } = args;
+
+    const key = this.datastore.key([SUBSCRIBE_TICKET, id]);
+
+    const transaction = this.datastore.transaction();
+    try {
+      await transaction.run();
+
+      const [entity] = await transaction.get(key);
+      if (!isObject(entity)) {
+        await transaction.rollback();
+        return null;
+      }
+
+      transaction.delete(key);
+      await transaction.commit();
+      return this.dataToSubscribeTicket(entity);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  async performListSubscribeTickets(args) {
+    const { expireDate, limit } = args;
+
+    const query = this.datastore.createQuery(SUBSCRIBE_TICKET)
+      .filter('expireDate', '<=', new Date(expireDate))
+      .order('expireDate')
+      .limit(limit);
+
+    const [entities] = await this.datastore.runQuery(query);
+    return entities.map(entity => this.dataToSubscribeTicket(entity));
+  }
+
+  dataToWebhook(entity) {
+    const webhook = {
+      id: entity[this.datastore.KEY].name,
+      address: entity.address,
+      url: entity.url,
+      prefix: entity.prefix,
+      secret: entity.secret,
+      createDate: entity.createDate.getTime(),
+      updateDate: entity.updateDate.getTime(),
+    };
+    return webhook;
+  }
+
+  async performPutWebhook(webhook) {
+    const key = this.datastore.key([WEBHOOK, webhook.id]);
+    const data = [
+      { name: 'address', value: webhook.address },
+      { name: 'url', value: webhook.url, excludeFromIndexes: true },
+      { name: 'prefix', value: webhook.prefix, excludeFromIndexes: true },
+      { name: 'secret', value: webhook.secret, excludeFromIndexes: true },
+      { name: 'createDate', value: new Date(webhook.createDate) },
+      { name: 'updateDate', value: new Date(webhook.updateDate) },
+    ];
+    await this.datastore.save({ key, data });
+  }
+
+  async performReadWebhook(args) {
+    const { id } = args;
+
+    const key = this.datastore.key([WEBHOOK, id]);
+    const [entity] = await this.datastore.get(key);
+    return isObject(entity) ? this.dataToWebhook(entity) : null;
+  }
+
+  async performDeleteWebhook(args) {
+    const { id } = args;
+
+    const key = this.datastore.key([WEBHOOK, id]);
+    await this.datastore.delete(key);
+  }
+
+  async performListWebhooks(args) {
+    const { address } = args;
+
+    // Only a few per address, sorted here to not need a composite index.
+    const query = this.datastore.createQuery(WEBHOOK).filter('address', '=', address);
+    const [entities] = await this.datastore.runQuery(query);
+    return entities
+      .map(entity => this.dataToWebhook(entity))
+      .sort((a, b) => a.createDate - b.createDate);
+  }
+
+  webhookDeliveryToData(delivery) {
+    const data = [
+      { name: 'webhookId', value: delivery.webhookId, excludeFromIndexes: true },
+      { name: 'address', value: delivery.address },
+      { name: 'events', value: JSON.stringify(delivery.events), excludeFromIndexes: true },
+      { name: 'nAttempts', value: delivery.nAttempts },
+      { name: 'lastError', value: delivery.lastError, excludeFromIndexes: true },
+      { name: 'createDate', value: new Date(delivery.createDate) },
+      { name: 'updateDate', value: new Date(delivery.updateDate) },
+      { name: 'nextAttemptDate', value: new Date(delivery.nextAttemptDate) },
+    ];
+    return data;
+  }
+
+  dataToWebhookDelivery(entity) {
+    const delivery = {
+      id: entity[this.datastore.KEY].name,
+      webhookId: entity.webhookId,
+      address: entity.address,
+      events: JSON.parse(entity.events),
+      nAttempts: entity.nAttempts,
+      lastError: entity.lastError,
+      createDate: entity.createDate.getTime(),
+      updateDate: entity.updateDate.getTime(),
+      nextAttemptDate: entity.nextAttemptDate.getTime(),
+    };
+    return delivery;
+  }
+
+  async performPutWebhookDelivery(delivery) {
+    const key = this.datastore.key([WEBHOOK_DELIVERY, delivery.id]);
+    await this.datastore.save({ key, data: this.webhookDeliveryToData(delivery) });
+  }
+
+  async performDeleteWebhookDelivery(args) {
+    const { id } = args;
+
+    const key = this.datastore.key([WEBHOOK_DELIVERY, id]);
+    await this.datastore.delete(key);
+  }
+
+  async performListWebhookDeliveries(args) {
+    const { dueDate, limit } = args;
+
+    const query = this.datastore.createQuery(WEBHOOK_DELIVERY)
+      .filter('nextAttemptDate', '<=', new Date(dueDate))
+      .order('nextAttemptDate')
+      .limit(limit);
+
+    const [entities] = await this.datastore.runQuery(query);
+    return entities.map(entity => this.dataToWebhookDelivery(entity));
+  }
+
+  async performClaimWebhookDelivery(args) {
+    const { id, dueDate, nextAttemptDate } = args;
+
+    // Like performClaimOutboxEntry, for other instances flushing at the same time.
+    const key = this.datastore.key([WEBHOOK_DELIVERY, id]);
+    const transaction = this.datastore.transaction();
+    try {
+      await transaction.run();
+
+      const [entity] = await transaction.get(key);
+      if (!isObject(entity) || entity.nextAttemptDate.getTime() > dueDate) {
+        await transaction.rollback();
+        return false;
+      }
+
+      const delivery = this.dataToWebhookDelivery(entity);
+      transaction.save({
+        key,
+        data: this.webhookDeliveryToData({
+          ...delivery, updateDate: Date.now(), nextAttemptDate,
+        }),
+      });
+      await transaction.commit();
+      return true;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  async performPutWebhookDeadLetter(delivery) {
+    const key = this.datastore.key([WEBHOOK_DEAD_LETTER, delivery.id]);
+    await this.datastore.save({ key, data: this.webhookDeliveryToData(delivery) });
+  }
+
+  async performReadWebhookDeadLetter(args) {
+    const { id } = args;
+
+    const key = this.datastore.key([WEBHOOK_DEAD_LETTER, id]);
+    const [entity] = await this.datastore.get(key);
+    return isObject(entity) ? this.dataToWebhookDelivery(entity) : null;
+  }
+
+  async performDeleteWebhookDeadLetter(args) {
+    const { id } = args;
+
+    const key = this.datastore.key([WEBHOOK_DEAD_LETTER, id]);
+    await this.datastore.delete(key);
+  }
+
+  async performListWebhookDeadLetters(args) {
+    const { address, limit } = args;
+
+    const query = this.datastore.createQuery(WEBHOOK_DEAD_LETTER)
+      .filter('address', '=', address)
+      .order('updateDate', { descending: true })
+      .limit(limit);
+
+    const [entities] = await this.datastore.runQuery(query);
+    return entities.map(entity => this.dataToWebhookDelivery(entity));
+  }
+}
+
+const metadataStore = DatastoreMetadataStore;
+export default metadataStore;
@@ -0,0 +1,552 @@
+import * as fs from 'fs';
+import * as pathLib from 'path';
+
+import {
+  FILE_LOG, REVOCATION, BLACKLIST, BLACKLIST_AUDIT, OUTBOX, USAGE, UPLOAD, IDEMPOTENCY, WEBHOOK,
+  WEBHOOK_DELIVERY, WEBHOOK_DEAD_LETTER, SUBSCRIBE_TICKET,
+} from '../const';
+import {
+  isObject, isNumber, isString, randomString, getFileLogId, getAddressFromPath,
+} from '../utils';
+
+/*
+ * Keeps the metadata in one JSON file, keyed like the Datastore kinds.
+ *   Meant for on-prem and tests with a single hub process, writes from
+ *   other processes in between would be lost.
+ */
+class JsonFileMetadataStore {
+
+  constructor(config) {
+    const jsonFileSettings = config.jsonFileMetadataSettings || {};
+    if (!jsonFileSettings.filePath) {
+      throw new Error('Config is missing jsonFileMetadataSettings.filePath');
+    }
+
+    this.filePath = pathLib.resolve(jsonFileSettings.filePath);
+    this.writePromise = Promise.resolve();
+    this.initPromise = this.createIfNeeded();
+  }
+
+  ensureInitialized() {
+    return this.initPromise;
+  }
+
+  dispose() {
+    return this.writePromise;
+  }
+
+  async createIfNeeded() {
+    await fs.promises.mkdir(pathLib.dirname(this.filePath), { recursive: true });
+    try {
+      await fs.promises.writeFile(
+        this.filePath, JSON.stringify(this.createEmptyData()), { flag: 'wx' }
+      );
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+
+  createEmptyData() {
+    return {
+      [REVOCATION]: {}, [BLACKLIST]: {}, [BLACKLIST_AUDIT]: {}, [OUTBOX]: {},
+      [FILE_LOG]: {}, [USAGE]: {}, [UPLOAD]: {}, [IDEMPOTENCY]: {}, [WEBHOOK]: {}, [WEBHOOK_DELIVERY]: {},
+      [WEBHOOK_DEAD_LETTER]: {}, [SUBSCRIBE_TICKET]: {},
+    };
+  }
+
+  async readData() {
+    // Read every time so that hand edits are picked up without a restart.
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return this.createEmptyData();
+      throw error;
+    }
+    return { ...this.createEmptyData(), ...data };
+  }
+
+  async writeData(data) {
+    const tmpPath = `${this.filePath}.${randomString(8)}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  updateData(updateFn) {
+    // Serialize read-modify-write so that concurrent updates aren't lost.
+    const promise = this.writePromise.then(async () => {
+      const data = await this.readData();
+      const isChanged = updateFn(data);
+      if (isChanged) await this.writeData(data);
+    });
+    this.writePromise = promise.catch(() => { });
+    return promise;
+  }
+
+  async performWriteAuthTimestamp(args) {
+    const { bucketAddress, timestamp } = args;
+
+    const date = new Date().toISOString();
+    await this.updateData(data => {
+      const oEy = data[REVOCATION][bucketAddress];
+      if (isObject(oEy) && isNumber(oEy.timestamp)) {
+        if (oEy.timestamp >= timestamp) return false;
+
+        data[REVOCATION][bucketAddress] = {
+          timestamp, createDate: oEy.createDate, updateDate: date,
+        };
+        return true;
+      }
+
+      data[REVOCATION][bucketAddress] = {
+        timestamp, createDate: date, updateDate: date,
+      };
+      return true;
+    });
+  }
+
+  async performReadAuthTimestamp(args) {
+    const { bucketAddress } = args;
+
+    const data = await this.readData();
+    const entity = data[REVOCATION][bucketAddress];
+
+    let timestamp = 0;
+    if (isObject(entity) && isNumber(entity.timestamp)) {
+      timestamp = entity.timestamp;
+    }
+
+    return timestamp;
+  }
+
+  async performReadBlacklistEntry(args) {
+    const { address } = args;
+
+    const data = await this.readData();
+    const entity = data[BLACKLIST][address];
+    return isObject(entity) ? this.dataToBlacklistEntry(address, entity) : null;
+  }
+
+  dataToBlacklistEntry(address, entity) {
+    // Entries added by hand may only have type.
+    const entry = {
+      address,
+      type: isNumber(entity.type) ? entity.type : 0,
+      policy: isObject(entity.policy) ? entity.policy : null,
+      reason: isString(entity.reason) ? entity.reason : null,
+      expireDate: isNumber(entity.expireDate) ? entity.expireDate : null,
+      createDate: isNumber(entity.createDate) ? entity.createDate : null,
+      updateDate: isNumber(entity.updateDate) ? entity.updateDate : null,
+    };
+    return entry;
+  }
+
+  async performPutBlacklistEntry(entry) {
+    await this.updateData(data => {
+      data[BLACKLIST][entry.address] = { ...entry };
+      return true;
+    });
+  }
+
+  async performDeleteBlacklistEntry(args) {
+    const { address } = args;
+
+    await this.updateData(data => {
+      if (!isObject(data[BLACKLIST][address])) return false;
+
+      delete data[BLACKLIST][address];
+      return true;
+    });
+  }
+
+  async performListBlacklistEntries(args) {
+    const { startAfter, limit } = args;
+
+    const data = await this.readData();
+    const entries = Object.keys(data[BLACKLIST])
+      .filter(address => startAfter === null || address > startAfter)
+      .sort()
+      .slice(0, limit)
+      .map(address => this.dataToBlacklistEntry(address, data[BLACKLIST][address]));
+    return entries;
+  }
+
+  async performAddBlacklistAudit(audit) {
+    await this.updateData(data => {
+      data[BLACKLIST_AUDIT][audit.id] = { ...audit };
+      return true;
+    });
+  }
+
+  async performListBlacklistAudits(args) {
+    const { address, limit } = args;
+
+    // The latest first.
+    const data = await this.readData();
+    const audits = Object.values(data[BLACKLIST_AUDIT])
+      .filter(audit => address === null || audit.address === address)
+      .sort((a, b) => b.createDate - a.createDate);
+    return audits.slice(0, limit);
+  }
+
+  async performPutOutboxEntry(entry) {
+    await this.updateData(data => {
+      data[OUTBOX][entry.id] = { ...entry };
+      return true;
+    });
+  }
+
+  async performDeleteOutboxEntry(args) {
+    const { id } = args;
+
+    await this.updateData(data => {
+      if (!isObject(data[OUTBOX][id])) return false;
+
+      delete data[OUTBOX][id];
+      return true;
+    });
+  }
+
+  async performListOutboxEntries(args) {
+    const { dueDate, limit } = args;
+
+    const data = await this.readData();
+    const entries = Object.values(data[OUTBOX])
+      .filter(entry => !isNumber(dueDate) || entry.nextAttemptDate <= dueDate)
+      .sort((a, b) => a.nextAttemptDate - b.nextAttemptDate);
+    return entries.slice(0, limit);
+  }
+
+  async performClaimOutboxEntry(args) {
+    const { id, dueDate, nextAttemptDate } = args;
+
+    let isClaimed = false;
+    await this.updateData(data => {
+      const entry = data[OUTBOX][id];
+      if (!isObject(entry) || entry.nextAttemptDate > dueDate) return false;
+
+      data[OUTBOX][id] = { ...entry, updateDate: Date.now(), nextAttemptDate };
+      isClaimed = true;
+      return true;
+    });
+    return isClaimed;
+  }
+
+  async performAddFileLogs(args) {
+    const { fileLogs } = args;
+
+    // A redelivered task keeps the addDate of its file logs, for the change feed
+    //   not to list them again after a cursor.
+    const addDate = Date.now();
+    await this.updateData(data => {
+      let isUpdated = false;
+      for (const fileLog of fileLogs) {
+        const id = getFileLogId(fileLog);
+        if (isObject(data[FILE_LOG][id])) continue;
+
+        data[FILE_LOG][id] = { ...fileLog, addDate };
+        isUpdated = true;
+      }
+      return isUpdated;
+    });
+  }
+
+  async performListFileLogs(args) {
+    const { address, startDate, startId, limit } = args;
+
+    const data = await this.readData();
+    const fileLogs = [];
+    for (const id in data[FILE_LOG]) {
+      const fileLog = data[FILE_LOG][id];
+      // File logs added before the change feed have no addDate.
+      if (!isNumber(fileLog.addDate)) continue;
+      if (getAddressFromPath(fileLog.path) !== address) continue;
+      if (fileLog.addDate < startDate) continue;
+      if (fileLog.addDate === startDate && startId !== null && id <= startId) continue;
+      fileLogs.push({ ...fileLog, id });
+    }
+    fileLogs.sort((a, b) => a.addDate - b.addDate || (a.id < b.id ? -1 : 1));
+    return fileLogs.slice(0, limit);
+  }
+
+  async performReadUsage(args) {
+    const { address } = args;
+
+    const data = await this.readData();
+    const entity = data[USAGE][address];
+
+    const usage = { nBytes: 0, nObjects: 0, tier: null, isComputed: false };
+    if (isObject(entity)) {
+      if (isNumber(entity.nBytes)) usage.nBytes = entity.nBytes;
+      if (isNumber(entity.nObjects)) usage.nObjects = entity.nObjects;
+      if (isString(entity.tier)) usage.tier = entity.tier;
+      usage.isComputed = !!entity.computeDate;
+    }
+
+    return usage;
+  }
+
+  async performUpdateUsage(args) {
+    const { address, bytesChange, objectsChange } = args;
+
+    const date = new Date().toISOString();
+    await this.updateData(data => {
+      const oEy = data[USAGE][address];
+      const entity = isObject(oEy) ? { ...oEy } : { createDate: date };
+      entity.nBytes = Math.max((isNumber(entity.nBytes) ? entity.nBytes : 0) + bytesChange, 0);
+      entity.nObjects = Math.max(
+        (isNumber(entity.nObjects) ? entity.nObjects : 0) + objectsChange, 0
+      );
+      entity.updateDate = date;
+      data[USAGE][address] = entity;
+      return true;
+    });
+  }
+
+  async performInitUsage(args) {
+    const { address, nBytes, nObjects } = args;
+
+    const date = new Date().toISOString();
+    await this.updateData(data => {
+      const oEy = data[USAGE][address];
+      if (isObject(oEy) && oEy.computeDate) return false;
+
+      const entity = isObject(oEy) ? { ...oEy } : { createDate: date };
+      entity.nBytes = nBytes;
+      entity.nObjects = nObjects;
+      entity.computeDate = date;
+      entity.updateDate = date;
+      data[USAGE][address] = entity;
+      return true;
+    });
+  }
+
+  async performPutUpload(upload) {
+    await this.updateData(data => {
+      data[UPLOAD][upload.id] = { ...upload };
+      return true;
+    });
+  }
+
+  async performReadUpload(args) {
+    const { id } = args;
+
+    const data = await this.readData();
+    const upload = data[UPLOAD][id];
+    return isObject(upload) ? upload : null;
+  }
+
+  async performDeleteUpload(args) {
+    const { id } = args;
+
+    await this.updateData(data => {
+      if (!isObject(data[UPLOAD][id])) return false;
+
+      delete data[UPLOAD][id];
+      return true;
+    });
+  }
+
+  async performListUploads(args) {
+    const { expireDate, limit } = args;
+
+    const data = await this.readData();
+    const uploads = Object.values(data[UPLOAD])
+      .filter(upload => upload.expireDate <= expireDate)
+      .sort((a, b) => a.expireDate - b.expireDate);
+    return uploads.slice(0, limit);
+  }
+
+  async performClaimIdempotencyRecord(record) {
+    let oRecord = null;
+    await this.updateData(data => {
+      const entity = data[IDEMPOTENCY][record.id];
+      if (isObject(entity) && entity.expireDate > record.createDate) {
+        oRecord = entity;
+        return false;
+      }
+
+      data[IDEMPOTENCY][record.id] = { ...record };
+      return true;
+    });
+    return oRecord;
+  }
+
+  async performPutIdempotencyRecord(record) {
+    await this.updateData(data => {
+      data[IDEMPOTENCY][record.id] = { ...record };
+      return true;
+    });
+  }
+
+  async performDeleteIdempotencyRecord(args) {
+    const { id } = args;
+
+    await this.updateData(data => {
+      if (!isObject(data[IDEMPOTENCY][id])) return false;
+
+      delete data[IDEMPOTENCY][id];
+      return true;
+    });
+  }
+
+  async performListIdempotencyRecords(args) {
+    const { expireDate, limit } = args;
+
+    const data = await this.readData();
+    const records = Object.values(data[IDEMPOTENCY])
+      .filter(record => record.expireDate <= expireDate)
+      .sort((a, b) => a.expireDate - b.expireDate);
+    return records.slice(0, limit);
+  }
+
+  async performPutSubscribeTicket(ticket) {
+    await this.updateData(data => {
+      data[SUBSCRIBE_TICKET][ticket.id] = { ...ticket };
+      return true;
+    });
+  }
+
+  async performTakeSubscribeTicket(args) {
+    const { id } = args;
+
+    let ticket = null;
+    await this.updateData(data => {
+      if (!isObject(data[SUBSCRIBE_TICKET][id])) return false;
+
+      ticket = data[SUBSCRIBE_TICKET][id];
+      delete data[SUBSCRIBE_TICKET][id];
+      return true;
+    });
+    return ticket;
+  }
+
+  async performListSubscribeTickets(args) {
+    const { expireDate, limit } = args;
+
+    const data = await this.readData();
+    const tickets = Object.values(data[SUBSCRIBE_TICKET])
+      .filter(ticket => ticket.expireDate <= expireDate)
+      .sort((a, b) => a.expireDate - b.expireDate);
+    return tickets.slice(0, limit);
+  }
+
+  async performPutWebhook(webhook) {
+    await this.updateData(data => {
+      data[WEBHOOK][webhook.id] = { ...webhook };
+      return true;
+    });
+  }
+
+  async performReadWebhook(args) {
+    const { id } = args;
+
+    const data = await this.readData();
+    const webhook = data[WEBHOOK][id];
+    return isObject(webhook) ? webhook : null;
+  }
+
+  async performDeleteWebhook(args) {
+    const { id } = args;
+
+    await this.updateData(data => {
+      if (!isObject(data[WEBHOOK][id])) return false;
+
+      delete data[WEBHOOK][id];
+      return true;
+    });
+  }
+
+  async performListWebhooks(args) {
+    const { address } = args;
+
+    const data = await this.readData();
+    const webhooks = Object.values(data[WEBHOOK])
+      .filter(webhook => webhook.address === address)
+      .sort((a, b) => a.createDate - b.createDate);
+    return webhooks;
+  }
+
+  async performPutWebhookDelivery(delivery) {
+    await this.updateData(data => {
+      data[WEBHOOK_DELIVERY][delivery.id] = { ...delivery };
+      return true;
+    });
+  }
+
+  async performDeleteWebhookDelivery(args) {
+    const { id } = args;
+
+    await this.updateData(data => {
+      if (!isObject(data[WEBHOOK_DELIVERY][id])) return false;
+
+      delete data[WEBHOOK_DELIVERY][id];
+      return true;
+    });
+  }
+
+  async performListWebhookDeliveries(args) {
+    const { dueDate, limit } = args;
+
+    const data = await this.readData();
+    const deliveries = Object.values(data[WEBHOOK_DELIVERY])
+      .filter(delivery => delivery.nextAttemptDate <= dueDate)
+      .sort((a, b) => a.nextAttemptDate - b.nextAttemptDate);
+    return deliveries.slice(0, limit);
+  }
+
+  async performClaimWebhookDelivery(args) {
+    const { id, dueDate, nextAttemptDate } = args;
+
+    let isClaimed = false;
+    await this.updateData(data => {
+      const delivery = data[WEBHOOK_DELIVERY][id];
+      if (!isObject(delivery) || delivery.nextAttemptDate > dueDate) return false;
+
+      data[WEBHOOK_DELIVERY][id] = { ...delivery, updateDate: Date.now(), nextAttemptDate };
+      isClaimed = true;
+      return true;
+    });
+    return isClaimed;
+  }
+
+  async performPutWebhookDeadLetter(delivery) {
+    await this.updateData(data => {
+      data[WEBHOOK_DEAD_LETTER][delivery.id] = { ...delivery };
+      return true;
+    });
+  }
+
+  async performReadWebhookDeadLetter(args) {
+    const { id } = args;
+
+    const data = await this.readData();
+    const delivery = data[WEBHOOK_DEAD_LETTER][id];
+    return isObject(delivery) ? delivery : null;
+  }
+
+  async performDeleteWebhookDeadLetter(args) {
+    const { id } = args;
+
+    await this.updateData(data => {
+      if (!isObject(data[WEBHOOK_DEAD_LETTER][id])) return false;
+
+      delete data[WEBHOOK_DEAD_LETTER][id];
+      return true;
+    });
+  }
+
+  async performListWebhookDeadLetters(args) {
+    const { address, limit } = args;
+
+    // The latest first.
+    const data = await this.readData();
+    const deliveries = Object.values(data[WEBHOOK_DEAD_LETTER])
+      .filter(delivery => delivery.address === address)
+      .sort((a, b) => b.updateDate - a.updateDate);
+    return deliveries.slice(0, limit);
+  }
+}
+
+const metadataStore = JsonFileMetadataStore;
+export default metadataStore;
@@ -0,0 +1,360 @@
+import {
+  FILE_LOG, REVOCATION, BLACKLIST, BLACKLIST_AUDIT, OUTBOX, USAGE, UPLOAD, IDEMPOTENCY, WEBHOOK,
+  WEBHOOK_DELIVERY, WEBHOOK_DEAD_LETTER, SUBSCRIBE_TICKET,
+} from '../const';
+import {
+  isObject, isNumber, isString, getFileLogId, getAddressFromPath,
+} from '../utils';
+
+/*
+ * Keeps the metadata in process memory, for tests and
+ *   local development only. All data is lost on restart.
+ */
+class MemoryMetadataStore {
+
+  constructor(_config) {
+    this.entities = {
+      [REVOCATION]: new Map(), [BLACKLIST]: new Map(), [BLACKLIST_AUDIT]: new Map(),
+      [OUTBOX]: new Map(),
+      [FILE_LOG]: new Map(), [USAGE]: new Map(), [UPLOAD]: new Map(),
+      [IDEMPOTENCY]: new Map(), [WEBHOOK]: new Map(), [WEBHOOK_DELIVERY]: new Map(),
+      [WEBHOOK_DEAD_LETTER]: new Map(), [SUBSCRIBE_TICKET]: new Map(),
+    };
+  }
+
+  ensureInitialized() {
+    return Promise.resolve();
+  }
+
+  dispose() {
+    return Promise.resolve();
+  }
+
+  async performWriteAuthTimestamp(args) {
+    const { bucketAddress, timestamp } = args;
+
+    const date = new Date();
+    const oEy = this.entities[REVOCATION].get(bucketAddress);
+    if (isObject(oEy) && isNumber(oEy.timestamp)) {
+      if (oEy.timestamp < timestamp) {
+        this.entities[REVOCATION].set(bucketAddress, {
+          timestamp, createDate: oEy.createDate, updateDate: date,
+        });
+      }
+    } else {
+      this.entities[REVOCATION].set(bucketAddress, {
+        timestamp, createDate: date, updateDate: date,
+      });
+    }
+  }
+
+  async performReadAuthTimestamp(args) {
+    const { bucketAddress } = args;
+
+    const entity = this.entities[REVOCATION].get(bucketAddress);
+
+    let timestamp = 0;
+    if (isObject(entity) && isNumber(entity.timestamp)) {
+      timestamp = entity.timestamp;
+    }
+
+    return timestamp;
+  }
+
+  async performReadBlacklistEntry(args) {
+    const { address } = args;
+
+    const entry = this.entities[BLACKLIST].get(address);
+    return isObject(entry) ? { ...entry } : null;
+  }
+
+  async performPutBlacklistEntry(entry) {
+    this.entities[BLACKLIST].set(entry.address, { ...entry });
+  }
+
+  async performDeleteBlacklistEntry(args) {
+    const { address } = args;
+    this.entities[BLACKLIST].delete(address);
+  }
+
+  async performListBlacklistEntries(args) {
+    const { startAfter, limit } = args;
+
+    const entries = [...this.entities[BLACKLIST].values()]
+      .filter(entry => startAfter === null || entry.address > startAfter)
+      .sort((a, b) => (a.address < b.address ? -1 : 1));
+    return entries.slice(0, limit).map(entry => ({ ...entry }));
+  }
+
+  async performAddBlacklistAudit(audit) {
+    this.entities[BLACKLIST_AUDIT].set(audit.id, { ...audit });
+  }
+
+  async performListBlacklistAudits(args) {
+    const { address, limit } = args;
+
+    // The latest first.
+    const audits = [...this.entities[BLACKLIST_AUDIT].values()]
+      .filter(audit => address === null || audit.address === address)
+      .sort((a, b) => b.createDate - a.createDate);
+    return audits.slice(0, limit).map(audit => ({ ...audit }));
+  }
+
+  async performPutOutboxEntry(entry) {
+    this.entities[OUTBOX].set(entry.id, { ...entry });
+  }
+
+  async performDeleteOutboxEntry(args) {
+    const { id } = args;
+    this.entities[OUTBOX].delete(id);
+  }
+
+  async performListOutboxEntries(args) {
+    const { dueDate, limit } = args;
+
+    const entries = [...this.entities[OUTBOX].values()]
+      .filter(entry => !isNumber(dueDate) || entry.nextAttemptDate <= dueDate)
+      .sort((a, b) => a.nextAttemptDate - b.nextAttemptDate);
+    return entries.slice(0, limit).map(entry => ({ ...entry }));
+  }
+
+  async performClaimOutboxEntry(args) {
+    const { id, dueDate, nextAttemptDate } = args;
+
+    const entry = this.entities[OUTBOX].get(id);
+    if (!isObject(entry) || entry.nextAttemptDate > dueDate) return false;
+
+    this.entities[OUTBOX].set(id, { ...entry, updateDate: Date.now(), nextAttemptDate });
+    return true;
+  }
+
+  async performAddFileLogs(args) {
+    const { fileLogs } = args;
+
+    // A redelivered task keeps the addDate of its file logs, for the change feed
+    //   not to list them again after a cursor.
+    const addDate = Date.now();
+    for (const fileLog of fileLogs) {
+      const id = getFileLogId(fileLog);
+      if (this.entities[FILE_LOG].has(id)) continue;
+      this.entities[FILE_LOG].set(id, { ...fileLog, addDate });
+    }
+  }
+
+  async performListFileLogs(args) {
+    const { address, startDate, startId, limit } = args;
+
+    const fileLogs = [];
+    for (const [id, fileLog] of this.entities[FILE_LOG]) {
+      if (getAddressFromPath(fileLog.path) !== address) continue;
+      if (fileLog.addDate < startDate) continue;
+      if (fileLog.addDate === startDate && startId !== null && id <= startId) continue;
+      fileLogs.push({ ...fileLog, id });
+    }
+    fileLogs.sort((a, b) => a.addDate - b.addDate || (a.id < b.id ? -1 : 1));
+    return fileLogs.slice(0, limit);
+  }
+
+  async performReadUsage(args) {
+    const { address } = args;
+
+    const entity = this.entities[USAGE].get(address);
+
+    const usage = { nBytes: 0, nObjects: 0, tier: null, isComputed: false };
+    if (isObject(entity)) {
+      if (isNumber(entity.nBytes)) usage.nBytes = entity.nBytes;
+      if (isNumber(entity.nObjects)) usage.nObjects = entity.nObjects;
+      if (isString(entity.tier)) usage.tier = entity.tier;
+      usage.isComputed = !!entity.computeDate;
+    }
+
+    return usage;
+  }
+
+  async performUpdateUsage(args) {
+    const { address, bytesChange, objectsChange } = args;
+
+    const date = new Date();
+    const oEy = this.entities[USAGE].get(address);
+    const entity = isObject(oEy) ? { ...oEy } : { createDate: date };
+    entity.nBytes = Math.max((isNumber(entity.nBytes) ? entity.nBytes : 0) + bytesChange, 0);
+    entity.nObjects = Math.max(
+      (isNumber(entity.nObjects) ? entity.nObjects : 0) + objectsChange, 0
+    );
+    entity.updateDate = date;
+    this.entities[USAGE].set(address, entity);
+  }
+
+  async performInitUsage(args) {
+    const { address, nBytes, nObjects } = args;
+
+    const date = new Date();
+    const oEy = this.entities[USAGE].get(address);
+    if (isObject(oEy) && oEy.computeDate) return;
+
+    const entity = isObject(oEy) ? { ...oEy } : { createDate: date };
+    entity.nBytes = nBytes;
+    entity.nObjects = nObjects;
+    entity.computeDate = date;
+    entity.updateDate = date;
+    this.entities[USAGE].set(address, entity);
+  }
+
+  async performPutUpload(upload) {
+    this.entities[UPLOAD].set(upload.id, { ...upload });
+  }
+
+  async performReadUpload(args) {
+    const { id } = args;
+
+    const upload = this.entities[UPLOAD].get(id);
+    return isObject(upload) ? { ...upload } : null;
+  }
+
+  async performDeleteUpload(args) {
+    const { id } = args;
+    this.entities[UPLOAD].delete(id);
+  }
+
+  async performListUploads(args) {
+    const { expireDate, limit } = args;
+
+    const uploads = [...this.entities[UPLOAD].values()]
+      .filter(upload => upload.expireDate <= expireDate)
+      .sort((a, b) => a.expireDate - b.expireDate);
+    return uploads.slice(0, limit).map(upload => ({ ...upload }));
+  }
+
+  async performClaimIdempotencyRecord(record) {
+    const oRecord = this.entities[IDEMPOTENCY].get(record.id);
+    if (isObject(oRecord) && oRecord.expireDate > record.createDate) return { ...oRecord };
+
+    this.entities[IDEMPOTENCY].set(record.id, { ...record });
+    return null;
+  }
+
+  async performPutIdempotencyRecord(record) {
+    this.entities[IDEMPOTENCY].set(record.id, { ...record });
+  }
+
+  async performDeleteIdempotencyRecord(args) {
+    const { id } = args;
+    this.entities[IDEMPOTENCY].delete(id);
+  }
+
+  async performListIdempotencyRecords(args) {
+    const { expireDate, limit } = args;
+
+    const records = [...this.entities[IDEMPOTENCY].values()]
+      .filter(record => record.expireDate <= expireDate)
+      .sort((a, b) => a.expireDate - b.expireDate);
+    return records.slice(0, limit).map(record => ({ ...record }));
+  }
+
+  async performPutSubscribeTicket(ticket) {
+    this.entities[SUBSCRIBE_TICKET].set(ticket.id, { ...ticket });
+  }
+
+  async performTakeSubscribeTicket(args) {
+    const { id } = args;
+
+    const ticket = this.entities[SUBSCRIBE_TICKET].get(id);
+    if (!isObject(ticket)) return null;
+
+    this.entities[SUBSCRIBE_TICKET].delete(id);
+    return { ...ticket };
+  }
+
+  async performListSubscribeTickets(args) {
+    const { expireDate, limit } = args;
+
+    const tickets = [...this.entities[SUBSCRIBE_TICKET].values()]
+      .filter(ticket => ticket.expireDate <= expireDate)
+      .sort((a, b) => a.expireDate - b.expireDate);
+    return tickets.slice(0, limit).map(ticket => ({ ...ticket }));
+  }
+
+  async performPutWebhook(webhook) {
+    this.entities[WEBHOOK].set(webhook.id, { ...webhook });
+  }
+
+  async performReadWebhook(args) {
+    const { id } = args;
+
+    const webhook = this.entities[WEBHOOK].get(id);
+    return isObject(webhook) ? { ...webhook } : null;
+  }
+
+  async performDeleteWebhook(args) {
+    const { id } = args;
+    this.entities[WEBHOOK].delete(id);
+  }
+
+  async performListWebhooks(args) {
+    const { address } = args;
+
+    const webhooks = [...this.entities[WEBHOOK].values()]
+      .filter(webhook => webhook.address === address)
+      .sort((a, b) => a.createDate - b.createDate);
+    return webhooks.map(webhook => ({ ...webhook }));
+  }
+
+  async performPutWebhookDelivery(delivery) {
+    this.entities[WEBHOOK_DELIVERY].set(delivery.id, { ...delivery });
+  }
+
+  async performDeleteWebhookDelivery(args) {
+    const { id } = args;
+    this.entities[WEBHOOK_DELIVERY].delete(id);
+  }
+
+  async performListWebhookDeliveries(args) {
+    const { dueDate, limit } = args;
+
+    const deliveries = [...this.entities[WEBHOOK_DELIVERY].values()]
+      .filter(delivery => delivery.nextAttemptDate <= dueDate)
+      .sort((a, b) => a.nextAttemptDate - b.nextAttemptDate);
+    return deliveries.slice(0, limit).map(delivery => ({ ...delivery }));
+  }
+
+  async performClaimWebhookDelivery(args) {
+    const { id, dueDate, nextAttemptDate } = args;
+
+    const delivery = this.entities[WEBHOOK_DELIVERY].get(id);
+    if (!isObject(delivery) || delivery.nextAttemptDate > dueDate) return false;
+
+    this.entities[WEBHOOK_DELIVERY].set(id, {
+      ...delivery, updateDate: Date.now(), nextAttemptDate,
+    });
+    return true;
+  }
+
+  async performPutWebhookDeadLetter(delivery) {
+    this.entities[WEBHOOK_DEAD_LETTER].set(delivery.id, { ...delivery });
+  }
+
+  async performReadWebhookDeadLetter(args) {
+    const { id } = args;
+
+    const delivery = this.entities[WEBHOOK_DEAD_LETTER].get(id);
+    return isObject(delivery) ? { ...delivery } : null;
+  }
+
+  async performDeleteWebhookDeadLetter(args) {
+    const { id } = args;
+    this.entities[WEBHOOK_DEAD_LETTER].delete(id);
+  }
+
+  async performListWebhookDeadLetters(args) {
+    const { address, limit } = args;
+
+    // The latest first.
+    const deliveries = [...this.entities[WEBHOOK_DEAD_LETTER].values()]
+      .filter(delivery => delivery.address === address)
+      .sort((a, b) => b.updateDate - a.updateDate);
+    return deliveries.slice(0, limit).map(delivery => ({ ...delivery }));
+  }
+}
+
+const metadataStore = MemoryMetadataStore;
+export default metadataStore;
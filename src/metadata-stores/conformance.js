@@ -0,0 +1,752 @@
+import * as assert from 'assert/strict';
+import * as crypto from 'crypto';
+import * as http from 'http';
+
+import { AuthTimestampCache } from '../revocations';
+import { BlacklistCache } from '../blacklist';
+import { NotificationManager } from '../notifications';
+import { Outbox } from '../outbox';
+import { QuotaManager } from '../quotas';
+import { Tasker } from '../tasker';
+import { WebhookManager } from '../webhooks';
+import MemoryDriver from '../drivers/MemoryDriver';
+import InProcessPubSub from '../pub-subs/InProcessPubSub';
+import { PUT_FILE, GET_FILE, CREATE_FILE, DELETE_FILE, LIST_FILES } from '../const';
+import {
+  BlacklistedError, DoesNotExist, InvalidInputError, ValidationError, QuotaExceededError,
+} from '../errors';
+import { generateUniqueID, randomString } from '../utils';
+
+/*
+ * A metadata store conformance suite, the contract AuthTimestampCache and
+ *   BlacklistCache rely on. Every case works on its own address.
+ */
+
+const cases = [];
+const addCase = (name, fn) => {
+  cases.push({ name, fn });
+};
+
+addCase('auth timestamp defaults to 0', async (metadataStore, address) => {
+  const timestamp = await metadataStore.performReadAuthTimestamp({
+    bucketAddress: address,
+  });
+  assert.equal(timestamp, 0);
+});
+
+addCase('auth timestamp only moves forward', async (metadataStore, address) => {
+  await metadataStore.performWriteAuthTimestamp({ bucketAddress: address, timestamp: 10 });
+  await metadataStore.performWriteAuthTimestamp({ bucketAddress: address, timestamp: 5 });
+  assert.equal(
+    await metadataStore.performReadAuthTimestamp({ bucketAddress: address }), 10
+  );
+
+  await metadataStore.performWriteAuthTimestamp({ bucketAddress: address, timestamp: 20 });
+  assert.equal(
+    await metadataStore.performReadAuthTimestamp({ bucketAddress: address }), 20
+  );
+});
+
+addCase('concurrent auth timestamps keep the newest', async (metadataStore, address) => {
+  await Promise.all([30, 10, 50, 20].map(timestamp => {
+    return metadataStore.performWriteAuthTimestamp({ bucketAddress: address, timestamp });
+  }));
+  assert.equal(
+    await metadataStore.performReadAuthTimestamp({ bucketAddress: address }), 50
+  );
+});
+
+addCase('blacklist entry defaults to null', async (metadataStore, address) => {
+  assert.equal(await metadataStore.performReadBlacklistEntry({ address }), null);
+});
+
+addCase('blacklist entries and audits can be put, read, listed and deleted', async (metadataStore, address) => {
+  const now = Date.now();
+  const entries = ['a', 'b'].map(suffix => ({
+    address: `${address}${suffix}`,
+    type: 1,
+    policy: null,
+    reason: 'spam',
+    expireDate: null,
+    createDate: now,
+    updateDate: now,
+  }));
+  await metadataStore.performPutBlacklistEntry(entries[1]);
+  const policy = { [DELETE_FILE]: { isAllowed: false, reason: null, expireDate: now } };
+  await metadataStore.performPutBlacklistEntry({ ...entries[0], type: 0, policy });
+
+  assert.deepEqual(
+    await metadataStore.performReadBlacklistEntry({ address: entries[0].address }),
+    { ...entries[0], type: 0, policy }
+  );
+  await metadataStore.performPutBlacklistEntry(entries[0]);
+  assert.deepEqual(
+    await metadataStore.performListBlacklistEntries({ startAfter: address, limit: 2 }),
+    entries
+  );
+  assert.deepEqual(
+    await metadataStore.performListBlacklistEntries({
+      startAfter: entries[0].address, limit: 1,
+    }),
+    [entries[1]]
+  );
+
+  await metadataStore.performDeleteBlacklistEntry({ address: entries[0].address });
+  await metadataStore.performDeleteBlacklistEntry({ address: entries[1].address });
+  assert.equal(
+    await metadataStore.performReadBlacklistEntry({ address: entries[0].address }), null
+  );
+
+  const audits = [0, 1].map(i => ({
+    id: `${now + i}-${address}`,
+    address,
+    action: i === 0 ? 'add' : 'remove',
+    before: i === 0 ? null : entries[0],
+    after: i === 0 ? entries[0] : null,
+    actor: null,
+    createDate: now + i,
+  }));
+  await metadataStore.performAddBlacklistAudit(audits[0]);
+  await metadataStore.performAddBlacklistAudit(audits[1]);
+  assert.deepEqual(
+    await metadataStore.performListBlacklistAudits({ address, limit: 10 }),
+    [audits[1], audits[0]]
+  );
+});
+
+addCase('AuthTimestampCache reads and writes through', async (metadataStore, address) => {
+  const cache = new AuthTimestampCache(metadataStore, 10);
+  assert.equal(await cache.getAuthTimestamp(address), 0);
+
+  await cache.setAuthTimestamp(address, 100);
+  assert.equal(await cache.getAuthTimestamp(address), 100);
+
+  const nCache = new AuthTimestampCache(metadataStore, 10);
+  assert.equal(await nCache.getAuthTimestamp(address), 100);
+});
+
+addCase('BlacklistCache allows by default', async (metadataStore, address) => {
+  const cache = new BlacklistCache(metadataStore, 10);
+  assert.equal(await cache.isBlacklisted(address, PUT_FILE), false);
+});
+
+addCase('BlacklistCache applies and audits changes right away', async (metadataStore, address) => {
+  // Two hub instances sharing a pub/sub.
+  const pubSub = new InProcessPubSub({});
+  const cache = new BlacklistCache(metadataStore, 10, pubSub);
+  const otherCache = new BlacklistCache(metadataStore, 10, pubSub);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(await otherCache.isBlacklisted(address, PUT_FILE), false);
+
+  await cache.putEntry(address, 2, null, 'spam', null, 'abuse@example.com');
+  assert.equal(await otherCache.isBlacklisted(address, PUT_FILE), true);
+  assert.equal(await otherCache.isBlacklisted(address, GET_FILE), false);
+
+  // Audits are listed by their time in milliseconds.
+  await new Promise(resolve => setTimeout(resolve, 2));
+  await cache.putEntry(address, 1, null, 'spam', Date.now() + 60 * 1000, null);
+  assert.equal(await otherCache.isBlacklisted(address, GET_FILE), true);
+
+  await new Promise(resolve => setTimeout(resolve, 2));
+  await cache.deleteEntry(address, null);
+  assert.equal(await otherCache.isBlacklisted(address, PUT_FILE), false);
+  await assert.rejects(cache.deleteEntry(address, null), DoesNotExist);
+  await assert.rejects(cache.putEntry(address, 3, null, null, null, null), InvalidInputError);
+  await assert.rejects(cache.putEntry(address, 1, null, null, 1, null), InvalidInputError);
+
+  const audits = await cache.listAudits(address, 10);
+  assert.deepEqual(audits.map(audit => audit.action), ['remove', 'update', 'add']);
+  assert.equal(audits[2].actor, 'abuse@example.com');
+  assert.equal(audits[1].before.type, 2);
+  assert.equal(audits[1].after.type, 1);
+
+  // An expired entry doesn't apply anymore.
+  await metadataStore.performPutBlacklistEntry({
+    address, type: 1, policy: null, reason: null, expireDate: Date.now() - 1000,
+    createDate: Date.now(), updateDate: Date.now(),
+  });
+  await cache.invalidate(address);
+  assert.equal(await otherCache.isBlacklisted(address, PUT_FILE), false);
+  await metadataStore.performDeleteBlacklistEntry({ address });
+  await pubSub.dispose();
+});
+
+addCase('BlacklistCache applies a policy per operation', async (metadataStore, address) => {
+  const cache = new BlacklistCache(metadataStore, 10);
+  const now = Date.now();
+
+  await assert.rejects(
+    cache.putEntry(address, 1, { '*': { isAllowed: false } }, null, null, null),
+    InvalidInputError
+  );
+  await assert.rejects(
+    cache.putEntry(address, null, { readFile: { isAllowed: false } }, null, null, null),
+    InvalidInputError
+  );
+  await assert.rejects(
+    cache.putEntry(address, null, { [PUT_FILE]: { isAllowed: 'no' } }, null, null, null),
+    InvalidInputError
+  );
+
+  const entry = await cache.putEntry(address, null, {
+    '*': { isAllowed: false },
+    [GET_FILE]: { isAllowed: true },
+    [DELETE_FILE]: { isAllowed: false, reason: 'cleanup', expireDate: now + 60 * 1000 },
+    [LIST_FILES]: { isAllowed: false, expireDate: now + 60 * 1000 },
+  }, 'abuse', null, null);
+  assert.equal(entry.type, 0);
+  assert.deepEqual(
+    await metadataStore.performReadBlacklistEntry({ address }), entry
+  );
+
+  assert.equal(await cache.isBlacklisted(address, PUT_FILE), true);
+  assert.equal(await cache.isBlacklisted(address, GET_FILE), false);
+  assert.equal(await cache.isBlacklisted(address, DELETE_FILE), true);
+
+  const error = await cache.checkBlacklisted(address, DELETE_FILE).catch(e => e);
+  assert.ok(error instanceof BlacklistedError);
+  assert.equal(error.operation, DELETE_FILE);
+  assert.deepEqual(error.policy[DELETE_FILE], {
+    isAllowed: false, reason: 'cleanup', expireDate: now + 60 * 1000,
+  });
+  assert.deepEqual(error.policy['*'], { isAllowed: false, reason: 'abuse', expireDate: null });
+  await cache.checkBlacklisted(address, GET_FILE);
+
+  // An expired rule falls back to the one of all operations.
+  await metadataStore.performPutBlacklistEntry({
+    ...entry,
+    policy: {
+      '*': { isAllowed: true, reason: null, expireDate: null },
+      [PUT_FILE]: { isAllowed: false, reason: null, expireDate: now - 1000 },
+    },
+  });
+  await cache.invalidate(address);
+  assert.equal(await cache.isBlacklisted(address, PUT_FILE), false);
+  assert.deepEqual(Object.keys((await cache.getBlacklistRule(address, PUT_FILE)).policy), ['*']);
+
+  await cache.deleteEntry(address, null);
+});
+
+const createOutboxEntry = (address, nextAttemptDate) => {
+  const now = Date.now();
+  const entry = {
+    id: `${address}-${randomString(8)}`,
+    backupPaths: [`${address}/a.txt`],
+    fileLogs: [],
+    nAttempts: 0,
+    lastError: null,
+    createDate: now,
+    updateDate: now,
+    nextAttemptDate,
+  };
+  return entry;
+};
+
+addCase('outbox entries can be put, listed and deleted', async (metadataStore, address) => {
+  const now = Date.now();
+  const dueEntry = createOutboxEntry(address, now - 1000);
+  const laterEntry = createOutboxEntry(address, now + 60 * 1000);
+  await metadataStore.performPutOutboxEntry(laterEntry);
+  await metadataStore.performPutOutboxEntry(dueEntry);
+
+  let entries = await metadataStore.performListOutboxEntries({ dueDate: now, limit: 1000 });
+  entries = entries.filter(entry => entry.id.startsWith(address));
+  assert.deepEqual(entries, [dueEntry]);
+
+  entries = await metadataStore.performListOutboxEntries({ dueDate: null, limit: 1000 });
+  entries = entries.filter(entry => entry.id.startsWith(address));
+  assert.deepEqual(entries.map(entry => entry.id), [dueEntry.id, laterEntry.id]);
+
+  await metadataStore.performDeleteOutboxEntry({ id: dueEntry.id });
+  await metadataStore.performDeleteOutboxEntry({ id: laterEntry.id });
+  entries = await metadataStore.performListOutboxEntries({ dueDate: null, limit: 1000 });
+  assert.equal(entries.filter(entry => entry.id.startsWith(address)).length, 0);
+});
+
+addCase('outbox entries can be claimed once', async (metadataStore, address) => {
+  const now = Date.now();
+  const entry = createOutboxEntry(address, now - 1000);
+  await metadataStore.performPutOutboxEntry(entry);
+
+  const args = { id: entry.id, dueDate: now, nextAttemptDate: now + 60 * 1000 };
+  assert.equal(await metadataStore.performClaimOutboxEntry(args), true);
+  assert.equal(await metadataStore.performClaimOutboxEntry(args), false);
+  assert.equal(
+    await metadataStore.performClaimOutboxEntry({ ...args, id: `${address}-none` }), false
+  );
+
+  await metadataStore.performDeleteOutboxEntry({ id: entry.id });
+});
+
+addCase('uploads can be put, read, listed and deleted', async (metadataStore, address) => {
+  const now = Date.now();
+  const upload = {
+    id: `${address}-upload`,
+    address,
+    path: 'a.txt',
+    contentType: 'text/plain',
+    contentLength: null,
+    createDate: now - 2000,
+    expireDate: now - 1000,
+  };
+  await metadataStore.performPutUpload(upload);
+  assert.deepEqual(await metadataStore.performReadUpload({ id: upload.id }), upload);
+  assert.equal(await metadataStore.performReadUpload({ id: `${address}-none` }), null);
+
+  let uploads = await metadataStore.performListUploads({ expireDate: now, limit: 1000 });
+  assert.deepEqual(uploads.filter(upload => upload.address === address), [upload]);
+  uploads = await metadataStore.performListUploads({ expireDate: now - 5000, limit: 1000 });
+  assert.equal(uploads.filter(upload => upload.address === address).length, 0);
+
+  await metadataStore.performDeleteUpload({ id: upload.id });
+  assert.equal(await metadataStore.performReadUpload({ id: upload.id }), null);
+});
+
+addCase('idempotency records are claimed once until expired', async (metadataStore, address) => {
+  const now = Date.now();
+  const record = {
+    id: `${address}/key`,
+    address,
+    fingerprint: null,
+    response: null,
+    createDate: now,
+    expireDate: now + 60000,
+  };
+  assert.equal(await metadataStore.performClaimIdempotencyRecord(record), null);
+  assert.deepEqual(
+    await metadataStore.performClaimIdempotencyRecord({ ...record, createDate: now + 1 }),
+    record
+  );
+
+  const completed = { ...record, fingerprint: 'f', response: '[]', expireDate: now - 1000 };
+  await metadataStore.performPutIdempotencyRecord(completed);
+  let records = await metadataStore.performListIdempotencyRecords({
+    expireDate: now, limit: 1000,
+  });
+  assert.deepEqual(records.filter(record => record.address === address), [completed]);
+
+  // An expired record can be claimed again.
+  assert.equal(await metadataStore.performClaimIdempotencyRecord(record), null);
+  records = await metadataStore.performListIdempotencyRecords({ expireDate: now, limit: 1000 });
+  assert.equal(records.filter(record => record.address === address).length, 0);
+
+  await metadataStore.performDeleteIdempotencyRecord({ id: record.id });
+  assert.equal(await metadataStore.performClaimIdempotencyRecord(record), null);
+});
+
+addCase('file logs are listed by address in the order they are added', async (metadataStore, address) => {
+  const createFileLog = (path, action, createDT) => {
+    return { path, assoIssAddress: null, action, size: 1, sizeChange: 1, createDT };
+  };
+  await metadataStore.performAddFileLogs({
+    fileLogs: [
+      createFileLog(`${address}/a.txt`, CREATE_FILE, 1),
+      createFileLog(`${address}/b.txt`, CREATE_FILE, 2),
+      createFileLog(`${address}x/c.txt`, CREATE_FILE, 3),
+    ],
+  });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await metadataStore.performAddFileLogs({
+    fileLogs: [createFileLog(`${address}/a.txt`, DELETE_FILE, 4)],
+  });
+
+  const fileLogs = await metadataStore.performListFileLogs({
+    address, startDate: 0, startId: null, limit: 10,
+  });
+  assert.deepEqual(fileLogs.map(fileLog => fileLog.createDT).slice(0, 2).sort(), [1, 2]);
+  assert.deepEqual(fileLogs.map(fileLog => fileLog.action), [
+    CREATE_FILE, CREATE_FILE, DELETE_FILE,
+  ]);
+
+  const [first, second] = fileLogs;
+  let nextFileLogs = await metadataStore.performListFileLogs({
+    address, startDate: first.addDate, startId: first.id, limit: 10,
+  });
+  assert.deepEqual(nextFileLogs, fileLogs.slice(1));
+  nextFileLogs = await metadataStore.performListFileLogs({
+    address, startDate: second.addDate, startId: second.id, limit: 1,
+  });
+  assert.deepEqual(nextFileLogs, fileLogs.slice(2));
+
+  // A redelivered task's file logs stay where they were.
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await metadataStore.performAddFileLogs({
+    fileLogs: [createFileLog(`${address}/a.txt`, CREATE_FILE, 1)],
+  });
+  assert.deepEqual(
+    await metadataStore.performListFileLogs({
+      address, startDate: 0, startId: null, limit: 10,
+    }),
+    fileLogs
+  );
+});
+
+addCase('Outbox redelivers failed tasks', async (metadataStore, address) => {
+  const received = [];
+  let nFailures = 1;
+  const taskDispatcher = {
+    dispatch: async (backupPaths, fileLogs) => {
+      if (nFailures > 0) {
+        nFailures -= 1;
+        throw new Error('Dispatcher failed on purpose');
+      }
+      received.push({ backupPaths, fileLogs });
+    },
+  };
+  const outbox = new Outbox(metadataStore, taskDispatcher, {
+    outboxFlushInterval: 0, outboxMaxRetryDelay: 1,
+  });
+
+  const backupPaths = [`${address}/a.txt`];
+  await outbox.dispatch(backupPaths, []);
+  assert.equal(received.length, 0);
+
+  const [entry] = (await outbox.listEntries(1000)).filter(entry => {
+    return entry.backupPaths[0] === backupPaths[0];
+  });
+  assert.equal(entry.nAttempts, 1);
+  assert.ok(entry.lastError.includes('on purpose'));
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await outbox.flush();
+  assert.deepEqual(received, [{ backupPaths, fileLogs: [] }]);
+
+  const entries = (await outbox.listEntries(1000)).filter(entry => {
+    return entry.backupPaths[0] === backupPaths[0];
+  });
+  assert.equal(entries.length, 0);
+});
+
+addCase('webhooks can be put, read, listed and deleted', async (metadataStore, address) => {
+  const now = Date.now();
+  const webhooks = [0, 1].map(i => ({
+    id: `${address}w${i}`,
+    address,
+    url: `https://example.com/hook${i}`,
+    prefix: '',
+    secret: 'secret',
+    createDate: now + i,
+    updateDate: now + i,
+  }));
+  await metadataStore.performPutWebhook(webhooks[1]);
+  await metadataStore.performPutWebhook(webhooks[0]);
+
+  assert.deepEqual(await metadataStore.performReadWebhook({ id: webhooks[0].id }), webhooks[0]);
+  assert.deepEqual(await metadataStore.performListWebhooks({ address }), webhooks);
+  assert.deepEqual(await metadataStore.performListWebhooks({ address: `${address}x` }), []);
+
+  await metadataStore.performDeleteWebhook({ id: webhooks[0].id });
+  await metadataStore.performDeleteWebhook({ id: webhooks[1].id });
+  assert.equal(await metadataStore.performReadWebhook({ id: webhooks[0].id }), null);
+  assert.deepEqual(await metadataStore.performListWebhooks({ address }), []);
+});
+
+addCase('webhook deliveries are claimed once and kept as dead letters', async (metadataStore, address) => {
+  const now = Date.now();
+  const delivery = {
+    id: `${address}d`,
+    webhookId: `${address}w`,
+    address,
+    events: [{ path: 'a.txt', action: CREATE_FILE, etag: null, size: 1 }],
+    nAttempts: 0,
+    lastError: null,
+    createDate: now,
+    updateDate: now,
+    nextAttemptDate: now - 1000,
+  };
+  await metadataStore.performPutWebhookDelivery(delivery);
+
+  let deliveries = await metadataStore.performListWebhookDeliveries({
+    dueDate: now, limit: 1000,
+  });
+  assert.deepEqual(deliveries.filter(d => d.address === address), [delivery]);
+
+  const args = { id: delivery.id, dueDate: now, nextAttemptDate: now + 60 * 1000 };
+  assert.equal(await metadataStore.performClaimWebhookDelivery(args), true);
+  assert.equal(await metadataStore.performClaimWebhookDelivery(args), false);
+
+  await metadataStore.performDeleteWebhookDelivery({ id: delivery.id });
+  deliveries = await metadataStore.performListWebhookDeliveries({
+    dueDate: now + 2 * 60 * 1000, limit: 1000,
+  });
+  assert.equal(deliveries.filter(d => d.address === address).length, 0);
+
+  const laterDelivery = { ...delivery, id: `${address}e`, updateDate: now + 1 };
+  await metadataStore.performPutWebhookDeadLetter(delivery);
+  await metadataStore.performPutWebhookDeadLetter(laterDelivery);
+  assert.deepEqual(
+    await metadataStore.performReadWebhookDeadLetter({ id: delivery.id }), delivery
+  );
+  assert.deepEqual(
+    await metadataStore.performListWebhookDeadLetters({ address, limit: 1000 }),
+    [laterDelivery, delivery]
+  );
+
+  await metadataStore.performDeleteWebhookDeadLetter({ id: delivery.id });
+  await metadataStore.performDeleteWebhookDeadLetter({ id: laterDelivery.id });
+  assert.equal(await metadataStore.performReadWebhookDeadLetter({ id: delivery.id }), null);
+});
+
+addCase('WebhookManager posts signed changes and keeps dead letters', async (metadataStore, address) => {
+  const received = [];
+  let nFailures = 2;
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      if (nFailures > 0) {
+        nFailures -= 1;
+        res.writeHead(500).end();
+        return;
+      }
+      received.push({ signature: req.headers['sdrive-signature'], body });
+      res.writeHead(200).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const webhooks = new WebhookManager(metadataStore, {
+      webhookSettings: {
+        flushInterval: 0, maxAttempts: 2, maxRetryDelay: 1,
+        allowHttp: true, allowPrivateAddresses: true,
+      },
+    });
+    const url = `http://127.0.0.1:${receiver.address().port}/`;
+    const { id, secret } = await webhooks.addWebhook(address, url, 'docs/');
+    assert.deepEqual(
+      (await webhooks.listWebhooks(address)).map(webhook => webhook.id), [id]
+    );
+
+    const fileLogs = [
+      { path: `${address}/docs/a.txt`, action: CREATE_FILE, etag: '"e1"', size: 1 },
+      { path: `${address}/b.txt`, action: CREATE_FILE, etag: '"e2"', size: 1 },
+    ];
+    const waitFor = async (fn) => {
+      for (let i = 0; i < 100 && !(await fn()); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    };
+
+    // Fails twice, up to maxAttempts, then is redelivered from the dead letters.
+    await webhooks.dispatch(fileLogs);
+    await waitFor(async () => {
+      const deliveries = await metadataStore.performListWebhookDeliveries({
+        dueDate: Date.now(), limit: 1000,
+      });
+      return deliveries.some(d => d.address === address && d.nAttempts === 1);
+    });
+    await webhooks.flush();
+    const [deadLetter] = await webhooks.listDeadLetters(address, 10);
+    assert.equal(deadLetter.nAttempts, 2);
+    assert.deepEqual(deadLetter.events.map(event => event.path), ['docs/a.txt']);
+
+    assert.deepEqual(await webhooks.redeliver(address, deadLetter.id), { isDelivered: true });
+    assert.deepEqual(await webhooks.listDeadLetters(address, 10), []);
+    await assert.rejects(webhooks.redeliver(address, deadLetter.id), DoesNotExist);
+
+    const [{ signature, body }] = received;
+    const [, timestamp, hmac] = signature.match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    assert.equal(
+      hmac,
+      crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+    );
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, deadLetter.id);
+    assert.equal(payload.address, address);
+    assert.deepEqual(payload.events[0].etag, '"e1"');
+
+    await webhooks.deleteWebhook(address, id);
+    await assert.rejects(webhooks.deleteWebhook(address, id), DoesNotExist);
+    await assert.rejects(
+      webhooks.addWebhook(address, 'ftp://example.com/', ''), InvalidInputError
+    );
+  } finally {
+    await new Promise(resolve => receiver.close(resolve));
+  }
+});
+
+addCase('WebhookManager rejects internal addresses', async (metadataStore, address) => {
+  let nReceived = 0;
+  const receiver = http.createServer((req, res) => {
+    nReceived += 1;
+    res.writeHead(200).end();
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const webhooks = new WebhookManager(metadataStore, {
+      webhookSettings: { flushInterval: 0, maxAttempts: 1, allowHttp: true },
+    });
+    await webhooks.validateUrl('https://8.8.8.8/');
+    await webhooks.validateUrl('https://[2001:4860:4860::8888]/');
+    for (const url of [
+      'https://127.0.0.1/', 'https://localhost/', 'https://10.1.2.3/',
+      'https://172.16.0.1/', 'https://192.168.1.1/', 'https://169.254.169.254/',
+      'https://0.0.0.0/', 'https://[::1]/', 'https://[fd00::1]/',
+      'https://[fe80::1]/', 'https://[::ffff:127.0.0.1]/', 'https://2130706433/',
+    ]) {
+      await assert.rejects(webhooks.addWebhook(address, url, ''), InvalidInputError, url);
+    }
+    assert.deepEqual(await webhooks.listWebhooks(address), []);
+
+    // e.g. added before its host resolves to an internal address.
+    const webhook = {
+      id: generateUniqueID(),
+      address,
+      url: `http://127.0.0.1:${receiver.address().port}/`,
+      prefix: '',
+      secret: 'secret',
+      createDate: Date.now(),
+      updateDate: Date.now(),
+    };
+    await metadataStore.performPutWebhook(webhook);
+    await webhooks.dispatch([
+      { path: `${address}/a.txt`, action: CREATE_FILE, etag: '"e1"', size: 1 },
+    ]);
+    for (let i = 0; i < 100; i++) {
+      if ((await webhooks.listDeadLetters(address, 10)).length > 0) break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    const [deadLetter] = await webhooks.listDeadLetters(address, 10);
+    assert.match(deadLetter.lastError, /not a public address/);
+    assert.equal(nReceived, 0);
+
+    await metadataStore.performDeleteWebhook({ id: webhook.id });
+    await metadataStore.performDeleteWebhookDeadLetter({ id: deadLetter.id });
+  } finally {
+    await new Promise(resolve => receiver.close(resolve));
+  }
+});
+
+addCase('subscribe tickets are taken once', async (metadataStore, address) => {
+  const now = Date.now();
+  const ticket = {
+    id: crypto.randomBytes(32).toString('hex'), address, createDate: now, expireDate: now - 1,
+  };
+  await metadataStore.performPutSubscribeTicket(ticket);
+
+  const tickets = await metadataStore.performListSubscribeTickets({
+    expireDate: now, limit: 1000,
+  });
+  assert.deepEqual(tickets.filter(t => t.address === address), [ticket]);
+
+  assert.deepEqual(await metadataStore.performTakeSubscribeTicket({ id: ticket.id }), ticket);
+  assert.equal(await metadataStore.performTakeSubscribeTicket({ id: ticket.id }), null);
+});
+
+addCase('NotificationManager tickets are for one address and one use', async (metadataStore, address) => {
+  const notifications = new NotificationManager(new InProcessPubSub(), metadataStore, {
+    notificationSettings: { sweepInterval: 0 },
+  });
+
+  const { ticket, expireDate } = await notifications.createTicket(address);
+  assert.ok(expireDate > Date.now());
+  await notifications.takeTicket(address, ticket);
+  await assert.rejects(notifications.takeTicket(address, ticket), ValidationError);
+
+  const { ticket: otherTicket } = await notifications.createTicket(address);
+  await assert.rejects(notifications.takeTicket(`${address}x`, otherTicket), ValidationError);
+  await assert.rejects(notifications.takeTicket(address, 'x'), ValidationError);
+});
+
+addCase('usage defaults to 0 and adds up', async (metadataStore, address) => {
+  assert.deepEqual(
+    await metadataStore.performReadUsage({ address }),
+    { nBytes: 0, nObjects: 0, tier: null, isComputed: false }
+  );
+
+  await Promise.all([
+    metadataStore.performUpdateUsage({ address, bytesChange: 10, objectsChange: 1 }),
+    metadataStore.performUpdateUsage({ address, bytesChange: 5, objectsChange: 1 }),
+  ]);
+  await metadataStore.performUpdateUsage({ address, bytesChange: -3, objectsChange: -1 });
+  assert.deepEqual(
+    await metadataStore.performReadUsage({ address }),
+    { nBytes: 12, nObjects: 1, tier: null, isComputed: false }
+  );
+});
+
+addCase('usage is initialized only once', async (metadataStore, address) => {
+  await metadataStore.performUpdateUsage({ address, bytesChange: 3, objectsChange: 1 });
+  await metadataStore.performInitUsage({ address, nBytes: 20, nObjects: 4 });
+  await metadataStore.performUpdateUsage({ address, bytesChange: 5, objectsChange: 1 });
+  await metadataStore.performInitUsage({ address, nBytes: 7, nObjects: 2 });
+  assert.deepEqual(
+    await metadataStore.performReadUsage({ address }),
+    { nBytes: 25, nObjects: 5, tier: null, isComputed: true }
+  );
+});
+
+addCase('QuotaManager counts the existing files on the first check', async (metadataStore, address) => {
+  const driver = new MemoryDriver({});
+  for (const path of ['a.txt', 'b/c.txt']) {
+    await driver.performWrite({
+      storageTopLevel: address, path, content: 'hello', contentType: 'text/plain',
+      contentLength: 5, assoIssAddress: null,
+    });
+  }
+  const quotas = new QuotaManager(driver, metadataStore, {
+    quotaSettings: { default: { maxBytes: 12, maxObjects: 10 } },
+  });
+
+  const usage = await quotas.getUsage(address);
+  assert.equal(usage.nBytes, 10);
+  assert.equal(usage.nObjects, 2);
+
+  await assert.rejects(quotas.validateWrite(address, 'd.txt', 3, false), QuotaExceededError);
+  // An unknown length can only be as big as what's left, plus the file it overwrites.
+  assert.equal(await quotas.validateWrite(address, 'd.txt', null, false), 2);
+  assert.equal(await quotas.validateWrite(address, 'a.txt', null, false), 7);
+});
+
+addCase('Tasker backs up files and adds file logs', async (metadataStore, address) => {
+  const driver = new MemoryDriver({});
+  const { backupPaths, fileLogs } = await driver.performWrite({
+    storageTopLevel: address,
+    path: 'a.txt',
+    content: 'hello',
+    contentType: 'text/plain',
+    contentLength: 5,
+    assoIssAddress: null,
+  });
+  const tasker = new Tasker(driver, metadataStore);
+
+  const payload = {
+    backupPaths: [...backupPaths, `${address}/deleted.txt`], fileLogs,
+  };
+  assert.deepEqual(await tasker.handleTask(payload), { nBackupPaths: 2, nFileLogs: 1 });
+  assert.ok(driver.backups.has(`${address}/a.txt`));
+  assert.equal(fileLogs[0].action, CREATE_FILE);
+
+  // Redelivery must be harmless.
+  await tasker.handleTask(payload);
+
+  await assert.rejects(tasker.handleTask({ backupPaths }), InvalidInputError);
+  await assert.rejects(
+    tasker.handleTask({ backupPaths: [], fileLogs: [{ path: 'a.txt' }] }),
+    InvalidInputError
+  );
+});
+
+/*
+ * Runs every case against the metadata store and logs the results.
+ *   Returns the number of failed cases.
+ */
+export const runMetadataStoreConformance = async (name, metadataStore) => {
+  await metadataStore.ensureInitialized();
+
+  let nFailed = 0;
+  for (const c of cases) {
+    const address = `test${randomString(12)}`;
+    try {
+      await c.fn(metadataStore, address);
+      console.log(`[${name}] ok - ${c.name}`);
+    } catch (error) {
+      nFailed += 1;
+      console.log(`[${name}] FAILED - ${c.name}`);
+      console.log(error);
+    }
+  }
+  return nFailed;
+};
@@ -0,0 +1,235 @@
+import busboy from 'busboy';
+import * as crypto from 'crypto';
+import * as stream from 'stream';
+
+import { PUT_FILE } from './const';
+import { InvalidInputError, PayloadTooLargeError } from './errors';
+import { isObject, isString } from './utils';
+
+const DATA_FIELD = 'data';
+
+// The names of the binary parts in the order of the operations that use them.
+const collectPartNames = (data, names) => {
+  if (!isObject(data)) return;
+  if (Array.isArray(data.values) && [true, false].includes(data.isSequential)) {
+    for (const value of data.values) collectPartNames(value, names);
+    return;
+  }
+  if (
+    data.type === PUT_FILE &&
+    data.contentEncoding === 'binary' &&
+    isString(data.content)
+  ) {
+    names.push(data.content);
+  }
+};
+
+/*
+ * Reads a multipart perform-files request as it comes, the JSON in a data field
+ *   first and then the file parts in the order of the operations using them.
+ * A part is piped to its operation, never held whole in memory, and one
+ *   not used is read through so that the parts after it can come.
+ * Every part is hashed on the way for the fingerprint of an idempotent request.
+ */
+export class MultipartParts {
+
+  constructor(maxPartSizeBytes) {
+    this.maxPartSizeBytes = maxPartSizeBytes;
+    this.names = null;
+    this.nextIndex = 0;
+    this.entries = new Map();
+    this.hash = crypto.createHash('sha256');
+    this.error = null;
+
+    this.dataPromise = new Promise((resolve, reject) => {
+      [this.resolveData, this.rejectData] = [resolve, reject];
+    });
+    this.donePromise = new Promise(resolve => {
+      this.resolveDone = resolve;
+    });
+  }
+
+  /*
+   * Starts reading the request, returns the parsed data field.
+   */
+  read(requestStream, requestHeaders) {
+    let parser;
+    try {
+      parser = busboy({
+        headers: requestHeaders, limits: { fieldSize: this.maxPartSizeBytes },
+      });
+    } catch (error) {
+      throw new InvalidInputError(`Invalid multipart body: ${error.message}`);
+    }
+
+    parser.on('field', (name, value, info) => this.onField(name, value, info));
+    parser.on('file', (name, fileStream, info) => this.onFile(name, fileStream, info));
+    parser.on('close', () => this.onClose());
+    stream.pipeline(requestStream, parser, error => {
+      if (error) this.fail(error);
+    });
+
+    return this.dataPromise;
+  }
+
+  onField(name, value, info) {
+    if (name !== DATA_FIELD || this.names !== null || this.error !== null) return;
+    if (info.valueTruncated) {
+      this.fail(new PayloadTooLargeError('Invalid multipart body: data is too large'));
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(value);
+    } catch (error) {
+      this.fail(new InvalidInputError('Invalid multipart body: data must be JSON'));
+      return;
+    }
+
+    const names = [];
+    collectPartNames(data, names);
+    if (new Set(names).size !== names.length) {
+      this.fail(new InvalidInputError('Invalid data: a binary part can be used only once'));
+      return;
+    }
+
+    this.names = names;
+    for (const partName of names) {
+      const entry = { isTaken: false, isReleased: false, isArrived: false };
+      entry.promise = new Promise((resolve, reject) => {
+        [entry.resolve, entry.reject] = [resolve, reject];
+      });
+      // Not every part is waited for, e.g. after an operation failed.
+      entry.promise.catch(() => {});
+      this.entries.set(partName, entry);
+    }
+    this.resolveData(data);
+  }
+
+  onFile(name, fileStream, info) {
+    if (this.error !== null) {
+      fileStream.resume();
+      return;
+    }
+    if (this.names === null) {
+      fileStream.resume();
+      this.fail(new InvalidInputError(
+        'Invalid multipart body: data must come before the file parts'
+      ));
+      return;
+    }
+    if (name !== this.names[this.nextIndex]) {
+      fileStream.resume();
+      this.fail(new InvalidInputError(
+        `Invalid multipart body: part ${name} is not the next one used by the operations`
+      ));
+      return;
+    }
+    this.nextIndex += 1;
+    this.hash.update(name);
+
+    const content = new stream.PassThrough();
+    // Errors are for its operation, if any, as it's not always read.
+    content.on('error', () => {});
+    // If its operation is done with it, read the rest through.
+    content.on('close', () => fileStream.resume());
+
+    let size = 0;
+    fileStream.on('data', chunk => {
+      size += chunk.length;
+      this.hash.update(chunk);
+      if (content.destroyed) return;
+
+      if (size > this.maxPartSizeBytes) {
+        content.destroy(new PayloadTooLargeError(
+          `Max file upload size is ${this.maxPartSizeBytes} bytes. Rejected part ${name}`
+        ));
+        return;
+      }
+      if (!content.write(chunk)) fileStream.pause();
+    });
+    content.on('drain', () => fileStream.resume());
+    fileStream.on('end', () => content.end());
+
+    const entry = this.entries.get(name);
+    entry.isArrived = true;
+    entry.resolve({ stream: content, type: info.mimeType });
+    if (entry.isReleased) content.destroy();
+  }
+
+  onClose() {
+    if (this.names === null) {
+      this.fail(new InvalidInputError('Invalid multipart body: data must be JSON'));
+      return;
+    }
+    for (const [name, entry] of this.entries) {
+      if (!entry.isArrived) {
+        entry.reject(new InvalidInputError(`Invalid data.content: no binary part ${name}`));
+      }
+    }
+    this.resolveDone();
+  }
+
+  fail(error) {
+    if (this.error !== null) return;
+    if (!(error instanceof InvalidInputError || error instanceof PayloadTooLargeError)) {
+      error = new InvalidInputError(`Invalid multipart body: ${error.message}`);
+    }
+    this.error = error;
+
+    this.rejectData(error);
+    for (const entry of this.entries.values()) {
+      if (entry.isArrived) {
+        entry.promise.then(({ stream: content }) => content.destroy(error));
+      } else {
+        entry.reject(error);
+      }
+    }
+    this.resolveDone();
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  /*
+   * Returns { stream, type } of the part when it comes. The stream must be
+   *   read through or destroyed, or the parts after it can't come.
+   */
+  take(name) {
+    const entry = this.entries.get(name);
+    if (!entry || entry.isTaken || entry.isReleased) {
+      throw new InvalidInputError(`Invalid data.content: no binary part ${name}`);
+    }
+    entry.isTaken = true;
+    return entry.promise;
+  }
+
+  // For an operation done without taking its part.
+  release(name) {
+    const entry = this.entries.get(name);
+    if (!entry || entry.isTaken || entry.isReleased) return;
+
+    entry.isReleased = true;
+    if (entry.isArrived) entry.promise.then(({ stream: content }) => content.destroy());
+  }
+
+  releaseAll(data) {
+    const names = [];
+    collectPartNames(data, names);
+    for (const name of names) this.release(name);
+  }
+
+  // Reads the rest of the request through.
+  async finish() {
+    for (const name of this.entries.keys()) this.release(name);
+    await this.donePromise;
+  }
+
+  async digest() {
+    await this.finish();
+    if (this.error !== null) throw this.error;
+    return this.hash.digest('base64');
+  }
+}
@@ -0,0 +1,119 @@
+import * as crypto from 'crypto';
+
+import { ValidationError } from './errors';
+import { getAddressFromPath, isString } from './utils';
+
+const TICKET_REGEX = /^[0-9a-f]{64}$/;
+
+const getChannel = (address) => {
+  return `changes/${address}`;
+};
+
+/*
+ * Publishes the changes in file logs to the subscribers of their address
+ *   through a pub/sub, so that with more hub instances, a client connected to
+ *   one gets the changes made through another.
+ * An event is { path, action, size, createDT } with the path in the address.
+ * EventSource can't set headers and a token in a url would end up in logs,
+ *   so a browser subscribes with a ticket instead, single use and short-lived,
+ *   kept in the metadata store for any hub instance to take.
+ */
+export class NotificationManager {
+
+  constructor(pubSub, metadataStore, config) {
+    this.pubSub = pubSub;
+    this.metadataStore = metadataStore;
+
+    const notificationSettings = config.notificationSettings || {};
+    this.heartbeatInterval = notificationSettings.heartbeatInterval || 25 * 1000;
+    this.maxDuration = notificationSettings.maxDuration || 60 * 60 * 1000;
+    this.ticketTime = notificationSettings.ticketTime || 60 * 1000;
+    this.sweepSize = notificationSettings.sweepSize || 100;
+    this.isSweeping = false;
+
+    const sweepInterval = notificationSettings.sweepInterval;
+    if (sweepInterval !== 0) this.setupSweeper(sweepInterval || 60 * 60 * 1000);
+  }
+
+  setupSweeper(timerInterval) {
+    const sweepTimeout = setInterval(() => this.sweep(), timerInterval);
+    sweepTimeout.unref();
+  }
+
+  async publish(fileLogs) {
+    const eventsPerAddress = new Map();
+    for (const fileLog of fileLogs) {
+      const address = getAddressFromPath(fileLog.path);
+      if (!eventsPerAddress.has(address)) eventsPerAddress.set(address, []);
+      eventsPerAddress.get(address).push({
+        path: fileLog.path.slice(address.length + 1),
+        action: fileLog.action,
+        size: fileLog.size,
+        createDT: fileLog.createDT,
+      });
+    }
+
+    // The files are already written, so don't fail the request, only report.
+    for (const [address, events] of eventsPerAddress) {
+      try {
+        await this.pubSub.publish(getChannel(address), { events });
+      } catch (error) {
+        console.error('Notifications publish error', error, JSON.stringify({ address }));
+      }
+    }
+  }
+
+  subscribe(address, prefix, listener) {
+    return this.pubSub.subscribe(getChannel(address), (message) => {
+      const events = message.events.filter(event => event.path.startsWith(prefix));
+      if (events.length > 0) listener(events);
+    });
+  }
+
+  async createTicket(address) {
+    const now = Date.now();
+    const ticket = {
+      id: crypto.randomBytes(32).toString('hex'),
+      address,
+      createDate: now,
+      expireDate: now + this.ticketTime,
+    };
+    await this.metadataStore.performPutSubscribeTicket(ticket);
+
+    return { ticket: ticket.id, expireDate: ticket.expireDate };
+  }
+
+  async takeTicket(address, id) {
+    if (!isString(id) || !TICKET_REGEX.test(id)) {
+      throw new ValidationError('Invalid subscribe ticket');
+    }
+
+    const ticket = await this.metadataStore.performTakeSubscribeTicket({ id });
+    if (ticket === null || ticket.address !== address || ticket.expireDate <= Date.now()) {
+      throw new ValidationError('Invalid subscribe ticket');
+    }
+  }
+
+  async sweep() {
+    if (this.isSweeping) return;
+    this.isSweeping = true;
+
+    let nDeleted = 0;
+    try {
+      const tickets = await this.metadataStore.performListSubscribeTickets({
+        expireDate: Date.now(), limit: this.sweepSize,
+      });
+      for (const ticket of tickets) {
+        await this.metadataStore.performTakeSubscribeTicket({ id: ticket.id });
+        nDeleted += 1;
+      }
+    } catch (error) {
+      console.error('Subscribe tickets sweep error', error);
+    } finally {
+      this.isSweeping = false;
+    }
+
+    if (nDeleted > 0) console.log(`Subscribe tickets swept, deleted: ${nDeleted}`);
+    return { nDeleted };
+  }
+}
@@ -0,0 +1,115 @@
+import { generateUniqueID } from './utils';
+
+export class Outbox {
+
+  constructor(metadataStore, taskDispatcher, config) {
+    this.metadataStore = metadataStore;
+    this.taskDispatcher = taskDispatcher;
+
+    // How long an entry being delivered is hidden from other flushers.
+    this.leaseTime = config.outboxLeaseTime || 2 * 60 * 1000;
+    this.maxRetryDelay = config.outboxMaxRetryDelay || 60 * 60 * 1000;
+    this.flushSize = config.outboxFlushSize || 100;
+    this.isFlushing = false;
+
+    const flushInterval = config.outboxFlushInterval;
+    if (flushInterval !== 0) this.setupFlusher(flushInterval || 60 * 1000);
+  }
+
+  setupFlusher(timerInterval) {
+    const flushTimeout = setInterval(() => this.flush(), timerInterval);
+    flushTimeout.unref();
+  }
+
+  getRetryDelay(nAttempts) {
+    const delay = 30 * 1000 * Math.pow(2, Math.max(nAttempts - 1, 0));
+    return Math.min(delay, this.maxRetryDelay);
+  }
+
+  async dispatch(backupPaths, fileLogs) {
+    const now = Date.now();
+    const entry = {
+      id: `${now}-${generateUniqueID()}`,
+      backupPaths,
+      fileLogs,
+      nAttempts: 0,
+      lastError: null,
+      createDate: now,
+      updateDate: now,
+      nextAttemptDate: now + this.leaseTime,
+    };
+
+    try {
+      await this.metadataStore.performPutOutboxEntry(entry);
+    } catch (error) {
+      // Still try to deliver, better than losing the task right away.
+      console.error('Outbox put entry error', error);
+      await this.taskDispatcher.dispatch(backupPaths, fileLogs);
+      return;
+    }
+
+    await this.deliver(entry);
+  }
+
+  async deliver(entry) {
+    try {
+      await this.taskDispatcher.dispatch(entry.backupPaths, entry.fileLogs);
+    } catch (error) {
+      const now = Date.now(), nAttempts = entry.nAttempts + 1;
+      console.error(`Outbox deliver entry ${entry.id} error, attempt ${nAttempts}`, error);
+
+      await this.metadataStore.performPutOutboxEntry({
+        ...entry,
+        nAttempts,
+        lastError: String(error).slice(0, 999),
+        updateDate: now,
+        nextAttemptDate: now + this.getRetryDelay(nAttempts),
+      });
+      return false;
+    }
+
+    await this.metadataStore.performDeleteOutboxEntry({ id: entry.id });
+    return true;
+  }
+
+  async flush() {
+    if (this.isFlushing) return;
+    this.isFlushing = true;
+
+    let nDelivered = 0, nFailed = 0;
+    try {
+      const now = Date.now();
+      const entries = await this.metadataStore.performListOutboxEntries({
+        dueDate: now, limit: this.flushSize,
+      });
+      for (const entry of entries) {
+        const isClaimed = await this.metadataStore.performClaimOutboxEntry({
+          id: entry.id, dueDate: now, nextAttemptDate: Date.now() + this.leaseTime,
+        });
+        if (!isClaimed) continue;
+
+        const isDelivered = await this.deliver(entry);
+        if (isDelivered) nDelivered += 1;
+        else nFailed += 1;
+      }
+    } catch (error) {
+      console.error('Outbox flush error', error);
+    } finally {
+      this.isFlushing = false;
+    }
+
+    if (nDelivered > 0 || nFailed > 0) {
+      console.log(`Outbox flushed, delivered: ${nDelivered}, failed: ${nFailed}`);
+    }
+    return { nDelivered, nFailed };
+  }
+
+  async listEntries(limit) {
+    // Entries are deleted once delivered, so all of these are pending
+    //   and the ones with nAttempts > 0 have failed at least once.
+    const entries = await this.metadataStore.performListOutboxEntries({
+      dueDate: null, limit,
+    });
+    return entries;
+  }
+}
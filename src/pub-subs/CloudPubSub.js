@@ -0,0 +1,103 @@
+import { PubSub } from '@google-cloud/pubsub';
+import { EventEmitter } from 'events';
+
+import { randomString } from '../utils';
+
+/*
+ * Passes messages between hub instances through one Cloud Pub/Sub topic,
+ *   with the channel as an attribute. Every instance has its own subscription
+ *   to get every message, deleted on dispose or by Cloud Pub/Sub a day after
+ *   the instance is gone.
+ * subscribe returns a function to unsubscribe.
+ */
+class CloudPubSub {
+
+  constructor(config) {
+    const cloudPubSubSettings = config.cloudPubSubSettings || {};
+    const { project, topic } = cloudPubSubSettings;
+    if (!topic) {
+      throw new Error('Config is missing cloudPubSubSettings.topic');
+    }
+
+    this.pubSub = new PubSub(project ? { projectId: project } : {});
+    this.topicName = topic;
+    this.subscriptionName = `${topic}-${randomString(12)}`;
+    this.topic = null;
+    this.subscription = null;
+    this.initPromise = null;
+
+    this.emitter = new EventEmitter();
+    // One listener per subscribed client.
+    this.emitter.setMaxListeners(0);
+  }
+
+  ensureInitialized() {
+    if (!this.initPromise) this.initPromise = this.initialize();
+    return this.initPromise;
+  }
+
+  async initialize() {
+    const [topic] = await this.pubSub.topic(this.topicName).get({ autoCreate: true });
+    const [subscription] = await topic.createSubscription(this.subscriptionName, {
+      // Only the messages from now on matter to an instance.
+      messageRetentionDuration: { seconds: 10 * 60 },
+      expirationPolicy: { ttl: { seconds: 24 * 60 * 60 } },
+    });
+    subscription.on('message', (message) => this.handleMessage(message));
+    subscription.on('error', (error) => {
+      console.error('CloudPubSub subscription error', error);
+    });
+
+    [this.topic, this.subscription] = [topic, subscription];
+  }
+
+  handleMessage(message) {
+    // Delivered at least once, the subscribers handle a duplicate like a new one.
+    message.ack();
+
+    let data;
+    try {
+      data = JSON.parse(message.data.toString('utf8'));
+    } catch (error) {
+      console.error('CloudPubSub invalid message', error, message.id);
+      return;
+    }
+    this.emitter.emit(message.attributes.channel, data);
+  }
+
+  async dispose() {
+    this.emitter.removeAllListeners();
+    if (this.subscription) {
+      await this.subscription.close();
+      await this.subscription.delete();
+    }
+    await this.pubSub.close();
+  }
+
+  async publish(channel, message) {
+    await this.ensureInitialized();
+    await this.topic.publishMessage({
+      data: Buffer.from(JSON.stringify(message), 'utf8'), attributes: { channel },
+    });
+  }
+
+  async subscribe(channel, listener) {
+    await this.ensureInitialized();
+
+    const wrappedListener = (message) => {
+      // A failing subscriber shouldn't stop the others.
+      try {
+        listener(message);
+      } catch (error) {
+        console.error('CloudPubSub listener error', error);
+      }
+    };
+    this.emitter.on(channel, wrappedListener);
+    return async () => {
+      this.emitter.off(channel, wrappedListener);
+    };
+  }
+}
+
+const pubSub = CloudPubSub;
+export default pubSub;
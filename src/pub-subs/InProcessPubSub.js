@@ -0,0 +1,47 @@
+import { EventEmitter } from 'events';
+
+/*
+ * Passes messages between the requests of this process only, for a single
+ *   hub instance. With more instances, use a pub/sub that they all connect to,
+ *   e.g. CloudPubSub, or another with the same methods set by pubSubClass.
+ * subscribe returns a function to unsubscribe.
+ */
+class InProcessPubSub {
+
+  constructor(_config) {
+    this.emitter = new EventEmitter();
+    // One listener per subscribed client.
+    this.emitter.setMaxListeners(0);
+  }
+
+  ensureInitialized() {
+    return Promise.resolve();
+  }
+
+  dispose() {
+    this.emitter.removeAllListeners();
+    return Promise.resolve();
+  }
+
+  async publish(channel, message) {
+    this.emitter.emit(channel, message);
+  }
+
+  async subscribe(channel, listener) {
+    const wrappedListener = (message) => {
+      // A failing subscriber shouldn't stop the others.
+      try {
+        listener(message);
+      } catch (error) {
+        console.error('InProcessPubSub listener error', error);
+      }
+    };
+    this.emitter.on(channel, wrappedListener);
+    return async () => {
+      this.emitter.off(channel, wrappedListener);
+    };
+  }
+}
+
+const pubSub = InProcessPubSub;
+export default pubSub;
@@ -0,0 +1,84 @@
+import { EventEmitter } from 'events';
+
+/*
+ * An in-memory stand-in for the subset of @google-cloud/pubsub that CloudPubSub
+ *   uses, so CloudPubSub can run the conformance suite without a Google Cloud
+ *   project. Share one between CloudPubSubs for them to act as hub instances.
+ */
+
+class MockSubscription extends EventEmitter {
+
+  constructor(topic, name) {
+    super();
+    this.topic = topic;
+    this.name = name;
+    this.isOpen = true;
+  }
+
+  deliver(message) {
+    if (!this.isOpen) return;
+    // Delivered asynchronously like from a server.
+    setTimeout(() => {
+      if (this.isOpen) this.emit('message', { ...message, ack: () => {} });
+    }, 1);
+  }
+
+  async close() {
+    this.isOpen = false;
+  }
+
+  async delete() {
+    this.topic.subscriptions.delete(this.name);
+  }
+}
+
+class MockTopic {
+
+  constructor(client, name) {
+    this.client = client;
+    this.name = name;
+    this.subscriptions = new Map();
+    this.nMessages = 0;
+  }
+
+  async get(options) {
+    if (!this.client.topics.has(this.name)) {
+      if (!options || !options.autoCreate) {
+        throw new Error(`Topic not found: ${this.name}`);
+      }
+      this.client.topics.set(this.name, this);
+    }
+    return [this.client.topics.get(this.name)];
+  }
+
+  async createSubscription(name, _options) {
+    if (this.subscriptions.has(name)) {
+      throw new Error(`Subscription already exists: ${name}`);
+    }
+    const subscription = new MockSubscription(this, name);
+    this.subscriptions.set(name, subscription);
+    return [subscription];
+  }
+
+  async publishMessage({ data, attributes }) {
+    this.nMessages += 1;
+    const message = { id: String(this.nMessages), data, attributes };
+    for (const subscription of this.subscriptions.values()) {
+      subscription.deliver(message);
+    }
+    return String(this.nMessages);
+  }
+}
+
+export class MockGcPubSub {
+
+  constructor() {
+    this.topics = new Map();
+  }
+
+  topic(name) {
+    return this.topics.get(name) || new MockTopic(this, name);
+  }
+
+  async close() {}
+}
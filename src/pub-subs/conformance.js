@@ -0,0 +1,114 @@
+import * as assert from 'assert/strict';
+
+import { randomString } from '../utils';
+
+/*
+ * A pub/sub conformance suite, the contract NotificationManager relies on.
+ *   Every case works on its own channel.
+ */
+
+const waitFor = async (fn) => {
+  // Delivery can be asynchronous for a pub/sub outside of this process.
+  for (let i = 0; i < 100; i++) {
+    if (fn()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+const cases = [];
+const addCase = (name, fn) => {
+  cases.push({ name, fn });
+};
+
+addCase('publish delivers to the subscribers of the channel', async (pubSub, channel) => {
+  const received1 = [], received2 = [], receivedOther = [];
+  const unsubscribe1 = await pubSub.subscribe(channel, msg => received1.push(msg));
+  const unsubscribe2 = await pubSub.subscribe(channel, msg => received2.push(msg));
+  const unsubscribeOther = await pubSub.subscribe(`${channel}x`, msg => receivedOther.push(msg));
+
+  const message = { events: [{ path: 'a.txt' }] };
+  await pubSub.publish(channel, message);
+  await waitFor(() => received1.length > 0 && received2.length > 0);
+
+  assert.deepEqual(received1, [message]);
+  assert.deepEqual(received2, [message]);
+  assert.deepEqual(receivedOther, []);
+
+  await Promise.all([unsubscribe1(), unsubscribe2(), unsubscribeOther()]);
+});
+
+addCase('unsubscribe stops delivery', async (pubSub, channel) => {
+  const received = [], receivedKept = [];
+  const unsubscribe = await pubSub.subscribe(channel, msg => received.push(msg));
+  const unsubscribeKept = await pubSub.subscribe(channel, msg => receivedKept.push(msg));
+  await unsubscribe();
+
+  await pubSub.publish(channel, { n: 1 });
+  await waitFor(() => receivedKept.length > 0);
+
+  assert.deepEqual(received, []);
+  assert.deepEqual(receivedKept, [{ n: 1 }]);
+
+  await unsubscribeKept();
+});
+
+addCase('a failing subscriber does not stop the others', async (pubSub, channel) => {
+  const received = [];
+  const unsubscribeFailing = await pubSub.subscribe(channel, () => {
+    throw new Error('Subscriber failed on purpose');
+  });
+  const unsubscribe = await pubSub.subscribe(channel, msg => received.push(msg));
+
+  await pubSub.publish(channel, { n: 1 });
+  await waitFor(() => received.length > 0);
+  assert.deepEqual(received, [{ n: 1 }]);
+
+  await Promise.all([unsubscribeFailing(), unsubscribe()]);
+});
+
+// Only for a pub/sub shared by hub instances, otherPubSub is another instance.
+const sharedCases = [];
+
+sharedCases.push({
+  name: 'publish delivers to the subscribers of every instance',
+  fn: async (pubSub, channel, otherPubSub) => {
+    const received = [], receivedOther = [];
+    const unsubscribe = await pubSub.subscribe(channel, msg => received.push(msg));
+    const unsubscribeOther = await otherPubSub.subscribe(
+      channel, msg => receivedOther.push(msg)
+    );
+
+    await pubSub.publish(channel, { n: 1 });
+    await otherPubSub.publish(channel, { n: 2 });
+    await waitFor(() => received.length > 1 && receivedOther.length > 1);
+
+    const byN = (a, b) => a.n - b.n;
+    assert.deepEqual(received.sort(byN), [{ n: 1 }, { n: 2 }]);
+    assert.deepEqual(receivedOther.sort(byN), [{ n: 1 }, { n: 2 }]);
+
+    await Promise.all([unsubscribe(), unsubscribeOther()]);
+  },
+});
+
+/*
+ * Runs every case against the pub/sub and logs the results, and the shared
+ *   cases if otherPubSub is given. Returns the number of failed cases.
+ */
+export const runPubSubConformance = async (name, pubSub, otherPubSub = null) => {
+  await pubSub.ensureInitialized();
+  if (otherPubSub) await otherPubSub.ensureInitialized();
+
+  let nFailed = 0;
+  for (const c of otherPubSub ? [...cases, ...sharedCases] : cases) {
+    const channel = `test-${randomString(8)}`;
+    try {
+      await c.fn(pubSub, channel, otherPubSub);
+      console.log(`[${name}] ok - ${c.name}`);
+    } catch (error) {
+      nFailed += 1;
+      console.log(`[${name}] FAILED - ${c.name}`);
+      console.log(error);
+    }
+  }
+  return nFailed;
+};
@@ -0,0 +1,154 @@
+import { CREATE_FILE, DELETE_FILE } from './const';
+import { QuotaExceededError } from './errors';
+import { isObject, isString, isNumber, getAddressFromPath } from './utils';
+
+/*
+ * Keeps a running total of bytes and objects per address from the file logs
+ *   and rejects writes that would go over the address's quota.
+ * A quota is { maxBytes, maxObjects }, a missing value means unlimited.
+ *   Usage is only tracked while quotaSettings is configured, so an address's
+ *   existing files are counted once by listing them on its first check.
+ */
+export class QuotaManager {
+
+  constructor(driver, metadataStore, config) {
+    this.driver = driver;
+    this.metadataStore = metadataStore;
+
+    const quotaSettings = config.quotaSettings;
+    this.isEnabled = isObject(quotaSettings);
+    this.defaultQuota = this.isEnabled ? quotaSettings.default || null : null;
+    this.tierQuotas = this.isEnabled ? quotaSettings.tiers || {} : {};
+    this.addressQuotas = this.isEnabled ? quotaSettings.addresses || {} : {};
+
+    // Per address, so that concurrent checks list the files only once.
+    this.computePromises = new Map();
+  }
+
+  getQuota(address, tier) {
+    // Per address first, either a quota or a tier name, then the tier, then default.
+    let quota = this.addressQuotas[address];
+    if (isString(quota)) quota = this.tierQuotas[quota];
+    if (!isObject(quota) && isString(tier)) quota = this.tierQuotas[tier];
+    if (!isObject(quota)) quota = this.defaultQuota;
+    if (!isObject(quota)) return { maxBytes: null, maxObjects: null };
+
+    return {
+      maxBytes: isNumber(quota.maxBytes) ? quota.maxBytes : null,
+      maxObjects: isNumber(quota.maxObjects) ? quota.maxObjects : null,
+    };
+  }
+
+  async getUsage(address) {
+    let usage = await this.metadataStore.performReadUsage({ address });
+    if (this.isEnabled && !usage.isComputed) {
+      await this.computeUsage(address);
+      usage = await this.metadataStore.performReadUsage({ address });
+    }
+
+    const { nBytes, nObjects, tier } = usage;
+    const quota = this.getQuota(address, tier);
+    return { nBytes, nObjects, tier, ...quota };
+  }
+
+  computeUsage(address) {
+    let promise = this.computePromises.get(address);
+    if (!promise) {
+      promise = this._computeUsage(address).finally(() => {
+        this.computePromises.delete(address);
+      });
+      this.computePromises.set(address, promise);
+    }
+    return promise;
+  }
+
+  async _computeUsage(address) {
+    // Writes meanwhile might be counted twice or not at all, only a little off.
+    let nBytes = 0, nObjects = 0, page = null;
+    do {
+      const listResult = await this.driver.listFilesStat({
+        pathPrefix: `${address}/`, page, pageSize: null,
+      });
+      for (const entry of listResult.entries) {
+        nBytes += entry.contentLength;
+        nObjects += 1;
+      }
+      page = listResult.page;
+    } while (page);
+
+    await this.metadataStore.performInitUsage({ address, nBytes, nObjects });
+  }
+
+  /*
+   * Throws QuotaExceededError if writing contentLength bytes to the path would
+   *   go over the quota. If the file is kept as a historical file instead of
+   *   overwritten, set isArchival so its current size isn't freed.
+   * Returns how many bytes the file can be at most, or null if unlimited,
+   *   to stop a streaming body of unknown length while it's written.
+   * Concurrent writes can go over a little as usage is updated after writing.
+   */
+  async validateWrite(address, path, contentLength, isArchival) {
+    if (!this.isEnabled) return null;
+
+    const usage = await this.getUsage(address);
+    const { nBytes, nObjects, maxBytes, maxObjects } = usage;
+    if (maxBytes === null && maxObjects === null) return null;
+
+    const isLengthKnown = isNumber(contentLength) && contentLength > 0;
+    const nNewBytes = isLengthKnown ? contentLength : 0;
+    const isBytesOk = maxBytes === null || nBytes + nNewBytes <= maxBytes;
+    const isObjectsOk = maxObjects === null || nObjects + 1 <= maxObjects;
+    if (isBytesOk && isObjectsOk && (isLengthKnown || maxBytes === null)) {
+      return maxBytes === null ? null : maxBytes - nBytes;
+    }
+
+    // Only stat when needed, overwriting a file frees its current size.
+    let stat = { exists: false, contentLength: 0 };
+    if (!isArchival) {
+      stat = await this.driver.performStat({ storageTopLevel: address, path });
+    }
+
+    const bytesChange = nNewBytes - (stat.exists ? stat.contentLength : 0);
+    if (maxBytes !== null && bytesChange > 0 && nBytes + bytesChange > maxBytes) {
+      throw new QuotaExceededError(
+        `Storage quota of ${maxBytes} bytes exceeded, used ${nBytes} bytes`
+      );
+    }
+    if (maxObjects !== null && !stat.exists && nObjects + 1 > maxObjects) {
+      throw new QuotaExceededError(`Quota of ${maxObjects} files exceeded`);
+    }
+
+    if (maxBytes === null) return null;
+    return maxBytes - nBytes + (stat.exists ? stat.contentLength : 0);
+  }
+
+  async addUsage(fileLogs) {
+    if (!this.isEnabled || fileLogs.length === 0) return;
+
+    const changes = {};
+    for (const fileLog of fileLogs) {
+      const address = getAddressFromPath(fileLog.path);
+      if (!changes[address]) changes[address] = { bytesChange: 0, objectsChange: 0 };
+
+      changes[address].bytesChange += fileLog.sizeChange;
+      if (fileLog.action === CREATE_FILE) changes[address].objectsChange += 1;
+      else if (fileLog.action === DELETE_FILE) changes[address].objectsChange -= 1;
+    }
+
+    for (const address in changes) {
+      const { bytesChange, objectsChange } = changes[address];
+      if (bytesChange === 0 && objectsChange === 0) continue;
+
+      // The files are already written, so don't fail the request, only report.
+      try {
+        await this.metadataStore.performUpdateUsage({
+          address, bytesChange, objectsChange,
+        });
+      } catch (error) {
+        console.error(
+          'addUsage error', error, JSON.stringify({ address, bytesChange, objectsChange })
+        );
+      }
+    }
+  }
+}
@@ -0,0 +1,206 @@
+import { DoesNotExist, PreconditionFailedError } from './errors';
+import { isObject, isNumber, parseHistoricalFileName } from './utils';
+
+const DAY = 24 * 60 * 60 * 1000;
+// Keep each task small, a bucket can have thousands of historical files.
+const PRUNE_BATCH_SIZE = 500;
+
+const parsePolicy = (policy) => {
+  if (!isObject(policy)) return null;
+  return {
+    keepVersions: isNumber(policy.keepVersions) ? Math.max(policy.keepVersions, 0) : null,
+    keepDays: isNumber(policy.keepDays) ? Math.max(policy.keepDays, 0) : null,
+    holdDays: isNumber(policy.holdDays) ? Math.max(policy.holdDays, 0) : 0,
+  };
+};
+
+/*
+ * Prunes the .history. files that archival writes and deletes leave behind.
+ * A policy is { keepVersions, keepDays, holdDays }, a version is kept if it's
+ *   one of the newest keepVersions of its file or younger than keepDays.
+ *   A version younger than holdDays is never pruned, whatever the policy says.
+ * Policies are picked by the longest matching prefix of the path in an address,
+ *   then the default. Without a policy, nothing is pruned.
+ */
+export class RetentionManager {
+
+  constructor(driver, config) {
+    this.driver = driver;
+
+    const retentionSettings = config.retentionSettings;
+    this.isEnabled = isObject(retentionSettings);
+    this.defaultPolicy = this.isEnabled ? parsePolicy(retentionSettings.default) : null;
+    this.prefixPolicies = [];
+    if (this.isEnabled && isObject(retentionSettings.prefixes)) {
+      for (const prefix in retentionSettings.prefixes) {
+        const policy = parsePolicy(retentionSettings.prefixes[prefix]);
+        if (policy) this.prefixPolicies.push({ prefix, policy });
+      }
+      this.prefixPolicies.sort((a, b) => b.prefix.length - a.prefix.length);
+    }
+    this.holdDays = this.isEnabled && isNumber(retentionSettings.holdDays) ?
+      Math.max(retentionSettings.holdDays, 0) : 0;
+    this.pruneInterval = this.isEnabled ? retentionSettings.pruneInterval || 0 : 0;
+    this.isPruning = false;
+  }
+
+  getPolicy(path) {
+    const prefixPolicy = this.prefixPolicies.find(({ prefix }) => path.startsWith(prefix));
+    return prefixPolicy ? prefixPolicy.policy : this.defaultPolicy;
+  }
+
+  /*
+   * Lists the historical files under pathPrefix a page at a time and calls
+   *   onVersions(key, versions) for each file once all its versions are listed.
+   * A file's versions are listed one after another as they all start with
+   *   <dir>/.history., so a directory's files are done when the next one starts.
+   */
+  async forEachFileVersions(pathPrefix, onVersions) {
+    let nScanned = 0, page = null;
+    let dir = null, versionsPerFile = new Map();
+    const flush = async () => {
+      for (const [key, versions] of versionsPerFile) await onVersions(key, versions);
+      versionsPerFile = new Map();
+    };
+    do {
+      const listResult = await this.driver.listFilesStat({
+        pathPrefix, page, pageSize: null,
+      });
+      for (const entry of listResult.entries) {
+        nScanned += 1;
+
+        const filename = `${pathPrefix}${entry.name}`;
+        const i = filename.lastIndexOf('/');
+        const parsed = parseHistoricalFileName(filename.slice(i + 1));
+        if (i < 0 || !parsed) continue;
+
+        if (filename.slice(0, i + 1) !== dir) {
+          await flush();
+          dir = filename.slice(0, i + 1);
+        }
+
+        // Groups the historical files by their file, i.e. <address>/<dir>/<name>.
+        const key = `${dir}${parsed.fileName}`;
+        if (!versionsPerFile.has(key)) versionsPerFile.set(key, []);
+        versionsPerFile.get(key).push({
+          filename, timestamp: parsed.timestamp, etag: entry.etag,
+        });
+      }
+      page = listResult.page;
+    } while (page);
+    await flush();
+
+    return nScanned;
+  }
+
+  async forEachAddress(onAddress) {
+    let page = null;
+    do {
+      const listResult = await this.driver.listFilesStat({
+        pathPrefix: '', page, pageSize: null, delimiter: '/',
+      });
+      for (const prefix of listResult.prefixes) {
+        await onAddress(prefix.slice(0, prefix.length - 1));
+      }
+      page = listResult.page;
+    } while (page);
+  }
+
+  selectVersions(key, versions, now) {
+    const i = key.indexOf('/');
+    const policy = this.getPolicy(key.slice(i + 1));
+
+    const prunable = [];
+    let nKept = 0, nHeld = 0;
+    versions.sort((a, b) => b.timestamp - a.timestamp);
+    versions.forEach((version, j) => {
+      const age = now - version.timestamp;
+
+      let isKept = true;
+      if (policy && (policy.keepVersions !== null || policy.keepDays !== null)) {
+        isKept = (
+          (policy.keepVersions !== null && j < policy.keepVersions) ||
+          (policy.keepDays !== null && age < policy.keepDays * DAY)
+        );
+      }
+      if (isKept) {
+        nKept += 1;
+        return;
+      }
+
+      const holdDays = Math.max(this.holdDays, policy.holdDays);
+      if (age < holdDays * DAY) {
+        nHeld += 1;
+        return;
+      }
+
+      prunable.push(version);
+    });
+
+    return { prunable, nKept, nHeld };
+  }
+
+  /*
+   * Lists the historical files of an address, or of all addresses if null,
+   *   and deletes the ones out of retention unless dryRun.
+   * The files are listed and deleted a page at a time, and onPruned is called
+   *   with the backupPaths and fileLogs of up to PRUNE_BATCH_SIZE deleted files.
+   */
+  async prune(address, dryRun, onPruned) {
+    const result = { nScanned: 0, nVersions: 0, nPruned: 0, nKept: 0, nHeld: 0 };
+    let backupPaths = [], fileLogs = [];
+    const dispatch = async () => {
+      if (fileLogs.length === 0 && backupPaths.length === 0) return;
+      await onPruned(backupPaths, fileLogs);
+      [backupPaths, fileLogs] = [[], []];
+    };
+
+    const now = Date.now();
+    const pruneVersions = async (key, versions) => {
+      result.nVersions += versions.length;
+
+      const selected = this.selectVersions(key, versions, now);
+      result.nKept += selected.nKept;
+      result.nHeld += selected.nHeld;
+      if (dryRun) {
+        result.nPruned += selected.prunable.length;
+        return;
+      }
+
+      for (const { filename, etag } of selected.prunable) {
+        const i = filename.indexOf('/');
+        try {
+          const dResult = await this.driver.performDelete({
+            storageTopLevel: filename.slice(0, i),
+            path: filename.slice(i + 1),
+            ifMatchTag: etag,
+            assoIssAddress: null,
+          });
+          backupPaths.push(...dResult.backupPaths);
+          fileLogs.push(...dResult.fileLogs);
+          result.nPruned += 1;
+        } catch (error) {
+          // Deleted or replaced since listed, leave it for the next run.
+          if (error instanceof DoesNotExist) continue;
+          if (error instanceof PreconditionFailedError) continue;
+          throw error;
+        }
+
+        if (fileLogs.length >= PRUNE_BATCH_SIZE) await dispatch();
+      }
+    };
+    const pruneAddress = async (pAddress) => {
+      result.nScanned += await this.forEachFileVersions(`${pAddress}/`, pruneVersions);
+    };
+
+    try {
+      if (address) await pruneAddress(address);
+      else await this.forEachAddress(pruneAddress);
+    } finally {
+      // The files are already deleted, so still dispatch if pruning fails.
+      await dispatch();
+    }
+
+    return result;
+  }
+}
@@ -4,7 +4,7 @@ import { isNumber } from './utils';
 
 export class AuthTimestampCache {
 
-  constructor(driver, maxCacheSize) {
+  constructor(metadataStore, maxCacheSize) {
     this.currentCacheEvictions = 0;
     this.cache = new LRUCache({
       max: maxCacheSize,
@@ -15,7 +15,7 @@ export class AuthTimestampCache {
       ttl: 15 * 60 * 1000,
       ttlResolution: 60 * 1000,
     });
-    this.driver = driver;
+    this.metadataStore = metadataStore;
 
     const tenMinutes = 1000 * 60 * 10;
     this.setupCacheEvictionLogger(tenMinutes);
@@ -42,8 +42,8 @@ export class AuthTimestampCache {
       return authTimestamp;
     }
 
-    // Nothing in cache, perform slower driver read.
-    authTimestamp = await this.driver.performReadAuthTimestamp({ bucketAddress });
+    // Nothing in cache, perform slower metadata store read.
+    authTimestamp = await this.metadataStore.performReadAuthTimestamp({ bucketAddress });
 
     // Recheck cache for a larger timestamp to avoid race conditions from slow storage.
     const cachedTimestamp = this.cache.get(bucketAddress);
@@ -64,7 +64,7 @@ export class AuthTimestampCache {
       return;
     }
 
-    await this.driver.performWriteAuthTimestamp({ bucketAddress, timestamp });
+    await this.metadataStore.performWriteAuthTimestamp({ bucketAddress, timestamp });
 
     // In a race condition, use the newest timestamp.
     cachedTimestamp = this.cache.get(bucketAddress);
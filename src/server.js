@@ -1,41 +1,191 @@
-import { validateAuthorizationHeader } from './authentication';
+import { Readable } from 'stream';
+
+import {
+  validateAuthorizationHeader, validateAdminAuthorizationHeader,
+  validateTaskerAuthorizationHeader,
+} from './authentication';
 import {
-  ValidationError, DoesNotExist, PayloadTooLargeError, PreconditionFailedError,
-  InvalidInputError,
+  ValidationError, BlacklistedError, DoesNotExist, PayloadTooLargeError,
+  PreconditionFailedError, InvalidInputError, ConflictError, UploadOffsetError,
+  QuotaExceededError,
 } from './errors';
 import { AuthTimestampCache } from './revocations';
 import { BlacklistCache } from './blacklist';
-import { PUT_FILE, DELETE_FILE, LIST_FILES, PERFORM_FILES } from './const';
+import { Outbox } from './outbox';
+import { Tasker } from './tasker';
+import { QuotaManager } from './quotas';
+import { RetentionManager } from './retention';
+import { UploadManager } from './uploads';
+import { IdempotencyManager } from './idempotency';
+import { ChangeFeed } from './changes';
+import { NotificationManager } from './notifications';
+import { WebhookManager } from './webhooks';
+import { MultipartParts } from './multipart';
+import InProcessPubSub from './pub-subs/InProcessPubSub';
+import InProcessDispatcher from './task-dispatchers/InProcessDispatcher';
+import {
+  PUT_FILE, DELETE_FILE, LIST_FILES, LIST_CHANGES, PERFORM_FILES, GET_FILE, STAT_FILES,
+  LIST_VERSIONS, RENAME_FILE, COPY_FILE, RESTORE_VERSION, CREATE_FILE, MANAGE_WEBHOOKS,
+} from './const';
 import {
   generateUniqueID, bytesToMegabytes, megabytesToBytes, monitorStreamProgress, isString,
-  isObject,
+  isObject, parseRangeHeader, parseHistoricalFileName,
 } from './utils';
 
+const BASE64_REGEX = /^[A-Za-z0-9+/]*={0,2}$/;
+// Google Cloud Storage recommends resumable uploads for files from 10 MB.
+const RESUMABLE_WRITE_SIZE = 10 * 1024 * 1024;
+
 export class HubServer {
 
-  constructor(driver, config) {
+  constructor(driver, metadataStore, taskDispatcher, config, pubSub = null) {
     this.driver = driver;
+    this.metadataStore = metadataStore;
+    this.taskDispatcher = taskDispatcher;
     this.config = config;
     this.whitelist = config.whitelist;
     this.serverName = config.serverName;
     this.validHubUrls = config.validHubUrls;
     this.readURL = config.readURL;
     this.requireCorrectHubUrl = config.requireCorrectHubUrl || false;
+    this.adminSecret = config.adminSecret;
+    this.privateStorage = !!config.privateStorage;
+    if (this.privateStorage && !this.readURL) {
+      console.warn(
+        'privateStorage is on but readURL is not set, ' +
+        'set it to this hub\'s /read/ URL so that publicURL is readable.'
+      );
+    }
     this.authTimestampCache = new AuthTimestampCache(
-      driver, config.authTimestampCacheSize
+      metadataStore, config.authTimestampCacheSize
     );
+    this.pubSub = pubSub || new InProcessPubSub(config);
     this.blacklistCache = new BlacklistCache(
-      driver, config.blacklistCacheSize
+      metadataStore, config.blacklistCacheSize, this.pubSub
     );
+    this.outbox = new Outbox(metadataStore, taskDispatcher, config);
+    this.tasker = new Tasker(driver, metadataStore);
+    this.quotas = new QuotaManager(driver, metadataStore, config);
+    this.retention = new RetentionManager(driver, config);
+    this.uploads = new UploadManager(driver, metadataStore, config);
+    this.idempotency = new IdempotencyManager(metadataStore, config);
+    this.changeFeed = new ChangeFeed(metadataStore, config, this.hasBuiltInTasker(config));
+    this.notifications = new NotificationManager(this.pubSub, metadataStore, config);
+    this.webhooks = new WebhookManager(metadataStore, config);
+    if (this.retention.pruneInterval > 0) this.setupPruner(this.retention.pruneInterval);
+
+    // Cloud Tasks signs its OIDC tokens with the task url as the audience.
+    const cloudTasksSettings = config.cloudTasksSettings || {};
+    this.taskerSettings = {
+      oidcAudience: cloudTasksSettings.url,
+      oidcServiceAccountEmail: cloudTasksSettings.serviceAccountEmail,
+      ...config.taskerSettings,
+    };
     this.maxFileUploadSizeMB = (config.maxFileUploadSize || 20);
     this.maxFileUploadSizeBytes = megabytesToBytes(this.maxFileUploadSizeMB);
   }
 
+  hasBuiltInTasker(config) {
+    const changeFeedSettings = config.changeFeedSettings || {};
+    if (typeof changeFeedSettings.isEnabled === 'boolean') {
+      return changeFeedSettings.isEnabled;
+    }
+    // With taskerSettings, the tasks are meant for this hub's /tasker.
+    return (
+      this.taskDispatcher instanceof InProcessDispatcher || isObject(config.taskerSettings)
+    );
+  }
+
   async handleAuthBump(address, oldestValidTimestamp, requestHeaders) {
     this.validate(address, requestHeaders, null);
     await this.authTimestampCache.setAuthTimestamp(address, oldestValidTimestamp);
   }
 
+  async handleListOutbox(limit, requestHeaders) {
+    validateAdminAuthorizationHeader(requestHeaders.authorization, this.adminSecret);
+
+    const entries = await this.outbox.listEntries(limit);
+    return entries;
+  }
+
+  async handleListBlacklist(startAfter, limit, requestHeaders) {
+    validateAdminAuthorizationHeader(requestHeaders.authorization, this.adminSecret);
+
+    const entries = await this.blacklistCache.listEntries(startAfter, limit);
+    return entries;
+  }
+
+  async handlePutBlacklistEntry(
+    address, type, policy, reason, expireDate, actor, requestHeaders
+  ) {
+    validateAdminAuthorizationHeader(requestHeaders.authorization, this.adminSecret);
+
+    const entry = await this.blacklistCache.putEntry(
+      address, type, policy, reason, expireDate, actor
+    );
+    return entry;
+  }
+
+  async handleDeleteBlacklistEntry(address, actor, requestHeaders) {
+    validateAdminAuthorizationHeader(requestHeaders.authorization, this.adminSecret);
+    await this.blacklistCache.deleteEntry(address, actor);
+  }
+
+  async handleListBlacklistAudits(address, limit, requestHeaders) {
+    validateAdminAuthorizationHeader(requestHeaders.authorization, this.adminSecret);
+
+    const audits = await this.blacklistCache.listAudits(address, limit);
+    return audits;
+  }
+
+  async handlePruneHistory(address, dryRun, requestHeaders) {
+    validateAdminAuthorizationHeader(requestHeaders.authorization, this.adminSecret);
+    if (!this.retention.isEnabled) {
+      throw new InvalidInputError('Retention is not configured');
+    }
+
+    const result = await this.pruneHistory(address, dryRun);
+    return result;
+  }
+
+  setupPruner(timerInterval) {
+    const pruneTimeout = setInterval(async () => {
+      try {
+        await this.pruneHistory(null, false);
+      } catch (error) {
+        console.error('Prune history error', error);
+      }
+    }, timerInterval);
+    pruneTimeout.unref();
+  }
+
+  async pruneHistory(address, dryRun) {
+    if (this.retention.isPruning) {
+      throw new ConflictError('Pruning is already in progress');
+    }
+    this.retention.isPruning = true;
+
+    try {
+      const result = await this.retention.prune(
+        address, dryRun, (backupPaths, fileLogs) => this.dispatchTask(backupPaths, fileLogs)
+      );
+
+      console.log(`Pruned history${address ? ` of ${address}` : ''}`, JSON.stringify(result));
+      return result;
+    } finally {
+      this.retention.isPruning = false;
+    }
+  }
+
+  async handleTask(payload, requestHeaders) {
+    await validateTaskerAuthorizationHeader(
+      requestHeaders.authorization, this.taskerSettings
+    );
+
+    const result = await this.tasker.handleTask(payload);
+    return result;
+  }
+
   validate(address, requestHeaders, oldestValidTokenTimestamp) {
     const authObject = validateAuthorizationHeader(
       requestHeaders.authorization,
@@ -49,14 +199,15 @@ export class HubServer {
     return authObject;
   }
 
-  async handleListFiles(address, page, pageSize, stat, requestHeaders) {
-    const [oldestValidTokenTimestamp, isBkBltd] = await Promise.all([
+  /*
+   * listOptions are { prefix, delimiter, startAfter, includeHistory }, names,
+   *   prefixes and startAfter are relative to the address like without them.
+   */
+  async handleListFiles(address, page, pageSize, stat, requestHeaders, listOptions = {}) {
+    const [oldestValidTokenTimestamp] = await Promise.all([
       this.authTimestampCache.getAuthTimestamp(address),
-      this.blacklistCache.isBlacklisted(address, LIST_FILES),
+      this.blacklistCache.checkBlacklisted(address, LIST_FILES),
     ]);
-    if (isBkBltd) {
-      throw new ValidationError(`Address ${address} is on the not authorized list`);
-    }
 
     const authObject = this.validate(
       address, requestHeaders, oldestValidTokenTimestamp
@@ -74,10 +225,36 @@ export class HubServer {
     const scopes = authObject.parseAuthScopes();
     const isArchivalRestricted = this.isArchivalRestricted(scopes);
 
+    const {
+      prefix = '', delimiter = null, startAfter = null, includeHistory = null,
+    } = listOptions;
+    if (!isString(prefix) || prefix.startsWith('/') || prefix.includes('..')) {
+      throw new InvalidInputError(`Invalid prefix: ${prefix}`);
+    }
+    if (delimiter !== null && (!isString(delimiter) || delimiter.length === 0)) {
+      throw new InvalidInputError(`Invalid delimiter: ${delimiter}`);
+    }
+    if (startAfter !== null && !isString(startAfter)) {
+      throw new InvalidInputError(`Invalid startAfter: ${startAfter}`);
+    }
+    if (includeHistory !== null && typeof includeHistory !== 'boolean') {
+      throw new InvalidInputError(`Invalid includeHistory: ${includeHistory}`);
+    }
+
+    // startAfter before the prefix lists it all, after lists nothing.
+    let prefixStartAfter = null;
+    if (startAfter !== null && startAfter.startsWith(prefix)) {
+      prefixStartAfter = startAfter.slice(prefix.length);
+    } else if (startAfter !== null && startAfter > prefix) {
+      return { entries: [], prefixes: [], page: null };
+    }
+
     const listFilesArgs = {
-      pathPrefix: address + '/', // to exclude ${address}-auth from revocation
+      pathPrefix: address + '/' + prefix, // to exclude ${address}-auth from revocation
       page: page,
       pageSize: pageSize,
+      delimiter: delimiter,
+      startAfter: prefixStartAfter,
     };
 
     let listFileResult;
@@ -87,8 +264,16 @@ export class HubServer {
       listFileResult = await this.driver.listFiles(listFilesArgs);
     }
 
-    // Filter historical files from results.
-    if (isArchivalRestricted && listFileResult.entries.length > 0) {
+    if (prefix) {
+      listFileResult.entries = listFileResult.entries.map(entry => {
+        return stat ? { ...entry, name: `${prefix}${entry.name}` } : `${prefix}${entry}`;
+      });
+      listFileResult.prefixes = listFileResult.prefixes.map(p => `${prefix}${p}`);
+    }
+
+    // Filter historical files from results, by default only for archival writers.
+    const isHistoryExcluded = includeHistory === null ? isArchivalRestricted : !includeHistory;
+    if (isHistoryExcluded && listFileResult.entries.length > 0) {
       if (stat) {
         listFileResult.entries = listFileResult
           .entries
@@ -110,6 +295,315 @@ export class HubServer {
     return listFileResult;
   }
 
+  async handleListChanges(address, cursor, pageSize, isLatest, requestHeaders) {
+    const [oldestValidTokenTimestamp] = await Promise.all([
+      this.authTimestampCache.getAuthTimestamp(address),
+      this.blacklistCache.checkBlacklisted(address, LIST_CHANGES),
+    ]);
+
+    this.validate(address, requestHeaders, oldestValidTokenTimestamp);
+    this.changeFeed.validateEnabled();
+
+    // Only the cursor to start from, e.g. before listing all files.
+    if (isLatest) {
+      return { changes: [], cursor: this.changeFeed.getLatestCursor(), hasMore: false };
+    }
+
+    return this.changeFeed.listChanges(address, cursor, pageSize);
+  }
+
+  async handleCreateSubscribeTicket(address, requestHeaders) {
+    const [oldestValidTokenTimestamp] = await Promise.all([
+      this.authTimestampCache.getAuthTimestamp(address),
+      this.blacklistCache.checkBlacklisted(address, LIST_CHANGES),
+    ]);
+
+    this.validate(address, requestHeaders, oldestValidTokenTimestamp);
+
+    return this.notifications.createTicket(address);
+  }
+
+  /*
+   * Calls listener with the events of the changes under prefix in the address
+   *   until the returned function is called. Authorized by the token in
+   *   requestHeaders or, if not null, by a ticket from handleCreateSubscribeTicket.
+   */
+  async handleSubscribe(address, prefix, requestHeaders, ticket, listener) {
+    const [oldestValidTokenTimestamp] = await Promise.all([
+      this.authTimestampCache.getAuthTimestamp(address),
+      this.blacklistCache.checkBlacklisted(address, LIST_CHANGES),
+    ]);
+
+    if (ticket === null) {
+      this.validate(address, requestHeaders, oldestValidTokenTimestamp);
+    } else {
+      await this.notifications.takeTicket(address, ticket);
+    }
+
+    if (!isString(prefix)) throw new InvalidInputError(`Invalid prefix: ${prefix}`);
+
+    return this.notifications.subscribe(address, prefix, listener);
+  }
+
+  /*
+   * Webhooks get the changes of the whole address, so only a token
+   *   of the owner without scopes can manage them.
+   */
+  async validateWebhooksOwner(address, requestHeaders) {
+    const [oldestValidTokenTimestamp] = await Promise.all([
+      this.authTimestampCache.getAuthTimestamp(address),
+      this.blacklistCache.checkBlacklisted(address, MANAGE_WEBHOOKS),
+    ]);
+
+    const authObject = this.validate(
+      address, requestHeaders, oldestValidTokenTimestamp
+    );
+    if (authObject.assoIssAddress || this.hasScopes(authObject.parseAuthScopes())) {
+      throw new ValidationError(
+        `Address ${address} not authorized to manage webhooks by this token`
+      );
+    }
+  }
+
+  async handleAddWebhook(address, url, prefix, requestHeaders) {
+    await this.validateWebhooksOwner(address, requestHeaders);
+    return this.webhooks.addWebhook(address, url, prefix);
+  }
+
+  async handleListWebhooks(address, requestHeaders) {
+    await this.validateWebhooksOwner(address, requestHeaders);
+    return this.webhooks.listWebhooks(address);
+  }
+
+  async handleDeleteWebhook(address, webhookId, requestHeaders) {
+    await this.validateWebhooksOwner(address, requestHeaders);
+    await this.webhooks.deleteWebhook(address, webhookId);
+  }
+
+  async handleListWebhookDeadLetters(address, limit, requestHeaders) {
+    await this.validateWebhooksOwner(address, requestHeaders);
+    return this.webhooks.listDeadLetters(address, limit);
+  }
+
+  async handleRedeliverWebhook(address, deadLetterId, requestHeaders) {
+    await this.validateWebhooksOwner(address, requestHeaders);
+    return this.webhooks.redeliver(address, deadLetterId);
+  }
+
+  async handleStatFiles(address, paths, requestHeaders) {
+    const [oldestValidTokenTimestamp] = await Promise.all([
+      this.authTimestampCache.getAuthTimestamp(address),
+      this.blacklistCache.checkBlacklisted(address, STAT_FILES),
+    ]);
+
+    const authObject = this.validate(
+      address, requestHeaders, oldestValidTokenTimestamp
+    );
+
+    const scopes = authObject.parseAuthScopes();
+    const isArchivalRestricted = this.isArchivalRestricted(scopes);
+
+    const entries = [];
+    const nItems = 10;
+    for (let i = 0; i < paths.length; i += nItems) {
+      const selectedPaths = paths.slice(i, i + nItems);
+      const stats = await Promise.all(selectedPaths.map(path => {
+        // Hide historical files like handleListFiles does.
+        if (isArchivalRestricted && this.isHistoricalFile(path)) {
+          return { exists: false };
+        }
+        // Files out of the read scopes are hidden like handleRead rejects them.
+        if (this.privateStorage && !this.isReadable(path, scopes)) {
+          return { exists: false };
+        }
+        return this.driver.performStat({ storageTopLevel: address, path });
+      }));
+      for (let j = 0; j < selectedPaths.length; j++) {
+        entries.push({ ...stats[j], path: selectedPaths[j] });
+      }
+    }
+
+    return entries;
+  }
+
+  async handleRead(address, path, requestHeaders, versionId = null) {
+    // Scopes are checked on the path, a version is read from its historical file.
+    const readPath = versionId !== null ? this.getVersionPath(path, versionId) : path;
+
+    await this.blacklistCache.checkBlacklisted(address, GET_FILE);
+
+    // Public files are readable from the storage directly anyway.
+    if (this.privateStorage) {
+      const oldestValidTokenTimestamp = await this.authTimestampCache.getAuthTimestamp(
+        address
+      );
+      const authObject = this.validate(
+        address, requestHeaders, oldestValidTokenTimestamp
+      );
+
+      const scopes = authObject.parseAuthScopes();
+      this.checkReadScopes(address, path, scopes);
+    }
+
+    const rResult = await this.driver.performRead({
+      storageTopLevel: address,
+      path: readPath,
+      range: parseRangeHeader(requestHeaders['range']),
+    });
+
+    let cacheControl = this.config.cacheControl || null;
+    if (this.privateStorage) cacheControl = 'private, no-cache';
+
+    return { ...rResult, cacheControl };
+  }
+
+  async handleRenameOrCopy(type, address, path, newPath, requestHeaders) {
+    const [oldestValidTokenTimestamp] = await Promise.all([
+      this.authTimestampCache.getAuthTimestamp(address),
+      this.blacklistCache.checkBlacklisted(address, type),
+    ]);
+
+    const authObject = this.validate(
+      address, requestHeaders, oldestValidTokenTimestamp
+    );
+    const scopes = authObject.parseAuthScopes();
+
+    const ifNoneMatchTag = requestHeaders['if-none-match'];
+    if (ifNoneMatchTag) {
+      throw new PreconditionFailedError(`Not support if-none-match for ${type}.`);
+    }
+
+    const { result, backupPaths, fileLogs } = await this._performRenameOrCopy(
+      address, authObject.assoIssAddress, scopes, {
+        type, path, newPath, ifMatchTag: requestHeaders['if-match'],
+      }
+    );
+    await this.dispatchTask(backupPaths, fileLogs);
+
+    return result;
+  }
+
+  async _performRenameOrCopy(address, assoIssAddress, scopes, args) {
+    const { type, path, newPath, ifMatchTag } = args;
+    if (path === newPath) {
+      throw new InvalidInputError('path and newPath must be different');
+    }
+
+    // Write scopes on the destination, delete scopes on the source when renaming,
+    //   and read scopes on the source as otherwise it could be copied to read.
+    this.checkWriteScopes(address, newPath, scopes);
+    if (type === RENAME_FILE) this.checkDeleteScopes(address, path, scopes);
+    if (this.privateStorage) this.checkReadScopes(address, path, scopes);
+
+    const isArchivalRestricted = this.checkArchivalRestrictions(address, newPath, scopes);
+    if (type === RENAME_FILE) this.checkArchivalRestrictions(address, path, scopes);
+
+    // Renaming only adds bytes if the source is kept as a historical file.
+    if (this.quotas.isEnabled && (type === COPY_FILE || isArchivalRestricted)) {
+      const stat = await this.driver.performStat({ storageTopLevel: address, path });
+      if (!stat.exists) throw new DoesNotExist('File does not exist');
+      await this.quotas.validateWrite(
+        address, newPath, stat.contentLength, isArchivalRestricted
+      );
+    }
+
+    const results = [];
+    if (isArchivalRestricted) {
+      // Archive the file being replaced, ifMatchTag is for the source.
+      const { rnResult } = await this.archiveBeforeWrite(
+        address, newPath, null, null, assoIssAddress
+      );
+      if (isObject(rnResult)) results.push(rnResult);
+    }
+
+    const command = {
+      storageTopLevel: address,
+      path,
+      newPath,
+      ifMatchTag: ifMatchTag,
+      assoIssAddress: assoIssAddress,
+    };
+    let mResult;
+    if (type === RENAME_FILE && !isArchivalRestricted) {
+      mResult = await this.driver.performRename(command);
+    } else {
+      mResult = await this.driver.performCopy(command);
+    }
+    results.push(mResult);
+
+    if (type === RENAME_FILE && isArchivalRestricted) {
+      // Archive the source instead of deleting it.
+      results.push(await this.driver.performRename({
+        path: path,
+        storageTopLevel: address,
+        newPath: this.getHistoricalFileName(path),
+        ifMatchTag: null,
+        assoIssAddress: assoIssAddress,
+      }));
+    }
+
+    const backupPaths = [], fileLogs = [];
+    for (const result of results) {
+      backupPaths.push(...result.backupPaths);
+      fileLogs.push(...result.fileLogs);
+    }
+
+    return { result: this.fixWriteResponse(mResult.result), backupPaths, fileLogs };
+  }
+
+  hasScopes(scopes) {
+    return Object.values(scopes).some(values => values.length > 0);
+  }
+
+  checkWriteScopes(address, path, scopes) {
+    if (scopes.writePrefixes.length > 0 || scopes.writePaths.length > 0) {
+      let match = !!scopes.writePrefixes.find((p) => (path.startsWith(p)));
+      if (!match) {
+        // check for exact paths
+        match = !!scopes.writePaths.find((p) => (path === p));
+      }
+
+      if (!match) {
+        // not authorized to write to this path
+        throw new ValidationError(`Address ${address} not authorized to write to ${path} by scopes`);
+      }
+    }
+  }
+
+  checkDeleteScopes(address, path, scopes) {
+    if (scopes.deletePrefixes.length > 0 || scopes.deletePaths.length > 0) {
+      let match = !!scopes.deletePrefixes.find((p) => (path.startsWith(p)));
+      if (!match) {
+        // check for exact paths
+        match = !!scopes.deletePaths.find((p) => (path === p));
+      }
+
+      if (!match) {
+        // not authorized to delete this path
+        throw new ValidationError(`Address ${address} not authorized to delete from ${path} by scopes`);
+      }
+    }
+  }
+
+  isReadable(path, scopes) {
+    // Unlike writing, a token with any scopes can only read by its read scopes.
+    if (!this.hasScopes(scopes)) return true;
+
+    let match = !!scopes.readPrefixes.find((p) => (path.startsWith(p)));
+    if (!match) {
+      // check for exact paths
+      match = !!scopes.readPaths.find((p) => (path === p));
+    }
+    return match;
+  }
+
+  checkReadScopes(address, path, scopes) {
+    if (!this.isReadable(path, scopes)) {
+      // not authorized to read this path
+      throw new ValidationError(`Address ${address} not authorized to read ${path} by scopes`);
+    }
+  }
+
   getReadURLPrefix() {
     if (this.readURL) {
       return this.readURL;
@@ -138,14 +632,119 @@ export class HubServer {
     return isHistoricalFile;
   }
 
-  async handleDelete(address, path, requestHeaders) {
-    const [oldestValidTokenTimestamp, isBkBltd] = await Promise.all([
+  getVersionPath(filePath, versionId) {
+    if (!isString(versionId) || !/^\d+\.[0-9A-Za-z]+$/.test(versionId)) {
+      throw new InvalidInputError(`Invalid versionId: ${versionId}`);
+    }
+
+    const fileName = this.getFileName(filePath);
+    const filePathPrefix = filePath.slice(0, filePath.length - fileName.length);
+    return `${filePathPrefix}.history.${versionId}.${fileName}`;
+  }
+
+  async handleListVersions(address, path, requestHeaders) {
+    const [oldestValidTokenTimestamp] = await Promise.all([
+      this.authTimestampCache.getAuthTimestamp(address),
+      this.blacklistCache.checkBlacklisted(address, LIST_VERSIONS),
+    ]);
+
+    const authObject = this.validate(
+      address, requestHeaders, oldestValidTokenTimestamp
+    );
+
+    const scopes = authObject.parseAuthScopes();
+    if (this.privateStorage) this.checkReadScopes(address, path, scopes);
+
+    // Hide historical files like handleListFiles does.
+    if (this.isArchivalRestricted(scopes)) return [];
+
+    const fileName = this.getFileName(path);
+    const filePathPrefix = path.slice(0, path.length - fileName.length);
+    const pathPrefix = `${address}/${filePathPrefix}.history.`;
+
+    // Historical files are next to the file, list them all then pick this file's.
+    const versions = [];
+    let page = null;
+    do {
+      const listResult = await this.driver.listFilesStat({
+        pathPrefix, page, pageSize: null,
+      });
+      for (const entry of listResult.entries) {
+        const historicalName = `.history.${entry.name}`;
+        const parsed = parseHistoricalFileName(historicalName);
+        if (!parsed || parsed.fileName !== fileName) continue;
+
+        versions.push({
+          versionId: parsed.versionId,
+          timestamp: parsed.timestamp,
+          path: `${filePathPrefix}${historicalName}`,
+          etag: entry.etag,
+          contentLength: entry.contentLength,
+          lastModifiedDate: entry.lastModifiedDate,
+        });
+      }
+      page = listResult.page;
+    } while (page);
+
+    versions.sort((a, b) => b.timestamp - a.timestamp);
+    return versions;
+  }
+
+  async handleRestoreVersion(address, path, versionId, requestHeaders) {
+    const [oldestValidTokenTimestamp] = await Promise.all([
       this.authTimestampCache.getAuthTimestamp(address),
-      this.blacklistCache.isBlacklisted(address, DELETE_FILE),
+      this.blacklistCache.checkBlacklisted(address, RESTORE_VERSION),
     ]);
-    if (isBkBltd) {
-      throw new ValidationError(`Address ${address} is on the not authorized list`);
+
+    const authObject = this.validate(
+      address, requestHeaders, oldestValidTokenTimestamp
+    );
+    const { assoIssAddress } = authObject;
+
+    const scopes = authObject.parseAuthScopes();
+    this.checkWriteScopes(address, path, scopes);
+    this.checkArchivalRestrictions(address, path, scopes);
+
+    const versionPath = this.getVersionPath(path, versionId);
+    const stat = await this.driver.performStat({
+      storageTopLevel: address, path: versionPath,
+    });
+    if (!stat.exists) throw new DoesNotExist('Version does not exist');
+
+    // The current file is kept as history, so nothing is freed.
+    await this.quotas.validateWrite(address, path, stat.contentLength, true);
+
+    // Archive the current file first, then copy so the version stays in history.
+    const results = [];
+    const { rnResult } = await this.archiveBeforeWrite(
+      address, path, requestHeaders['if-match'], null, assoIssAddress
+    );
+    if (isObject(rnResult)) results.push(rnResult);
+
+    const cpResult = await this.driver.performCopy({
+      storageTopLevel: address,
+      path: versionPath,
+      newPath: path,
+      ifMatchTag: stat.etag,
+      assoIssAddress: assoIssAddress,
+    });
+    results.push(cpResult);
+
+    const backupPaths = [], fileLogs = [];
+    for (const result of results) {
+      backupPaths.push(...result.backupPaths);
+      fileLogs.push(...result.fileLogs);
     }
+    await this.dispatchTask(backupPaths, fileLogs);
+
+    return this.fixWriteResponse(cpResult.result);
+  }
+
+  async handleDelete(address, path, requestHeaders) {
+    const [oldestValidTokenTimestamp] = await Promise.all([
+      this.authTimestampCache.getAuthTimestamp(address),
+      this.blacklistCache.checkBlacklisted(address, DELETE_FILE),
+    ]);
 
     const authObject = this.validate(
       address, requestHeaders, oldestValidTokenTimestamp
@@ -212,17 +811,14 @@ export class HubServer {
       backupPaths.push(...result.backupPaths);
       fileLogs.push(...result.fileLogs);
     }
-    await this.driver.addTaskToQueue(backupPaths, fileLogs);
+    await this.dispatchTask(backupPaths, fileLogs);
   }
 
   async handleRequest(address, path, requestHeaders, stream) {
-    const [oldestValidTokenTimestamp, isBkBltd] = await Promise.all([
+    const [oldestValidTokenTimestamp] = await Promise.all([
       this.authTimestampCache.getAuthTimestamp(address),
-      this.blacklistCache.isBlacklisted(address, PUT_FILE),
+      this.blacklistCache.checkBlacklisted(address, PUT_FILE),
     ]);
-    if (isBkBltd) {
-      throw new ValidationError(`Address ${address} is on the not authorized list`);
-    }
 
     const authObject = this.validate(
       address, requestHeaders, oldestValidTokenTimestamp
@@ -259,100 +855,287 @@ export class HubServer {
 
     const ifMatchTag = requestHeaders['if-match'];
     const ifNoneMatchTag = requestHeaders['if-none-match'];
-    // only one match-tag header should be set
+    // only one match-tag header should be set
+    if (ifMatchTag && ifNoneMatchTag) {
+      throw new PreconditionFailedError('Request should not contain both if-match and if-none-match headers');
+    }
+    // only support using if-none-match for file creation, values that aren't the wildcard are prohibited
+    if (ifNoneMatchTag && ifNoneMatchTag !== '*') {
+      throw new PreconditionFailedError('Misuse of the if-none-match header. Expected to be * on write requests.');
+    }
+
+    let contentType = requestHeaders['content-type'];
+    if (contentType === null || contentType === undefined) {
+      contentType = 'application/octet-stream';
+    }
+
+    const contentLengthHeader = requestHeaders['content-length'];
+    const contentLengthBytes = parseInt(contentLengthHeader, 10);
+    const isLengthFinite = Number.isFinite(contentLengthBytes) && contentLengthBytes > 0;
+
+    // If a valid content-length is specified check to immediately return error
+    if (isLengthFinite && contentLengthBytes > this.maxFileUploadSizeBytes) {
+      const errMsg = (
+        `Max file upload size is ${this.maxFileUploadSizeMB} megabytes. ` +
+        `Rejected Content-Length of ${bytesToMegabytes(contentLengthBytes, 4)} megabytes`
+      );
+      throw new PayloadTooLargeError(errMsg);
+    }
+
+    // A retry with the same Idempotency-Key gets the first response, see run.
+    const idempotencyKey = this.idempotency.getKey(requestHeaders);
+    const hash = idempotencyKey === null ? null : this.idempotency.createHash(PUT_FILE, {
+      path, contentType, ifMatchTag, ifNoneMatchTag,
+    });
+
+    // Use the client reported content-length if available, otherwise fallback to the
+    // max configured length.
+    const maxContentLength = (
+      Number.isFinite(contentLengthBytes) && contentLengthBytes > 0
+        ? contentLengthBytes : this.maxFileUploadSizeBytes
+    );
+
+    // Create a PassThrough stream to monitor streaming chunk sizes.
+    const monitorContent = (nAllowedBytes = null) => monitorStreamProgress(
+      stream,
+      (totalBytes, _chunkLength, chunk) => {
+        // The quota is checked on the real size if the length is unknown.
+        if (nAllowedBytes !== null && totalBytes > nAllowedBytes) {
+          const error = new QuotaExceededError(
+            `Storage quota exceeded, rejected POST body stream of ${totalBytes} bytes`
+          );
+          stream.destroy(error);
+          throw error;
+        }
+        if (totalBytes > maxContentLength) {
+          const errMsg = (
+            `Max file upload size is ${this.maxFileUploadSizeMB} megabytes. ` +
+            `Rejected POST body stream of ${bytesToMegabytes(totalBytes, 4)} megabytes`
+          );
+          // Log error -- this situation is indicative of a malformed client request
+          // where the reported Content-Size is less than the upload size.
+          console.warn(`${errMsg}, address: ${address}`);
+
+          // Destroy the request stream -- cancels reading from the client
+          // and cancels uploading to the storage driver.
+          const error = new PayloadTooLargeError(errMsg);
+          stream.destroy(error);
+          throw error;
+        }
+        if (hash) hash.update(chunk);
+      }
+    );
+
+    const performStore = async () => {
+      // Not for a replay, the file is already counted.
+      const nAllowedBytes = await this.quotas.validateWrite(
+        address, path, isLengthFinite ? contentLengthBytes : null, isArchivalRestricted
+      );
+
+      let rnResult = null, writeTags = { ifMatchTag, ifNoneMatchTag };
+      if (isArchivalRestricted) {
+        ({ rnResult, ...writeTags } = await this.archiveBeforeWrite(
+          address, path, ifMatchTag, ifNoneMatchTag, authObject.assoIssAddress
+        ));
+      }
+
+      const { monitoredStream, pipelinePromise } = monitorContent(nAllowedBytes);
+      const writeCommand = {
+        storageTopLevel: address,
+        path,
+        content: monitoredStream,
+        contentType,
+        contentLength: contentLengthBytes,
+        ...writeTags,
+        assoIssAddress: authObject.assoIssAddress,
+      };
+      const [wResult] = await Promise.all([
+        this.driver.performWrite(writeCommand), pipelinePromise,
+      ]);
+      const writeResponse = this.fixWriteResponse(wResult.result)
+
+      const backupPaths = [], fileLogs = [];
+      if (isObject(rnResult)) {
+        backupPaths.push(...rnResult.backupPaths);
+        fileLogs.push(...rnResult.fileLogs);
+      }
+      backupPaths.push(...wResult.backupPaths);
+      fileLogs.push(...wResult.fileLogs);
+      await this.dispatchTask(backupPaths, fileLogs);
+
+      return writeResponse;
+    };
+    if (idempotencyKey === null) return performStore();
+
+    const getFingerprint = async () => {
+      // A duplicate's body isn't written, only read through for its hash.
+      if (!stream.readableEnded) {
+        const { monitoredStream, pipelinePromise } = monitorContent();
+        monitoredStream.resume();
+        await pipelinePromise;
+      }
+      return hash.digest('base64');
+    };
+    return this.idempotency.run(address, idempotencyKey, getFingerprint, performStore);
+  }
+
+  async validateUploadRequest(address, requestHeaders) {
+    const [oldestValidTokenTimestamp] = await Promise.all([
+      this.authTimestampCache.getAuthTimestamp(address),
+      this.blacklistCache.checkBlacklisted(address, PUT_FILE),
+    ]);
+
+    const authObject = this.validate(
+      address, requestHeaders, oldestValidTokenTimestamp
+    );
+    return authObject;
+  }
+
+  async handleStartUpload(address, path, contentType, contentLength, requestHeaders) {
+    const authObject = await this.validateUploadRequest(address, requestHeaders);
+
+    const scopes = authObject.parseAuthScopes();
+    this.checkWriteScopes(address, path, scopes);
+    const isArchivalRestricted = this.checkArchivalRestrictions(address, path, scopes);
+
+    // Also checks the path, the file is only written when finished.
+    await this.driver.performStat({ storageTopLevel: address, path });
+    // Same limit as the drivers, so that the upload doesn't fail only when finished.
+    if (isString(contentType) && contentType.length > 1024) {
+      throw new InvalidInputError('Invalid content-type');
+    }
+
+    if (contentLength !== null && contentLength > this.uploads.maxUploadSizeBytes) {
+      throw new PayloadTooLargeError(
+        `Max resumable upload size is ${this.uploads.maxUploadSizeMB} megabytes. ` +
+        `Rejected length of ${contentLength} bytes`
+      );
+    }
+    await this.quotas.validateWrite(address, path, contentLength, isArchivalRestricted);
+
+    const upload = await this.uploads.createUpload(
+      address, path, contentType || 'application/octet-stream', contentLength
+    );
+    return { uploadId: upload.id, offset: 0, expireDate: upload.expireDate };
+  }
+
+  async handleReadUpload(address, uploadId, requestHeaders) {
+    const authObject = await this.validateUploadRequest(address, requestHeaders);
+    const upload = await this.uploads.getUpload(address, uploadId);
+
+    const scopes = authObject.parseAuthScopes();
+    this.checkWriteScopes(address, upload.path, scopes);
+
+    const { offset } = await this.uploads.getProgress(upload);
+    return {
+      uploadId: upload.id,
+      path: upload.path,
+      contentType: upload.contentType,
+      contentLength: upload.contentLength,
+      offset,
+      expireDate: upload.expireDate,
+    };
+  }
+
+  async handleWriteUploadChunk(address, uploadId, offset, requestHeaders, stream) {
+    const authObject = await this.validateUploadRequest(address, requestHeaders);
+    const upload = await this.uploads.getUpload(address, uploadId);
+
+    const scopes = authObject.parseAuthScopes();
+    this.checkWriteScopes(address, upload.path, scopes);
+
+    // A chunk must say its length so that it can't go past the upload.
+    const chunkLength = parseInt(requestHeaders['content-length'], 10);
+    if (!Number.isFinite(chunkLength) || chunkLength <= 0) {
+      throw new InvalidInputError('Chunk must have a non-zero Content-Length');
+    }
+    if (chunkLength > this.maxFileUploadSizeBytes) {
+      throw new PayloadTooLargeError(
+        `Max chunk size is ${this.maxFileUploadSizeMB} megabytes. ` +
+        `Rejected Content-Length of ${chunkLength} bytes`
+      );
+    }
+    if (upload.contentLength !== null && offset + chunkLength > upload.contentLength) {
+      throw new InvalidInputError(
+        `Chunk goes past the upload length of ${upload.contentLength} bytes`
+      );
+    }
+    if (offset + chunkLength > this.uploads.maxUploadSizeBytes) {
+      throw new PayloadTooLargeError(
+        `Max resumable upload size is ${this.uploads.maxUploadSizeMB} megabytes`
+      );
+    }
+
+    const { monitoredStream, pipelinePromise } = monitorStreamProgress(
+      stream,
+      totalBytes => {
+        if (totalBytes > chunkLength) {
+          const error = new PayloadTooLargeError(
+            `Rejected chunk body stream over its Content-Length of ${chunkLength} bytes`
+          );
+          stream.destroy(error);
+          throw error;
+        }
+      }
+    );
+
+    const [newOffset] = await Promise.all([
+      this.uploads.writeChunk(upload, offset, monitoredStream), pipelinePromise,
+    ]);
+    return { offset: newOffset };
+  }
+
+  async handleFinishUpload(address, uploadId, requestHeaders) {
+    const authObject = await this.validateUploadRequest(address, requestHeaders);
+    const upload = await this.uploads.getUpload(address, uploadId);
+    const { path } = upload;
+
+    const scopes = authObject.parseAuthScopes();
+    this.checkWriteScopes(address, path, scopes);
+    const isArchivalRestricted = this.checkArchivalRestrictions(address, path, scopes);
+
+    const ifMatchTag = requestHeaders['if-match'];
+    const ifNoneMatchTag = requestHeaders['if-none-match'];
     if (ifMatchTag && ifNoneMatchTag) {
       throw new PreconditionFailedError('Request should not contain both if-match and if-none-match headers');
     }
-    // only support using if-none-match for file creation, values that aren't the wildcard are prohibited
     if (ifNoneMatchTag && ifNoneMatchTag !== '*') {
       throw new PreconditionFailedError('Misuse of the if-none-match header. Expected to be * on write requests.');
     }
 
-    let contentType = requestHeaders['content-type'];
-    if (contentType === null || contentType === undefined) {
-      contentType = 'application/octet-stream';
-    }
-
-    const contentLengthHeader = requestHeaders['content-length'];
-    const contentLengthBytes = parseInt(contentLengthHeader, 10);
-    const isLengthFinite = Number.isFinite(contentLengthBytes) && contentLengthBytes > 0;
-
-    // If a valid content-length is specified check to immediately return error
-    if (isLengthFinite && contentLengthBytes > this.maxFileUploadSizeBytes) {
-      const errMsg = (
-        `Max file upload size is ${this.maxFileUploadSizeMB} megabytes. ` +
-        `Rejected Content-Length of ${bytesToMegabytes(contentLengthBytes, 4)} megabytes`
+    const { offset, parts } = await this.uploads.getProgress(upload);
+    if (upload.contentLength !== null && offset !== upload.contentLength) {
+      throw new UploadOffsetError(
+        `Upload is incomplete, got ${offset} of ${upload.contentLength} bytes`, offset
       );
-      throw new PayloadTooLargeError(errMsg);
     }
 
-    let rnResult;
+    await this.quotas.validateWrite(address, path, offset, isArchivalRestricted);
+
+    let rnResult = null, writeTags = { ifMatchTag, ifNoneMatchTag };
     if (isArchivalRestricted) {
-      const historicalPath = this.getHistoricalFileName(path);
-      try {
-        rnResult = await this.driver.performRename({
-          path: path,
-          storageTopLevel: address,
-          newPath: historicalPath,
-          ifMatchTag: ifMatchTag,
-          assoIssAddress: authObject.assoIssAddress,
-        });
-      } catch (error) {
-        if (error instanceof DoesNotExist) {
-          console.debug(
-            '404 on putFileArchival rename attempt -- usually this is okay and ' +
-            'only indicates that this is the first time the file was written: ' +
-            `${address}/${path}`
-          );
-        } else {
-          throw error;
-        }
-      }
+      ({ rnResult, ...writeTags } = await this.archiveBeforeWrite(
+        address, path, ifMatchTag, ifNoneMatchTag, authObject.assoIssAddress
+      ));
     }
 
-    // Use the client reported content-length if available, otherwise fallback to the
-    // max configured length.
-    const maxContentLength = (
-      Number.isFinite(contentLengthBytes) && contentLengthBytes > 0
-        ? contentLengthBytes : this.maxFileUploadSizeBytes
-    );
-
-    // Create a PassThrough stream to monitor streaming chunk sizes.
-    const { monitoredStream, pipelinePromise } = monitorStreamProgress(
-      stream,
-      totalBytes => {
-        if (totalBytes > maxContentLength) {
-          const errMsg = (
-            `Max file upload size is ${this.maxFileUploadSizeMB} megabytes. ` +
-            `Rejected POST body stream of ${bytesToMegabytes(totalBytes, 4)} megabytes`
-          );
-          // Log error -- this situation is indicative of a malformed client request
-          // where the reported Content-Size is less than the upload size.
-          console.warn(`${errMsg}, address: ${address}`);
-
-          // Destroy the request stream -- cancels reading from the client
-          // and cancels uploading to the storage driver.
-          const error = new PayloadTooLargeError(errMsg);
-          stream.destroy(error);
-          throw error;
-        }
-      }
-    );
-
-    const writeCommand = {
+    const wResult = await this.driver.performWrite({
       storageTopLevel: address,
       path,
-      content: monitoredStream,
-      contentType,
-      contentLength: contentLengthBytes,
-      ifMatchTag: ifMatchTag,
-      ifNoneMatchTag: ifNoneMatchTag,
+      content: this.uploads.createContentStream(upload, parts),
+      contentType: upload.contentType,
+      contentLength: offset,
+      ...writeTags,
       assoIssAddress: authObject.assoIssAddress,
-    };
-    const [wResult] = await Promise.all([
-      this.driver.performWrite(writeCommand), pipelinePromise,
-    ]);
-    const writeResponse = this.fixWriteResponse(wResult.result)
+      resumable: offset >= RESUMABLE_WRITE_SIZE,
+    });
+
+    try {
+      await this.uploads.deleteUpload(upload);
+    } catch (error) {
+      // The file is written, the sweeper deletes the chunks after expiry.
+      console.error(`Delete upload ${upload.id} error`, error);
+    }
 
     const backupPaths = [], fileLogs = [];
     if (isObject(rnResult)) {
@@ -361,9 +1144,37 @@ export class HubServer {
     }
     backupPaths.push(...wResult.backupPaths);
     fileLogs.push(...wResult.fileLogs);
-    await this.driver.addTaskToQueue(backupPaths, fileLogs);
+    await this.dispatchTask(backupPaths, fileLogs);
 
-    return writeResponse;
+    return this.fixWriteResponse(wResult.result);
+  }
+
+  async handleAbortUpload(address, uploadId, requestHeaders) {
+    const authObject = await this.validateUploadRequest(address, requestHeaders);
+    const upload = await this.uploads.getUpload(address, uploadId);
+
+    const scopes = authObject.parseAuthScopes();
+    this.checkWriteScopes(address, upload.path, scopes);
+
+    await this.uploads.deleteUpload(upload);
+  }
+
+  async dispatchTask(backupPaths, fileLogs) {
+    if (backupPaths.length === 0 && fileLogs.length === 0) return;
+
+    await this.quotas.addUsage(fileLogs);
+    await this.notifications.publish(fileLogs);
+    await this.webhooks.dispatch(fileLogs);
+
+    // The file is already written, so don't fail the request, only report.
+    //   If the outbox has the entry, the flusher will redeliver it.
+    try {
+      await this.outbox.dispatch(backupPaths, fileLogs);
+    } catch (error) {
+      console.error(
+        'dispatchTask error', error, JSON.stringify({ backupPaths, fileLogs })
+      );
+    }
   }
 
   isArchivalRestricted(scopes) {
@@ -388,10 +1199,39 @@ export class HubServer {
         // not authorized to write to this path
         throw new ValidationError(`Address ${address} not authorized to modify ${path} by scopes`);
       }
+
+      // Modifying a historical file directly would change or erase history.
+      if (this.isHistoricalFile(path)) {
+        throw new ValidationError(`Address ${address} not authorized to modify historical file ${path} by scopes`);
+      }
     }
     return isArchivalRestricted;
   }
 
+  async archiveBeforeWrite(address, path, ifMatchTag, ifNoneMatchTag, assoIssAddress) {
+    // Nothing to archive if the file must not exist, the write checks it.
+    if (ifNoneMatchTag === '*') return { rnResult: null, ifMatchTag, ifNoneMatchTag };
+
+    let rnResult = null;
+    try {
+      rnResult = await this.driver.performRename({
+        path: path,
+        storageTopLevel: address,
+        newPath: this.getHistoricalFileName(path),
+        ifMatchTag: ifMatchTag,
+        assoIssAddress: assoIssAddress,
+      });
+    } catch (error) {
+      if (!(error instanceof DoesNotExist)) throw error;
+      if (ifMatchTag && ifMatchTag !== '*') {
+        throw new PreconditionFailedError('The provided ifMatchTag does not match the resource on the server', null);
+      }
+    }
+
+    // Once archived with If-Match checked, the file must not come back before the write.
+    return { rnResult, ifMatchTag: null, ifNoneMatchTag: '*' };
+  }
+
   fixWriteResponse(writeResponse) {
     const readURL = writeResponse.publicURL;
     const driverPrefix = this.driver.getReadURLPrefix();
@@ -407,16 +1247,99 @@ export class HubServer {
     return writeResponse;
   }
 
-  async _handlePerformFile(address, assoIssAddress, scopes, data) {
+  getPerformFileTags(data) {
+    const { ifMatch = null, ifNoneMatch = null } = data;
+    if (ifMatch !== null && !isString(ifMatch)) {
+      throw new InvalidInputError(`Invalid data.ifMatch: ${ifMatch}`);
+    }
+    if (ifNoneMatch !== null && !isString(ifNoneMatch)) {
+      throw new InvalidInputError(`Invalid data.ifNoneMatch: ${ifNoneMatch}`);
+    }
+    // Same rules as the if-match and if-none-match headers.
+    if (ifMatch && ifNoneMatch) {
+      throw new PreconditionFailedError('Data should not contain both ifMatch and ifNoneMatch');
+    }
+    if (ifNoneMatch && (ifNoneMatch !== '*' || data.type !== PUT_FILE)) {
+      throw new PreconditionFailedError(`Misuse of ifNoneMatch. Expected to be * on ${PUT_FILE}.`);
+    }
+    return { ifMatchTag: ifMatch, ifNoneMatchTag: ifNoneMatch };
+  }
+
+  getPerformFileContent(data, parts) {
+    // Decodes only when writing, so that a batch isn't held decoded all at once.
+    let { contentType, content, contentEncoding = null } = data;
+    if (contentEncoding === 'base64') {
+      if (!isString(content) || !BASE64_REGEX.test(content)) {
+        throw new InvalidInputError('Invalid data.content: not base64');
+      }
+      return {
+        contentLengthBytes: Buffer.byteLength(content, 'base64'),
+        getContent: async () => ({
+          content: Buffer.from(content, 'base64'),
+          contentType: isString(contentType) ? contentType : 'application/octet-stream',
+        }),
+      };
+    }
+    if (contentEncoding === 'binary') {
+      // The content is the name of a file part of a multipart request.
+      if (!isString(content) || !parts || !parts.has(content)) {
+        throw new InvalidInputError(`Invalid data.content: no binary part ${content}`);
+      }
+      return {
+        // Only known once the part is streamed, checked on the way.
+        contentLengthBytes: null,
+        getContent: async () => {
+          const part = await parts.take(content);
+          return {
+            content: part.stream,
+            contentType: isString(contentType) ?
+              contentType : part.type || 'application/octet-stream',
+          };
+        },
+      };
+    }
+    if (contentEncoding !== null && contentEncoding !== 'utf8') {
+      throw new InvalidInputError(`Invalid data.contentEncoding: ${contentEncoding}`);
+    }
+
+    if (isString(content)) {
+      if (!isString(contentType)) contentType = 'text/plain';
+    } else if (isObject(content)) {
+      if (!isString(contentType)) contentType = 'application/json';
+      content = JSON.stringify(content);
+    } else {
+      throw new InvalidInputError(`Invalid data.content: ${content}`);
+    }
+    return {
+      contentLengthBytes: Buffer.byteLength(content, 'utf8'),
+      getContent: async () => ({ content, contentType }),
+    };
+  }
+
+  async _handlePerformFile(address, assoIssAddress, scopes, data, parts) {
     const { id, type, path } = data;
+    const { ifMatchTag, ifNoneMatchTag } = this.getPerformFileTags(data);
+
+    // Checks its own archival restrictions as the source of a copy can be anywhere.
+    if (type === RENAME_FILE || type === COPY_FILE) {
+      await this.blacklistCache.checkBlacklisted(address, type);
+
+      const { newPath } = data;
+      if (!isString(newPath)) {
+        throw new InvalidInputError(`Invalid data.newPath: ${newPath}`);
+      }
+
+      const { result, backupPaths, fileLogs } = await this._performRenameOrCopy(
+        address, assoIssAddress, scopes, { type, path, newPath, ifMatchTag }
+      );
+
+      return { result: { ...result, success: true, id }, backupPaths, fileLogs };
+    }
 
     const isArchivalRestricted = this.checkArchivalRestrictions(address, path, scopes);
 
     if (type === PUT_FILE) {
-      const isBkBltd = await this.blacklistCache.isBlacklisted(address, PUT_FILE);
-      if (isBkBltd) {
-        throw new ValidationError(`Address ${address} is on the not authorized list`);
-      }
+      await this.blacklistCache.checkBlacklisted(address, PUT_FILE);
       if (assoIssAddress !== null) {
         // Not check for now. Can avoid easily by not providing assoIssAddress.
         /*const isAiBltd = await this.blacklistCache.isBlacklisted(
@@ -443,17 +1366,7 @@ export class HubServer {
         }
       }
 
-      let { contentType, content } = data;
-      if (isString(content)) {
-        if (!isString(contentType)) contentType = 'text/plain';
-      } else if (isObject(content)) {
-        if (!isString(contentType)) contentType = 'application/json';
-        content = JSON.stringify(content);
-      } else {
-        throw new InvalidInputError(`Invalid data.content: ${content}`);
-      }
-
-      const contentLengthBytes = Buffer.byteLength(content, 'utf8');
+      const { contentLengthBytes, getContent } = this.getPerformFileContent(data, parts);
       if (contentLengthBytes > this.maxFileUploadSizeBytes) {
         const errMsg = (
           `Max file upload size is ${this.maxFileUploadSizeMB} megabytes. ` +
@@ -462,41 +1375,34 @@ export class HubServer {
         throw new PayloadTooLargeError(errMsg);
       }
 
-      let rnResult;
+      await this.quotas.validateWrite(
+        address, path, contentLengthBytes, isArchivalRestricted
+      );
+
+      let rnResult = null, writeTags = { ifMatchTag, ifNoneMatchTag };
       if (isArchivalRestricted) {
-        const historicalPath = this.getHistoricalFileName(path);
-        try {
-          rnResult = await this.driver.performRename({
-            path: path,
-            storageTopLevel: address,
-            newPath: historicalPath,
-            ifMatchTag: null,
-            assoIssAddress: assoIssAddress,
-          });
-        } catch (error) {
-          if (error instanceof DoesNotExist) {
-            console.debug(
-              '404 on putFileArchival rename attempt -- usually this is okay and ' +
-              'only indicates that this is the first time the file was written: ' +
-              `${address}/${path}`
-            );
-          } else {
-            throw error;
-          }
-        }
+        ({ rnResult, ...writeTags } = await this.archiveBeforeWrite(
+          address, path, ifMatchTag, ifNoneMatchTag, assoIssAddress
+        ));
       }
 
+      const { content, contentType } = await getContent();
       const writeCommand = {
         storageTopLevel: address,
         path,
         content,
         contentType,
         contentLength: contentLengthBytes,
-        ifMatchTag: null,
-        ifNoneMatchTag: null,
+        ...writeTags,
         assoIssAddress: assoIssAddress,
       };
-      const wResult = await this.driver.performWrite(writeCommand);
+      let wResult;
+      try {
+        wResult = await this.driver.performWrite(writeCommand);
+      } finally {
+        // A part not read through would hold back the ones after it.
+        if (content instanceof Readable) content.destroy();
+      }
       let writeResponse = this.fixWriteResponse(wResult.result);
       writeResponse = { ...writeResponse, success: true, id };
 
@@ -512,10 +1418,7 @@ export class HubServer {
     }
 
     if (type === DELETE_FILE) {
-      const isBkBltd = await this.blacklistCache.isBlacklisted(address, DELETE_FILE);
-      if (isBkBltd) {
-        throw new ValidationError(`Address ${address} is on the not authorized list`);
-      }
+      await this.blacklistCache.checkBlacklisted(address, DELETE_FILE);
       if (assoIssAddress !== null) {
         // Not check for now. Can avoid easily by not providing assoIssAddress.
         /*const isAiBltd = await this.blacklistCache.isBlacklisted(
@@ -551,7 +1454,7 @@ export class HubServer {
           path: path,
           storageTopLevel: address,
           newPath: historicalPath,
-          ifMatchTag: null,
+          ifMatchTag: ifMatchTag,
           assoIssAddress: assoIssAddress,
         });
       } else {
@@ -560,7 +1463,7 @@ export class HubServer {
           result = await this.driver.performDelete({
             storageTopLevel: address,
             path,
-            ifMatchTag: null,
+            ifMatchTag: ifMatchTag,
             assoIssAddress: assoIssAddress,
           });
         } catch (error) {
@@ -582,17 +1485,23 @@ export class HubServer {
     throw new InvalidInputError(`Invalid data.type: ${data.type}`);
   }
 
-  async _handlePerformFiles(address, assoIssAddress, scopes, data) {
+  async _handlePerformFiles(address, assoIssAddress, scopes, data, parts, onResult) {
     const results = [];
 
     if (Array.isArray(data.values) && [true, false].includes(data.isSequential)) {
       if (data.isSequential) {
-        for (const value of data.values) {
+        for (let i = 0; i < data.values.length; i++) {
           const pResults = await this._handlePerformFiles(
-            address, assoIssAddress, scopes, value
+            address, assoIssAddress, scopes, data.values[i], parts, onResult
           );
           results.push(...pResults);
-          if (pResults.some(pResult => !pResult.result.success)) break;
+          if (pResults.some(pResult => !pResult.result.success)) {
+            // The rest isn't performed, so their parts can be read through.
+            if (parts) {
+              parts.releaseAll({ values: data.values.slice(i + 1), isSequential: true });
+            }
+            break;
+          }
         }
       } else {
         const nItems = 10;
@@ -600,7 +1509,7 @@ export class HubServer {
           const selectedValues = data.values.slice(i, i + nItems);
           const aResults = await Promise.all(selectedValues.map(value => {
             return this._handlePerformFiles(
-              address, assoIssAddress, scopes, value
+              address, assoIssAddress, scopes, value, parts, onResult
             );
           }));
           for (const pResults of aResults) {
@@ -611,15 +1520,19 @@ export class HubServer {
     } else if (isString(data.id) && isString(data.type) && isString(data.path)) {
       try {
         const pResult = await this._handlePerformFile(
-          address, assoIssAddress, scopes, data
+          address, assoIssAddress, scopes, data, parts
         );
         results.push(pResult);
       } catch (error) {
         const result = {
           error: error.toString().slice(0, 999), success: false, id: data.id,
         };
+        if (error instanceof PreconditionFailedError) result.etag = error.expectedEtag;
+        if (error instanceof BlacklistedError) result.policy = error.policy;
         results.push({ result, backupPaths: [], fileLogs: [] });
       }
+      if (parts && data.contentEncoding === 'binary') parts.release(data.content);
+      if (onResult) onResult(results[0]);
     } else {
       console.log('In handlePerformFiles, invalid data:', data);
     }
@@ -627,14 +1540,257 @@ export class HubServer {
     return results;
   }
 
-  async handlePerformFiles(address, requestBody, requestHeaders) {
-    const [oldestValidTokenTimestamp, isBkBltd] = await Promise.all([
+  _collectPerformFilesValues(data, values) {
+    if (Array.isArray(data.values) && [true, false].includes(data.isSequential)) {
+      for (const value of data.values) this._collectPerformFilesValues(value, values);
+    } else if (isString(data.id) && isString(data.type) && isString(data.path)) {
+      values.push(data);
+    } else {
+      throw new InvalidInputError('Invalid data: must be values or an id, type and path');
+    }
+  }
+
+  async _checkPerformFile(address, scopes, data, parts) {
+    // Only the checks that don't need the files, returns the paths to be changed.
+    const { type, path } = data;
+    if (![PUT_FILE, DELETE_FILE, RENAME_FILE, COPY_FILE].includes(type)) {
+      throw new InvalidInputError(`Invalid data.type: ${type}`);
+    }
+
+    await this.blacklistCache.checkBlacklisted(address, type);
+    this.getPerformFileTags(data);
+
+    if (type === RENAME_FILE || type === COPY_FILE) {
+      const { newPath } = data;
+      if (!isString(newPath) || path === newPath) {
+        throw new InvalidInputError(`Invalid data.newPath: ${newPath}`);
+      }
+
+      this.checkWriteScopes(address, newPath, scopes);
+      if (type === RENAME_FILE) this.checkDeleteScopes(address, path, scopes);
+      if (this.privateStorage) this.checkReadScopes(address, path, scopes);
+
+      this.checkArchivalRestrictions(address, newPath, scopes);
+      if (type === RENAME_FILE) this.checkArchivalRestrictions(address, path, scopes);
+      return type === RENAME_FILE ? [path, newPath] : [newPath];
+    }
+
+    this.checkArchivalRestrictions(address, path, scopes);
+    if (type === PUT_FILE) {
+      this.checkWriteScopes(address, path, scopes);
+      this.getPerformFileContent(data, parts);
+    } else {
+      this.checkDeleteScopes(address, path, scopes);
+    }
+    return [path];
+  }
+
+  async _backupFile(address, path, backups) {
+    // Only the first backup of a path is its state before the batch.
+    if (backups.has(path)) return;
+
+    const backupPath = this.getHistoricalFileName(path);
+    try {
+      const cpResult = await this.driver.performCopy({
+        storageTopLevel: address,
+        path,
+        newPath: backupPath,
+        ifMatchTag: null,
+        assoIssAddress: null,
+      });
+      backups.set(path, { backupPath, fileLogs: cpResult.fileLogs });
+    } catch (error) {
+      if (!(error instanceof DoesNotExist)) throw error;
+      backups.set(path, null);
+    }
+  }
+
+  async _deleteFiles(address, paths, fileLogs = null) {
+    let isDeleted = true;
+    for (const path of paths) {
+      try {
+        const result = await this.driver.performDelete({
+          storageTopLevel: address, path, ifMatchTag: null, assoIssAddress: null,
+        });
+        if (fileLogs !== null && isObject(result)) fileLogs.push(...result.fileLogs);
+      } catch (error) {
+        if (error instanceof DoesNotExist) continue;
+        console.error(`Delete ${address}/${path} error`, error);
+        isDeleted = false;
+      }
+    }
+    return isDeleted;
+  }
+
+  async _deleteBackups(address, backups, fileLogs) {
+    // A deleted backup is left out of the file logs as if never made,
+    //   one that's kept is a historical file like any other.
+    let isDeleted = true;
+    for (const backup of backups.values()) {
+      if (backup === null) continue;
+      if (await this._deleteFiles(address, [backup.backupPath])) continue;
+
+      fileLogs.push(...backup.fileLogs);
+      isDeleted = false;
+    }
+    return isDeleted;
+  }
+
+  async _rollbackPerformFiles(address, backups, createdPaths) {
+    const backupPaths = [], fileLogs = [];
+    let isRolledBack = true;
+    for (const [path, backup] of backups) {
+      if (backup === null) {
+        if (!(await this._deleteFiles(address, [path], fileLogs))) isRolledBack = false;
+        continue;
+      }
+      try {
+        const cpResult = await this.driver.performCopy({
+          storageTopLevel: address,
+          path: backup.backupPath,
+          newPath: path,
+          ifMatchTag: null,
+          assoIssAddress: null,
+        });
+        backupPaths.push(...cpResult.backupPaths);
+        fileLogs.push(...cpResult.fileLogs);
+      } catch (error) {
+        console.error(`Restore ${address}/${path} from ${backup.backupPath} error`, error);
+        isRolledBack = false;
+      }
+    }
+
+    // e.g. historical files of archival writes.
+    const paths = [...createdPaths].filter(path => !backups.has(path));
+    if (!(await this._deleteFiles(address, paths, fileLogs))) isRolledBack = false;
+
+    // Keep the backups if not restored, they are the only copies.
+    if (isRolledBack) {
+      await this._deleteBackups(address, backups, fileLogs);
+    } else {
+      for (const backup of backups.values()) {
+        if (backup !== null) fileLogs.push(...backup.fileLogs);
+      }
+    }
+    return { isRolledBack, backupPaths, fileLogs };
+  }
+
+  /*
+   * Applies all the values in order or none of them. Every path is copied
+   *   to a historical file before its first change and copied back on failure.
+   * On failure, the file logs of the values and of the rollback are returned
+   *   so that usage and the changes add up to the files as they end up.
+   * Not isolated from other requests changing the same files at the same time.
+   */
+  async _handleAtomicPerformFiles(address, assoIssAddress, scopes, data, parts) {
+    const values = [];
+    this._collectPerformFilesValues(data, values);
+
+    const changedPaths = [];
+    for (const value of values) {
+      changedPaths.push(await this._checkPerformFile(address, scopes, value, parts));
+    }
+
+    const backups = new Map(), createdPaths = new Set(), pResults = [];
+    let failure = null;
+    for (let i = 0; i < values.length; i++) {
+      try {
+        for (const path of changedPaths[i]) await this._backupFile(address, path, backups);
+
+        const pResult = await this._handlePerformFile(
+          address, assoIssAddress, scopes, values[i], parts
+        );
+        for (const fileLog of pResult.fileLogs) {
+          if (fileLog.action !== CREATE_FILE) continue;
+          createdPaths.add(fileLog.path.slice(address.length + 1));
+        }
+        pResults.push(pResult);
+      } catch (error) {
+        failure = { id: values[i].id, error: error.toString().slice(0, 999) };
+        if (error instanceof PreconditionFailedError) failure.etag = error.expectedEtag;
+        if (error instanceof BlacklistedError) failure.policy = error.policy;
+        break;
+      }
+    }
+
+    if (failure === null) {
+      const fileLogs = [];
+      if (!(await this._deleteBackups(address, backups, fileLogs))) {
+        console.error(
+          'Delete backups of atomic perform files error',
+          JSON.stringify({ address, backups: [...backups] })
+        );
+      }
+
+      const response = {
+        success: true, results: pResults.map(pResult => pResult.result),
+      };
+      return { response, pResults: [...pResults, { backupPaths: [], fileLogs }] };
+    }
+
+    const rbResult = await this._rollbackPerformFiles(address, backups, createdPaths);
+    const { isRolledBack } = rbResult;
+    if (!isRolledBack) {
+      console.error(
+        'Rollback atomic perform files error',
+        JSON.stringify({ address, failure, backups: [...backups] })
+      );
+    }
+
+    const results = values.map((value, i) => {
+      if (value.id === failure.id) return { ...failure, success: false };
+
+      const error = i < pResults.length ? 'Rolled back' : 'Not performed';
+      return { error, success: false, id: value.id };
+    });
+    const response = { success: false, isRolledBack, ...failure, results };
+
+    // The files of the values are rolled back, so only their logs are kept.
+    const rbResults = pResults.map(pResult => {
+      return { backupPaths: [], fileLogs: pResult.fileLogs };
+    });
+    return { response, pResults: [...rbResults, rbResult] };
+  }
+
+  async readPerformFilesForm(requestHeaders, stream) {
+    // A multipart request has the JSON in a data field and then the binary
+    //   contents in file parts, in the order of the operations using them.
+    //   The parts are streamed to the driver as they come.
+    const contentLengthBytes = parseInt(requestHeaders['content-length'], 10);
+    const tooLargeError = new PayloadTooLargeError(
+      `Max perform files size is ${this.maxFileUploadSizeMB} megabytes.`
+    );
+    if (contentLengthBytes > this.maxFileUploadSizeBytes) throw tooLargeError;
+
+    const { monitoredStream, pipelinePromise } = monitorStreamProgress(
+      stream,
+      totalBytes => {
+        if (totalBytes > this.maxFileUploadSizeBytes) {
+          stream.destroy(tooLargeError);
+          throw tooLargeError;
+        }
+      }
+    );
+    // Errors reach the parts through the monitored stream.
+    pipelinePromise.catch(() => {});
+
+    const parts = new MultipartParts(this.maxFileUploadSizeBytes);
+    const requestBody = await parts.read(monitoredStream, requestHeaders);
+    return { requestBody, parts };
+  }
+
+  /*
+   * If onResult is given, it's called with the result of each operation as it's
+   *   done, for streaming. Not for atomic requests as their results can change
+   *   at the end.
+   */
+  async handlePerformFiles(
+    address, requestBody, requestHeaders, parts = null, onResult = null
+  ) {
+    const [oldestValidTokenTimestamp] = await Promise.all([
       this.authTimestampCache.getAuthTimestamp(address),
-      this.blacklistCache.isBlacklisted(address, PERFORM_FILES),
+      this.blacklistCache.checkBlacklisted(address, PERFORM_FILES),
     ]);
-    if (isBkBltd) {
-      throw new ValidationError(`Address ${address} is on the not authorized list`);
-    }
 
     const authObject = this.validate(
       address, requestHeaders, oldestValidTokenTimestamp
@@ -651,18 +1807,81 @@ export class HubServer {
 
     const scopes = authObject.parseAuthScopes();
 
-    const pResults = await this._handlePerformFiles(
-      address, authObject.assoIssAddress, scopes, requestBody
-    );
+    if (isObject(requestBody) && requestBody.isAtomic === true && onResult) {
+      throw new InvalidInputError('An atomic request can\'t be streamed');
+    }
 
-    const response = [], backupPaths = [], fileLogs = [];
-    for (const pfResult of pResults) {
-      response.push(pfResult.result);
-      backupPaths.push(...pfResult.backupPaths);
-      fileLogs.push(...pfResult.fileLogs);
+    const idempotencyKey = this.idempotency.getKey(requestHeaders);
+    if (idempotencyKey === null) {
+      try {
+        return await this._performFiles(
+          address, authObject.assoIssAddress, scopes, requestBody, parts, onResult
+        );
+      } finally {
+        if (parts) await parts.finish();
+      }
     }
-    await this.driver.addTaskToQueue(backupPaths, fileLogs);
 
+    const getFingerprint = async () => {
+      const hash = this.idempotency.createHash(PERFORM_FILES, requestBody);
+      // The parts are hashed as they're streamed, a duplicate's only read through.
+      if (parts) hash.update(await parts.digest());
+      return hash.digest('base64');
+    };
+    let isPerformed = false;
+    const response = await this.idempotency.run(
+      address, idempotencyKey, getFingerprint, () => {
+        isPerformed = true;
+        return this._performFiles(
+          address, authObject.assoIssAddress, scopes, requestBody, parts, onResult
+        );
+      }
+    );
+    // A replayed response is streamed all at once.
+    if (!isPerformed && onResult) response.forEach(result => onResult(result));
     return response;
   }
+
+  async _performFiles(address, assoIssAddress, scopes, requestBody, parts, onResult) {
+    if (isObject(requestBody) && requestBody.isAtomic === true) {
+      const { response, pResults } = await this._handleAtomicPerformFiles(
+        address, assoIssAddress, scopes, requestBody, parts
+      );
+
+      const backupPaths = [], fileLogs = [];
+      for (const pfResult of pResults) {
+        backupPaths.push(...pfResult.backupPaths);
+        fileLogs.push(...pfResult.fileLogs);
+      }
+      await this.dispatchTask(backupPaths, fileLogs);
+
+      return response;
+    }
+
+    const pResults = [];
+    try {
+      if (onResult) {
+        // Collect as they're done so the ones done are dispatched even on error.
+        await this._handlePerformFiles(
+          address, assoIssAddress, scopes, requestBody, parts, (pResult) => {
+            pResults.push(pResult);
+            onResult(pResult.result);
+          }
+        );
+      } else {
+        pResults.push(...await this._handlePerformFiles(
+          address, assoIssAddress, scopes, requestBody, parts, null
+        ));
+      }
+    } finally {
+      const backupPaths = [], fileLogs = [];
+      for (const pfResult of pResults) {
+        backupPaths.push(...pfResult.backupPaths);
+        fileLogs.push(...pfResult.fileLogs);
+      }
+      await this.dispatchTask(backupPaths, fileLogs);
+    }
+
+    return pResults.map(pfResult => pfResult.result);
+  }
 }
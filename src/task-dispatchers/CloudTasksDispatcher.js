@@ -0,0 +1,51 @@
+import { CloudTasksClient } from '@google-cloud/tasks';
+
+import { retryWithBackoff } from '../utils';
+
+class CloudTasksDispatcher {
+
+  constructor(config) {
+    const cloudTasksSettings = config.cloudTasksSettings || {};
+    const { project, location, queue, url } = cloudTasksSettings;
+    if (!project || !location || !queue || !url) {
+      throw new Error('Config is missing cloudTasksSettings.project, location, queue or url');
+    }
+
+    this.tasks = new CloudTasksClient();
+    this.parent = this.tasks.queuePath(project, location, queue);
+    this.url = url;
+    this.serviceAccountEmail = cloudTasksSettings.serviceAccountEmail;
+    this.nTries = config.taskDispatchTries || 3;
+    this.baseDelay = config.taskDispatchBaseDelay || 200;
+  }
+
+  ensureInitialized() {
+    return Promise.resolve();
+  }
+
+  dispose() {
+    return this.tasks.close();
+  }
+
+  async dispatch(backupPaths, fileLogs) {
+    const httpRequest = {
+      headers: { 'Content-Type': 'application/json' },
+      httpMethod: /** @type any */('POST'),
+      url: this.url,
+      body: Buffer.from(JSON.stringify({ backupPaths, fileLogs })).toString('base64'),
+    };
+    if (this.serviceAccountEmail) {
+      httpRequest.oidcToken = { serviceAccountEmail: this.serviceAccountEmail };
+    }
+    const task = { httpRequest };
+
+    await retryWithBackoff(
+      () => this.tasks.createTask({ parent: this.parent, task }),
+      this.nTries,
+      this.baseDelay
+    );
+  }
+}
+
+const taskDispatcher = CloudTasksDispatcher;
+export default taskDispatcher;
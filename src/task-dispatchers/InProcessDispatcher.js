@@ -0,0 +1,41 @@
+import { retryWithBackoff } from '../utils';
+
+/*
+ * Hands tasks to a handler in this process, e.g. for on-prem or tests.
+ *   Without a handler, dispatching fails so the outbox keeps the tasks to retry.
+ */
+class InProcessDispatcher {
+
+  constructor(config) {
+    this.handler = config.taskHandler || null;
+    this.nTries = config.taskDispatchTries || 3;
+    this.baseDelay = config.taskDispatchBaseDelay || 200;
+  }
+
+  ensureInitialized() {
+    return Promise.resolve();
+  }
+
+  dispose() {
+    return Promise.resolve();
+  }
+
+  setHandler(handler) {
+    this.handler = handler;
+  }
+
+  async dispatch(backupPaths, fileLogs) {
+    if (!this.handler) {
+      throw new Error('No task handler to dispatch the task to');
+    }
+
+    await retryWithBackoff(
+      () => this.handler({ backupPaths, fileLogs }),
+      this.nTries,
+      this.baseDelay
+    );
+  }
+}
+
+const taskDispatcher = InProcessDispatcher;
+export default taskDispatcher;
@@ -0,0 +1,52 @@
+import { retryWithBackoff } from '../utils';
+
+/*
+ * POSTs tasks as JSON to a local tasker, with the shared secret
+ *   as a bearer token if configured.
+ */
+class WebhookDispatcher {
+
+  constructor(config) {
+    const webhookSettings = config.webhookDispatcherSettings || {};
+    if (!webhookSettings.url) {
+      throw new Error('Config is missing webhookDispatcherSettings.url');
+    }
+
+    this.url = webhookSettings.url;
+    this.secret = webhookSettings.secret || null;
+    this.timeout = webhookSettings.timeout || 10 * 1000;
+    this.nTries = config.taskDispatchTries || 3;
+    this.baseDelay = config.taskDispatchBaseDelay || 200;
+  }
+
+  ensureInitialized() {
+    return Promise.resolve();
+  }
+
+  dispose() {
+    return Promise.resolve();
+  }
+
+  async post(body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.secret) headers['Authorization'] = `Bearer ${this.secret}`;
+
+    const res = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(this.timeout),
+    });
+    if (!res.ok) {
+      throw new Error(`Webhook ${this.url} responded ${res.status}`);
+    }
+  }
+
+  async dispatch(backupPaths, fileLogs) {
+    const body = JSON.stringify({ backupPaths, fileLogs });
+    await retryWithBackoff(() => this.post(body), this.nTries, this.baseDelay);
+  }
+}
+
+const taskDispatcher = WebhookDispatcher;
+export default taskDispatcher;
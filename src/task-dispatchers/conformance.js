@@ -0,0 +1,69 @@
+import * as assert from 'assert/strict';
+
+import { CREATE_FILE } from '../const';
+
+/*
+ * A task dispatcher conformance suite. The receiver is what the dispatcher
+ *   delivers to: { received, nFailures }, it fails while nFailures > 0.
+ */
+
+const createPayload = () => {
+  const path = `test/${Date.now()}.txt`;
+  const fileLog = {
+    path, assoIssAddress: null, action: CREATE_FILE, size: 5, sizeChange: 5,
+    createDT: Date.now(),
+  };
+  return { backupPaths: [path], fileLogs: [fileLog] };
+};
+
+const cases = [];
+const addCase = (name, fn) => {
+  cases.push({ name, fn });
+};
+
+addCase('dispatch delivers the payload', async (taskDispatcher, receiver) => {
+  const { backupPaths, fileLogs } = createPayload();
+  await taskDispatcher.dispatch(backupPaths, fileLogs);
+
+  assert.equal(receiver.received.length, 1);
+  assert.deepEqual(receiver.received[0], { backupPaths, fileLogs });
+});
+
+addCase('dispatch retries', async (taskDispatcher, receiver) => {
+  receiver.nFailures = 1;
+
+  const { backupPaths, fileLogs } = createPayload();
+  await taskDispatcher.dispatch(backupPaths, fileLogs);
+
+  assert.deepEqual(receiver.received, [{ backupPaths, fileLogs }]);
+});
+
+addCase('dispatch reports failures', async (taskDispatcher, receiver) => {
+  receiver.nFailures = 100;
+
+  const { backupPaths, fileLogs } = createPayload();
+  await assert.rejects(taskDispatcher.dispatch(backupPaths, fileLogs));
+  assert.equal(receiver.received.length, 0);
+});
+
+/*
+ * Runs every case against the task dispatcher and logs the results.
+ *   Returns the number of failed cases.
+ */
+export const runTaskDispatcherConformance = async (name, taskDispatcher, receiver) => {
+  await taskDispatcher.ensureInitialized();
+
+  let nFailed = 0;
+  for (const c of cases) {
+    [receiver.received, receiver.nFailures] = [[], 0];
+    try {
+      await c.fn(taskDispatcher, receiver);
+      console.log(`[${name}] ok - ${c.name}`);
+    } catch (error) {
+      nFailed += 1;
+      console.log(`[${name}] FAILED - ${c.name}`);
+      console.log(error);
+    }
+  }
+  return nFailed;
+};
@@ -0,0 +1,62 @@
+import { DoesNotExist, InvalidInputError } from './errors';
+import { isObject, isString, isNumber } from './utils';
+
+const validateFileLog = (fileLog) => {
+  if (!isObject(fileLog)) return false;
+
+  const { path, assoIssAddress, action, size, sizeChange, createDT } = fileLog;
+  if (!isString(path) || !isString(action)) return false;
+  if (assoIssAddress !== null && !isString(assoIssAddress)) return false;
+  if (!isNumber(size) || !isNumber(sizeChange) || !isNumber(createDT)) return false;
+  return true;
+};
+
+const validatePayload = (payload) => {
+  if (!isObject(payload)) {
+    throw new InvalidInputError('Invalid payload: must be an object');
+  }
+
+  const { backupPaths, fileLogs } = payload;
+  if (!Array.isArray(backupPaths) || !backupPaths.every(path => isString(path))) {
+    throw new InvalidInputError('Invalid payload: backupPaths must be an array of strings');
+  }
+  if (!Array.isArray(fileLogs) || !fileLogs.every(fileLog => validateFileLog(fileLog))) {
+    throw new InvalidInputError('Invalid payload: invalid fileLogs');
+  }
+};
+
+/*
+ * Consumes the { backupPaths, fileLogs } payloads that HubServer emits,
+ *   copies the files to the backup storage and persists the file logs.
+ */
+export class Tasker {
+
+  constructor(driver, metadataStore) {
+    this.driver = driver;
+    this.metadataStore = metadataStore;
+  }
+
+  async handleTask(payload) {
+    validatePayload(payload);
+    const { backupPaths, fileLogs } = payload;
+
+    for (const path of backupPaths) {
+      try {
+        await this.driver.performBackup({ path });
+      } catch (error) {
+        // The file might have already been deleted or renamed, nothing to back up.
+        if (error instanceof DoesNotExist) {
+          console.log(`Tasker skipped backing up ${path} as it does not exist`);
+          continue;
+        }
+        throw error;
+      }
+    }
+
+    if (fileLogs.length > 0) {
+      await this.metadataStore.performAddFileLogs({ fileLogs });
+    }
+
+    return { nBackupPaths: backupPaths.length, nFileLogs: fileLogs.length };
+  }
+}
@@ -0,0 +1,184 @@
+import * as stream from 'stream';
+
+import { DoesNotExist, PreconditionFailedError, UploadOffsetError } from './errors';
+import { generateUniqueID, megabytesToBytes } from './utils';
+
+// Chunks are kept as their own files outside of any address until finished.
+const STAGING_TOP_LEVEL = '.uploads';
+
+const getPartPath = (uploadId, offset) => {
+  return `${uploadId}/${String(offset).padStart(15, '0')}`;
+};
+
+/*
+ * Keeps the sessions of resumable uploads in the metadata store and
+ *   their chunks as files in the driver, so it works with any driver.
+ * A chunk is written once at the current offset, the offset is the total
+ *   length of the chunks in order, so a client can ask for it and resume.
+ */
+export class UploadManager {
+
+  constructor(driver, metadataStore, config) {
+    this.driver = driver;
+    this.metadataStore = metadataStore;
+
+    const uploadSettings = config.uploadSettings || {};
+    this.maxUploadSizeMB = uploadSettings.maxUploadSize || 1024;
+    this.maxUploadSizeBytes = megabytesToBytes(this.maxUploadSizeMB);
+    this.expireTime = uploadSettings.expireTime || 7 * 24 * 60 * 60 * 1000;
+    this.sweepSize = uploadSettings.sweepSize || 100;
+    this.isSweeping = false;
+
+    const sweepInterval = uploadSettings.sweepInterval;
+    if (sweepInterval !== 0) this.setupSweeper(sweepInterval || 60 * 60 * 1000);
+  }
+
+  setupSweeper(timerInterval) {
+    const sweepTimeout = setInterval(() => this.sweep(), timerInterval);
+    sweepTimeout.unref();
+  }
+
+  async createUpload(address, path, contentType, contentLength) {
+    const now = Date.now();
+    const upload = {
+      id: `${now}${generateUniqueID()}${generateUniqueID()}`,
+      address,
+      path,
+      contentType,
+      contentLength,
+      createDate: now,
+      expireDate: now + this.expireTime,
+    };
+    await this.metadataStore.performPutUpload(upload);
+    return upload;
+  }
+
+  async getUpload(address, uploadId) {
+    const upload = await this.metadataStore.performReadUpload({ id: uploadId });
+    if (upload === null || upload.address !== address) {
+      throw new DoesNotExist('Upload does not exist');
+    }
+    if (upload.expireDate <= Date.now()) {
+      await this.deleteUpload(upload);
+      throw new DoesNotExist('Upload does not exist');
+    }
+    return upload;
+  }
+
+  async listParts(upload) {
+    const entries = [];
+    let page = null;
+    do {
+      const listResult = await this.driver.listFilesStat({
+        pathPrefix: `${STAGING_TOP_LEVEL}/${upload.id}/`, page, pageSize: null,
+      });
+      entries.push(...listResult.entries);
+      page = listResult.page;
+    } while (page);
+
+    // Offsets are zero-padded so the names sort by offset.
+    return entries.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async getProgress(upload) {
+    const entries = await this.listParts(upload);
+
+    // Only the chunks that follow each other from 0 count.
+    const parts = [];
+    let offset = 0;
+    for (const entry of entries) {
+      if (parseInt(entry.name, 10) !== offset) break;
+
+      parts.push(entry);
+      offset += entry.contentLength;
+    }
+
+    return { offset, parts };
+  }
+
+  async writeChunk(upload, offset, content) {
+    const progress = await this.getProgress(upload);
+    if (offset !== progress.offset) {
+      throw new UploadOffsetError(
+        `Expected offset ${progress.offset}, got ${offset}`, progress.offset
+      );
+    }
+
+    try {
+      await this.driver.performWrite({
+        storageTopLevel: STAGING_TOP_LEVEL,
+        path: getPartPath(upload.id, offset),
+        content,
+        contentType: 'application/octet-stream',
+        ifNoneMatchTag: '*',
+        assoIssAddress: null,
+      });
+    } catch (error) {
+      // Another request has written a chunk at this offset first.
+      if (error instanceof PreconditionFailedError) {
+        const { offset: currentOffset } = await this.getProgress(upload);
+        throw new UploadOffsetError(
+          `Chunk at offset ${offset} is already written`, currentOffset
+        );
+      }
+      throw error;
+    }
+
+    const { offset: newOffset } = await this.getProgress(upload);
+    return newOffset;
+  }
+
+  createContentStream(upload, parts) {
+    const readParts = async function* (driver) {
+      for (const part of parts) {
+        const { content } = await driver.performRead({
+          storageTopLevel: STAGING_TOP_LEVEL,
+          path: `${upload.id}/${part.name}`,
+          range: null,
+        });
+        yield* content;
+      }
+    };
+    return stream.Readable.from(readParts(this.driver));
+  }
+
+  async deleteUpload(upload) {
+    const parts = await this.listParts(upload);
+    for (const part of parts) {
+      try {
+        await this.driver.performDelete({
+          storageTopLevel: STAGING_TOP_LEVEL,
+          path: `${upload.id}/${part.name}`,
+          assoIssAddress: null,
+        });
+      } catch (error) {
+        if (!(error instanceof DoesNotExist)) throw error;
+      }
+    }
+
+    await this.metadataStore.performDeleteUpload({ id: upload.id });
+  }
+
+  async sweep() {
+    if (this.isSweeping) return;
+    this.isSweeping = true;
+
+    let nDeleted = 0;
+    try {
+      const uploads = await this.metadataStore.performListUploads({
+        expireDate: Date.now(), limit: this.sweepSize,
+      });
+      for (const upload of uploads) {
+        await this.deleteUpload(upload);
+        nDeleted += 1;
+      }
+    } catch (error) {
+      console.error('Uploads sweep error', error);
+    } finally {
+      this.isSweeping = false;
+    }
+
+    if (nDeleted > 0) console.log(`Uploads swept, deleted: ${nDeleted}`);
+    return { nDeleted };
+  }
+}
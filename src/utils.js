@@ -1,3 +1,4 @@
+import * as crypto from 'crypto';
 import * as stream from 'stream';
 import { promisify } from 'util';
 import { customAlphabet } from 'nanoid';
@@ -35,7 +36,7 @@ export const monitorStreamProgress = (inputStream, progressCallback) => {
     transform: (chunk, _encoding, callback) => {
       monitoredContentSize += chunk.length;
       try {
-        progressCallback(monitoredContentSize, chunk.length);
+        progressCallback(monitoredContentSize, chunk.length, chunk);
         // Pass the chunk Buffer through, untouched. This takes the fast
         // path through the stream pipe lib.
         callback(null, chunk);
@@ -91,8 +92,95 @@ export const isFldStr = (val) => {
   return isString(val) && val.length > 0;
 };
 
+export const parseRangeHeader = (rangeHeader) => {
+  // Only a single range is supported: bytes=0-99, bytes=100- or bytes=-100.
+  //   Anything else is ignored and the whole content is returned.
+  if (!isString(rangeHeader)) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  const start = match[1] === '' ? null : parseInt(match[1], 10);
+  const end = match[2] === '' ? null : parseInt(match[2], 10);
+  if (start !== null && end !== null && end < start) return null;
+  return { start, end };
+};
+
+export const resolveRange = (range, contentLength) => {
+  // Return the inclusive byte positions of the range, or null if not satisfiable.
+  let { start, end } = range;
+  if (start === null) {
+    if (end === 0 || contentLength === 0) return null;
+    [start, end] = [Math.max(contentLength - end, 0), contentLength - 1];
+  } else {
+    if (start >= contentLength) return null;
+    end = end === null ? contentLength - 1 : Math.min(end, contentLength - 1);
+  }
+  return { start, end };
+};
+
+export const getAddressFromPath = (path) => {
+  const i = path.indexOf('/');
+  return i < 0 ? path : path.slice(0, i);
+};
+
+export const getFileLogId = (fileLog) => {
+  // Deterministic so that a redelivered task doesn't duplicate its file logs.
+  const { path, action, size, sizeChange, createDT } = fileLog;
+  const text = JSON.stringify([path, action, size, sizeChange, createDT]);
+  return crypto.createHash('sha256').update(text).digest('hex');
+};
+
+export const parseHistoricalFileName = (historicalName) => {
+  // .history.<timestamp>.<id>.<name>, the id is from generateUniqueID.
+  const match = /^\.history\.(\d+)\.([0-9A-Za-z]+)\.(.+)$/.exec(historicalName);
+  if (!match) return null;
+
+  const [, timestamp, id, fileName] = match;
+  return { versionId: `${timestamp}.${id}`, timestamp: parseInt(timestamp, 10), fileName };
+};
+
+export const selectListItems = (names, prefix, delimiter, startAfter, pageSize) => {
+  // Pages sorted names like a bucket listing, with a delimiter the names under
+  //   a common prefix are one item, the prefix. startAfter is a full name or prefix.
+  const items = [];
+  for (const name of names) {
+    if (!name.startsWith(prefix) || (startAfter !== null && name <= startAfter)) continue;
+
+    let key = name, isPrefix = false;
+    if (delimiter) {
+      const i = name.indexOf(delimiter, prefix.length);
+      if (i >= 0) {
+        key = name.slice(0, i + delimiter.length);
+        isPrefix = true;
+      }
+    }
+    // The prefix is already on a previous page.
+    if (isPrefix && startAfter !== null && key <= startAfter) continue;
+    if (items.length > 0 && items[items.length - 1].key === key) continue;
+
+    if (items.length === pageSize) return { items, hasMore: true };
+    items.push({ key, isPrefix });
+  }
+  return { items, hasMore: false };
+};
+
 export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+export const retryWithBackoff = async (fn, nTries, baseDelay) => {
+  for (let currentTry = 1; currentTry <= nTries; currentTry++) {
+    try {
+      return await fn(currentTry);
+    } catch (error) {
+      if (currentTry >= nTries) throw error;
+
+      // Exponential backoff with jitter.
+      const delay = baseDelay * Math.pow(2, currentTry - 1);
+      await sleep(delay + Math.floor(Math.random() * delay));
+    }
+  }
+};
+
 export const getTrace = (req) => {
   let trace = req.get('traceparent');
   if (isFldStr(trace)) return trace;
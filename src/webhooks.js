@@ -0,0 +1,397 @@
+import * as crypto from 'crypto';
+import * as dns from 'dns';
+import * as http from 'http';
+import * as https from 'https';
+import { LRUCache } from 'lru-cache';
+import * as net from 'net';
+
+import { DoesNotExist, InvalidInputError } from './errors';
+import { generateUniqueID, getAddressFromPath, isString } from './utils';
+
+const SIGNATURE_HEADER = 'Sdrive-Signature';
+const MAX_URL_LENGTH = 2048;
+
+// Webhooks are posted from inside the hub's network, so they can't be to
+//   loopback, private, link-local (incl. cloud metadata) or other internal addresses.
+const nonPublicAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => nonPublicAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => nonPublicAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address, family) => {
+  const type = family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4';
+  return !nonPublicAddresses.check(address, type);
+};
+
+/*
+ * dns.lookup for http.request that fails if the host resolves to
+ *   a non-public address, checked on connect so the host can't be changed
+ *   to an internal address after it's validated.
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const blocked = addresses.find(({ address, family }) => {
+      return !isPublicAddress(address, family);
+    });
+    if (blocked) {
+      callback(new Error(`Webhook host ${hostname} resolves to ${blocked.address}`));
+      return;
+    }
+
+    if (options.all) callback(null, addresses);
+    else callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const toPublicWebhook = (webhook) => {
+  const { id, url, prefix, createDate } = webhook;
+  return { id, url, prefix, createDate };
+};
+
+/*
+ * POSTs the changes in file logs to the webhooks that an address owner adds,
+ *   e.g. for a backend to index the files as soon as they're saved.
+ * A delivery is kept in the metadata store until its webhook responds 2xx,
+ *   retried with backoff and moved to the dead letters after maxAttempts.
+ * The body { id, address, events } is signed with the webhook's secret,
+ *   Sdrive-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+ *   id is the same for every attempt of a delivery.
+ */
+export class WebhookManager {
+
+  constructor(metadataStore, config) {
+    this.metadataStore = metadataStore;
+
+    const webhookSettings = config.webhookSettings || {};
+    this.maxWebhooks = webhookSettings.maxWebhooks || 10;
+    this.maxAttempts = webhookSettings.maxAttempts || 8;
+    this.maxRetryDelay = webhookSettings.maxRetryDelay || 60 * 60 * 1000;
+    this.timeout = webhookSettings.timeout || 10 * 1000;
+    // How long a delivery being posted is hidden from other flushers.
+    this.leaseTime = webhookSettings.leaseTime || 2 * 60 * 1000;
+    this.flushSize = webhookSettings.flushSize || 100;
+    // Plain http urls and private addresses only for local development.
+    this.allowHttp = !!webhookSettings.allowHttp;
+    this.allowPrivateAddresses = !!webhookSettings.allowPrivateAddresses;
+    this.isFlushing = false;
+
+    // Webhooks are read on every write, so an added or deleted one
+    //   takes up to cacheTime to apply on the other hub instances.
+    this.cache = new LRUCache({
+      max: webhookSettings.cacheSize || 800,
+      ttl: webhookSettings.cacheTime || 60 * 1000,
+    });
+
+    const flushInterval = webhookSettings.flushInterval;
+    if (flushInterval !== 0) this.setupFlusher(flushInterval || 60 * 1000);
+  }
+
+  setupFlusher(timerInterval) {
+    const flushTimeout = setInterval(() => this.flush(), timerInterval);
+    flushTimeout.unref();
+  }
+
+  getRetryDelay(nAttempts) {
+    const delay = 30 * 1000 * Math.pow(2, Math.max(nAttempts - 1, 0));
+    return Math.min(delay, this.maxRetryDelay);
+  }
+
+  async validateUrl(url) {
+    if (!isString(url) || url.length > MAX_URL_LENGTH) {
+      throw new InvalidInputError(`Invalid url: ${url}`);
+    }
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      throw new InvalidInputError(`Invalid url: ${url}`);
+    }
+    if (
+      parsedUrl.protocol !== 'https:' &&
+      !(parsedUrl.protocol === 'http:' && this.allowHttp)
+    ) {
+      throw new InvalidInputError(`Invalid url: ${url}, must be https`);
+    }
+    await this.validateHost(parsedUrl.hostname);
+  }
+
+  async validateHost(hostname) {
+    if (this.allowPrivateAddresses) return;
+
+    const host = hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    if (net.isIP(host)) {
+      addresses = [{ address: host, family: net.isIP(host) }];
+    } else {
+      try {
+        addresses = await dns.promises.lookup(host, { all: true });
+      } catch (error) {
+        throw new InvalidInputError(`Invalid url host: ${hostname} is not found`);
+      }
+    }
+
+    for (const { address, family } of addresses) {
+      if (!isPublicAddress(address, family)) {
+        throw new InvalidInputError(
+          `Invalid url host: ${hostname} is not a public address`
+        );
+      }
+    }
+  }
+
+  async getWebhooks(address) {
+    let webhooks = this.cache.get(address);
+    if (Array.isArray(webhooks)) return webhooks;
+
+    webhooks = await this.metadataStore.performListWebhooks({ address });
+
+    this.cache.set(address, webhooks);
+    return webhooks;
+  }
+
+  /*
+   * The secret is only returned here, for the receiver to verify the signatures.
+   */
+  async addWebhook(address, url, prefix) {
+    await this.validateUrl(url);
+    if (!isString(prefix)) throw new InvalidInputError(`Invalid prefix: ${prefix}`);
+
+    const webhooks = await this.metadataStore.performListWebhooks({ address });
+    if (webhooks.length >= this.maxWebhooks) {
+      throw new InvalidInputError(
+        `Too many webhooks, up to ${this.maxWebhooks} per address`
+      );
+    }
+
+    const now = Date.now();
+    const webhook = {
+      id: generateUniqueID(),
+      address,
+      url,
+      prefix,
+      secret: crypto.randomBytes(32).toString('hex'),
+      createDate: now,
+      updateDate: now,
+    };
+    await this.metadataStore.performPutWebhook(webhook);
+    this.cache.delete(address);
+
+    return { ...toPublicWebhook(webhook), secret: webhook.secret };
+  }
+
+  async listWebhooks(address) {
+    const webhooks = await this.metadataStore.performListWebhooks({ address });
+    return webhooks.map(webhook => toPublicWebhook(webhook));
+  }
+
+  async deleteWebhook(address, id) {
+    const webhook = await this.metadataStore.performReadWebhook({ id });
+    if (webhook === null || webhook.address !== address) {
+      throw new DoesNotExist('Webhook does not exist');
+    }
+
+    // Its pending deliveries are dropped when they're due.
+    await this.metadataStore.performDeleteWebhook({ id });
+    this.cache.delete(address);
+  }
+
+  async dispatch(fileLogs) {
+    const eventsPerAddress = new Map();
+    for (const fileLog of fileLogs) {
+      const address = getAddressFromPath(fileLog.path);
+      if (!eventsPerAddress.has(address)) eventsPerAddress.set(address, []);
+      eventsPerAddress.get(address).push({
+        path: fileLog.path.slice(address.length + 1),
+        action: fileLog.action,
+        etag: isString(fileLog.etag) ? fileLog.etag : null,
+        size: fileLog.size,
+        assoIssAddress: fileLog.assoIssAddress,
+        createDT: fileLog.createDT,
+      });
+    }
+
+    // The files are already written, so don't fail the request, only report.
+    const deliveries = [];
+    for (const [address, events] of eventsPerAddress) {
+      try {
+        const webhooks = await this.getWebhooks(address);
+        for (const webhook of webhooks) {
+          const matchedEvents = events.filter(event => {
+            return event.path.startsWith(webhook.prefix);
+          });
+          if (matchedEvents.length === 0) continue;
+
+          const now = Date.now();
+          const delivery = {
+            id: generateUniqueID(),
+            webhookId: webhook.id,
+            address,
+            events: matchedEvents,
+            nAttempts: 0,
+            lastError: null,
+            createDate: now,
+            updateDate: now,
+            nextAttemptDate: now + this.leaseTime,
+          };
+          await this.metadataStore.performPutWebhookDelivery(delivery);
+          deliveries.push({ delivery, webhook });
+        }
+      } catch (error) {
+        console.error('Webhooks dispatch error', error, JSON.stringify({ address }));
+      }
+    }
+
+    // Don't hold the request for the receivers, the deliveries are kept
+    //   so the flusher posts them if this instance stops meanwhile.
+    for (const { delivery, webhook } of deliveries) {
+      this.deliver(delivery, webhook).catch(error => {
+        console.error(`Webhook deliver ${delivery.id} error`, error);
+      });
+    }
+  }
+
+  async post(webhook, delivery) {
+    const { id, address, events } = delivery;
+    const body = JSON.stringify({ id, address, events });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', webhook.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    // The host is checked again as it could resolve differently by now,
+    //   and IP literals aren't looked up on connect.
+    const url = new URL(webhook.url);
+    await this.validateHost(url.hostname);
+
+    // A redirect could lead anywhere, it's not followed and counts as a failure.
+    const status = await new Promise((resolve, reject) => {
+      const req = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          [SIGNATURE_HEADER]: `t=${timestamp},v1=${signature}`,
+        },
+        lookup: this.allowPrivateAddresses ? undefined : lookupPublicAddress,
+        signal: AbortSignal.timeout(this.timeout),
+      }, (res) => {
+        res.on('error', reject);
+        res.on('end', () => resolve(res.statusCode));
+        res.resume();
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+    if (status < 200 || status >= 300) {
+      throw new Error(`Webhook ${webhook.url} responded ${status}`);
+    }
+  }
+
+  async deliver(delivery, webhook = null) {
+    try {
+      if (webhook === null) {
+        webhook = await this.metadataStore.performReadWebhook({ id: delivery.webhookId });
+      }
+      // If the webhook is deleted, there's nowhere to deliver to.
+      if (webhook !== null) await this.post(webhook, delivery);
+    } catch (error) {
+      const now = Date.now(), nAttempts = delivery.nAttempts + 1;
+      console.error(`Webhook deliver ${delivery.id} error, attempt ${nAttempts}`, error);
+
+      const udtdDelivery = {
+        ...delivery,
+        nAttempts,
+        lastError: String(error).slice(0, 999),
+        updateDate: now,
+        nextAttemptDate: now + this.getRetryDelay(nAttempts),
+      };
+      if (nAttempts >= this.maxAttempts) {
+        await this.metadataStore.performPutWebhookDeadLetter(udtdDelivery);
+        await this.metadataStore.performDeleteWebhookDelivery({ id: delivery.id });
+      } else {
+        await this.metadataStore.performPutWebhookDelivery(udtdDelivery);
+      }
+      return false;
+    }
+
+    await this.metadataStore.performDeleteWebhookDelivery({ id: delivery.id });
+    return true;
+  }
+
+  async flush() {
+    if (this.isFlushing) return;
+    this.isFlushing = true;
+
+    let nDelivered = 0, nFailed = 0;
+    try {
+      const now = Date.now();
+      const deliveries = await this.metadataStore.performListWebhookDeliveries({
+        dueDate: now, limit: this.flushSize,
+      });
+      for (const delivery of deliveries) {
+        const isClaimed = await this.metadataStore.performClaimWebhookDelivery({
+          id: delivery.id, dueDate: now, nextAttemptDate: Date.now() + this.leaseTime,
+        });
+        if (!isClaimed) continue;
+
+        const isDelivered = await this.deliver(delivery);
+        if (isDelivered) nDelivered += 1;
+        else nFailed += 1;
+      }
+    } catch (error) {
+      console.error('Webhooks flush error', error);
+    } finally {
+      this.isFlushing = false;
+    }
+
+    if (nDelivered > 0 || nFailed > 0) {
+      console.log(`Webhooks flushed, delivered: ${nDelivered}, failed: ${nFailed}`);
+    }
+    return { nDelivered, nFailed };
+  }
+
+  async listDeadLetters(address, limit) {
+    const deliveries = await this.metadataStore.performListWebhookDeadLetters({
+      address, limit,
+    });
+    return deliveries.map(delivery => {
+      const {
+        id, webhookId, events, nAttempts, lastError, createDate, updateDate,
+      } = delivery;
+      return { id, webhookId, events, nAttempts, lastError, createDate, updateDate };
+    });
+  }
+
+  /*
+   * Moves a dead letter back to the deliveries, e.g. after the receiver is fixed,
+   *   and posts it right away.
+   */
+  async redeliver(address, id) {
+    const deadLetter = await this.metadataStore.performReadWebhookDeadLetter({ id });
+    if (deadLetter === null || deadLetter.address !== address) {
+      throw new DoesNotExist('Dead letter does not exist');
+    }
+
+    const now = Date.now();
+    const delivery = {
+      ...deadLetter, nAttempts: 0, updateDate: now, nextAttemptDate: now + this.leaseTime,
+    };
+    await this.metadataStore.performPutWebhookDelivery(delivery);
+    await this.metadataStore.performDeleteWebhookDeadLetter({ id });
+
+    const isDelivered = await this.deliver(delivery);
+    return { isDelivered };
+  }
+}